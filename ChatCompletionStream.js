@@ -0,0 +1,362 @@
+const { Readable } = require('stream');
+const { PerplexityError, APIError, NetworkError, AbortError } = require('./errors');
+const { createReasoningParser } = require('./reasoning');
+
+/**
+ * Chat Completion Stream
+ *
+ * Wraps a Server-Sent Events response from the chat completions endpoint and
+ * exposes it as an async iterable of parsed delta chunks. While it is being
+ * iterated, the stream aggregates the deltas into a final completion object
+ * shaped like a regular (non-streamed) response, including token usage.
+ *
+ * The `<think>` block of reasoning models is moved out of `delta.content`
+ * into `delta.reasoning` as it streams, and aggregated into
+ * `message.reasoning`.
+ *
+ * @class ChatCompletionStream
+ * @example
+ * const stream = await client.streamChatCompletion({ messages });
+ * for await (const chunk of stream) {
+ *   process.stdout.write(chunk.choices?.[0]?.delta?.content || '');
+ * }
+ * const completion = await stream.finalCompletion();
+ * console.log(completion.usage);
+ */
+class ChatCompletionStream {
+    /**
+     * Create a stream over a raw SSE body
+     *
+     * @param {AsyncIterable<string|Buffer>} source - The raw response body (e.g. a Node.js readable stream)
+     * @param {Object} [options={}] - Stream options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the underlying request
+     * @param {Function} [options.onChunk] - Called with each parsed chunk; may return a replacement chunk, or `null` to drop it
+     * @param {Function} [options.onComplete] - Called with the aggregated completion once the stream ended normally
+     */
+    constructor(source, { signal, onChunk, onComplete } = {}) {
+        this.source = source;
+        this.signal = signal;
+        this.onChunk = onChunk;
+        this.onComplete = onComplete;
+        this.consumed = false;
+        this.done = false;
+        this.completion = null;
+
+        // Aggregation state, filled in as chunks arrive
+        this.choices = [];
+        this.meta = {};
+        this.reasoningParsers = [];
+    }
+
+    /**
+     * Iterate over the parsed delta chunks as they arrive
+     *
+     * The stream can only be iterated once. Breaking out of the loop early
+     * closes the underlying connection.
+     *
+     * @yields {Object} A `chat.completion.chunk` object as sent by the API
+     * @throws {APIError} Throws if the API sends an error event or a malformed chunk
+     * @throws {NetworkError} Throws if the connection drops mid-stream
+     * @throws {AbortError} Throws if the request is cancelled through its signal
+     */
+    async *[Symbol.asyncIterator]() {
+        if (this.consumed) {
+            throw new Error('Stream has already been consumed');
+        }
+        this.consumed = true;
+
+        try {
+            for await (const { event, data } of parseSSE(this.source)) {
+                if (data === '[DONE]') {
+                    break;
+                }
+
+                let chunk;
+                try {
+                    chunk = JSON.parse(data);
+                } catch (error) {
+                    throw new APIError(`Invalid stream chunk: ${data}`, { body: data });
+                }
+
+                if (event === 'error' || chunk.error) {
+                    const upstream = typeof chunk.error === 'object' ? chunk.error : chunk;
+                    throw new APIError(`Perplexity API Error: ${upstream.message || chunk.error || 'Unknown stream error'}`, {
+                        code: upstream.code || upstream.type || null,
+                        body: chunk
+                    });
+                }
+
+                if (this.onChunk) {
+                    let result;
+                    try {
+                        result = await this.onChunk(chunk);
+                    } catch (error) {
+                        throw new PerplexityError(`Stream chunk handler failed: ${error.message}`, { cause: error });
+                    }
+                    if (result === null) continue;
+                    if (result !== undefined) chunk = result;
+                }
+
+                chunk = this.separateReasoning(chunk);
+                this.accumulate(chunk);
+                yield chunk;
+            }
+
+            // Text held back as a possible tag belongs to the last delta
+            const rest = this.flushReasoning();
+            if (rest) {
+                this.accumulate(rest);
+                yield rest;
+            }
+            this.done = true;
+        } catch (error) {
+            if (error instanceof PerplexityError) {
+                throw error;
+            }
+            if (this.signal && this.signal.aborted) {
+                throw new AbortError('Stream was cancelled', { cause: error });
+            }
+            throw new NetworkError(`Stream interrupted: ${error.message}`, { code: error.code || null, cause: error });
+        } finally {
+            this.completion = this.buildCompletion();
+
+            // Release the connection if the consumer stopped early
+            if (!this.done && typeof this.source.destroy === 'function') {
+                this.source.destroy();
+            }
+            if (this.done && this.onComplete) {
+                this.onComplete(this.completion);
+            }
+        }
+    }
+
+    /**
+     * Create a stream that replays already parsed chunks
+     *
+     * Useful to serve cached or mocked answers through the same interface as
+     * a live stream.
+     *
+     * @param {Iterable<Object>|AsyncIterable<Object>} chunks - `chat.completion.chunk` objects
+     * @param {Object} [options={}] - Stream options (see the constructor)
+     * @returns {ChatCompletionStream} The stream
+     * @example
+     * const stream = ChatCompletionStream.fromChunks([
+     *   { choices: [{ index: 0, delta: { content: 'Hello' } }] }
+     * ]);
+     */
+    static fromChunks(chunks, options = {}) {
+        return new ChatCompletionStream(toSSE(chunks), options);
+    }
+
+    /**
+     * Wait for the stream to finish and return the aggregated completion
+     *
+     * If the stream has not been iterated yet, it is drained first.
+     *
+     * @returns {Promise<Object>} A completion object with `choices[].message`, `usage` and any extra fields (citations, search results)
+     * @example
+     * const completion = await stream.finalCompletion();
+     * console.log(completion.choices[0].message.content);
+     */
+    async finalCompletion() {
+        if (!this.consumed) {
+            // Drain the stream to build the aggregate
+            const iterator = this[Symbol.asyncIterator]();
+            while (!(await iterator.next()).done);
+        }
+        return this.completion;
+    }
+
+    /**
+     * Move reasoning out of a chunk's content deltas
+     *
+     * @param {Object} chunk - The parsed chunk
+     * @returns {Object} A copy of the chunk with the reasoning in `delta.reasoning`
+     * @private
+     */
+    separateReasoning(chunk) {
+        if (!Array.isArray(chunk.choices)) {
+            return chunk;
+        }
+
+        const choices = chunk.choices.map(choice => {
+            const field = choice.delta ? 'delta' : 'message';
+            const delta = choice[field];
+            if (!delta || typeof delta.content !== 'string') {
+                return choice;
+            }
+
+            const index = choice.index || 0;
+            const parser = this.reasoningParsers[index] || (this.reasoningParsers[index] = createReasoningParser());
+            const { reasoning, content } = parser.push(delta.content);
+            return { ...choice, [field]: withReasoning({ ...delta, content }, reasoning) };
+        });
+        return { ...chunk, choices };
+    }
+
+    /**
+     * Build a chunk with the text the reasoning parsers still hold
+     *
+     * @returns {Object|null} The chunk, or null when nothing was held back
+     * @private
+     */
+    flushReasoning() {
+        const choices = [];
+        this.reasoningParsers.forEach((parser, index) => {
+            const { reasoning, content } = parser.flush();
+            if (reasoning || content) {
+                choices.push({ index, delta: withReasoning({ content }, reasoning), finish_reason: null });
+            }
+        });
+        return choices.length > 0 ? { object: 'chat.completion.chunk', choices } : null;
+    }
+
+    /**
+     * Merge a single chunk into the aggregated completion
+     *
+     * @param {Object} chunk - The parsed chunk
+     * @private
+     */
+    accumulate(chunk) {
+        const { choices = [], object, ...meta } = chunk;
+
+        // Top-level fields (id, model, usage, citations...) are taken from the latest chunk
+        Object.assign(this.meta, meta);
+
+        for (const choice of choices) {
+            const index = choice.index || 0;
+            const current = this.choices[index] || (this.choices[index] = {
+                index,
+                message: { role: 'assistant', content: '' },
+                finish_reason: null
+            });
+
+            const delta = choice.delta || choice.message || {};
+            if (delta.role) {
+                current.message.role = delta.role;
+            }
+            if (typeof delta.content === 'string') {
+                current.message.content += delta.content;
+            }
+            if (delta.reasoning) {
+                current.message.reasoning = (current.message.reasoning || '') + delta.reasoning;
+            }
+            if (choice.finish_reason) {
+                current.finish_reason = choice.finish_reason;
+            }
+        }
+    }
+
+    /**
+     * Build the aggregated completion object from the chunks seen so far
+     *
+     * @returns {Object} The aggregated completion
+     * @private
+     */
+    buildCompletion() {
+        return {
+            ...this.meta,
+            object: 'chat.completion',
+            choices: this.choices.filter(Boolean).map(choice => (choice.message.reasoning
+                ? { ...choice, message: { ...choice.message, reasoning: choice.message.reasoning.trimEnd() } }
+                : choice))
+        };
+    }
+}
+
+/**
+ * Add reasoning text to a delta, after any reasoning it already carries
+ *
+ * @param {Object} delta - The delta
+ * @param {string} reasoning - Reasoning text parsed from its content
+ * @returns {Object} The delta
+ * @private
+ */
+function withReasoning(delta, reasoning) {
+    const combined = (delta.reasoning || '') + reasoning;
+    if (combined) {
+        delta.reasoning = combined;
+    }
+    return delta;
+}
+
+/**
+ * Parse a Server-Sent Events body into individual events
+ *
+ * Handles events split across network chunks, multi-line `data:` fields,
+ * comments and both LF and CRLF line endings.
+ *
+ * @param {AsyncIterable<string|Buffer>} source - The raw SSE body
+ * @yields {{event: string, data: string}} Each event's name (default `message`) and data payload
+ */
+async function* parseSSE(source) {
+    const decoder = new TextDecoder();
+    const boundary = /\r?\n\r?\n/;
+    let buffer = '';
+
+    for await (const piece of source) {
+        buffer += typeof piece === 'string' ? piece : decoder.decode(piece, { stream: true });
+
+        let match;
+        while ((match = boundary.exec(buffer)) !== null) {
+            const rawEvent = buffer.slice(0, match.index);
+            buffer = buffer.slice(match.index + match[0].length);
+
+            const event = parseEvent(rawEvent);
+            if (event) yield event;
+        }
+    }
+
+    // Flush a trailing event that wasn't followed by a blank line
+    buffer += decoder.decode();
+    const event = parseEvent(buffer);
+    if (event) yield event;
+}
+
+/**
+ * Encode parsed chunks as a Server-Sent Events body
+ *
+ * @param {Iterable<Object>|AsyncIterable<Object>} chunks - The chunks to encode
+ * @returns {Readable} A readable stream of SSE text, terminated by `[DONE]`
+ */
+function toSSE(chunks) {
+    return Readable.from((async function* () {
+        for await (const chunk of chunks) {
+            yield `data: ${JSON.stringify(chunk)}\n\n`;
+        }
+        yield 'data: [DONE]\n\n';
+    })());
+}
+
+/**
+ * Parse the lines of a single SSE event
+ *
+ * @param {string} rawEvent - The event text without the trailing blank line
+ * @returns {{event: string, data: string}|null} The parsed event, or null if it carried no data
+ * @private
+ */
+function parseEvent(rawEvent) {
+    let event = 'message';
+    const data = [];
+
+    for (const line of rawEvent.split(/\r?\n/)) {
+        if (!line || line.startsWith(':')) continue;
+
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        let value = separator === -1 ? '' : line.slice(separator + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        if (field === 'event') {
+            event = value;
+        } else if (field === 'data') {
+            data.push(value);
+        }
+    }
+
+    return data.length > 0 ? { event, data: data.join('\n').trim() } : null;
+}
+
+module.exports = ChatCompletionStream;
+module.exports.parseSSE = parseSSE;
+module.exports.toSSE = toSSE;
@@ -0,0 +1,461 @@
+const { EventEmitter } = require('events');
+const { randomUUID } = require('crypto');
+const { normalizeCompletion } = require('./answer');
+const { compressHistory, resolveCompression } = require('./compression');
+const { normalizeMessages } = require('./messages');
+const { contentToText } = require('./content');
+
+/**
+ * Conversation
+ *
+ * A stateful multi-turn conversation on top of {@link PerplexityClient}. It
+ * owns the message history, an optional system prompt, per-conversation
+ * request options and automatic context compression: when the history no
+ * longer fits the model's context budget, it is compressed with the
+ * configured strategy (see `compression.js`). By default older turns are
+ * condensed into a running summary sent with the system message, and the
+ * last turns are kept verbatim. Messages marked `pinned: true` are never
+ * compressed.
+ *
+ * Conversations serialize to plain JSON, so any application can persist one
+ * and resume it later with {@link Conversation.fromJSON}.
+ *
+ * Events:
+ * - `summarizing` `{ messageCount, strategy }` - before the history is compressed
+ * - `summary` `{ summary, strategy, originalMessageCount, keptMessageCount, segmentCount }` - after the history was compressed
+ *
+ * @class Conversation
+ * @extends EventEmitter
+ * @example
+ * const conversation = client.createConversation({
+ *   systemPrompt: 'You are a concise research assistant.',
+ *   options: { model: 'sonar', temperature: 0.3 }
+ * });
+ *
+ * const { answer } = await conversation.send('What is CRISPR?');
+ * for await (const chunk of conversation.stream('How is it used in agriculture?')) {
+ *   process.stdout.write(chunk.choices?.[0]?.delta?.content || '');
+ * }
+ *
+ * fs.writeFileSync('chat.json', JSON.stringify(conversation));
+ */
+class Conversation extends EventEmitter {
+    /**
+     * Create a conversation (usually through `client.createConversation()`)
+     *
+     * @param {PerplexityClient} client - The client used to send requests
+     * @param {Object} [config={}] - Conversation settings and state
+     * @param {string} [config.id] - Conversation id (generated when omitted)
+     * @param {string|null} [config.systemPrompt=null] - Instructions sent as the system message
+     * @param {Array<Object>} [config.messages=[]] - Existing history; leading system messages are merged into the system prompt
+     * @param {string|null} [config.summary=null] - Summary of messages that were already condensed
+     * @param {Array<string>} [config.segments=[]] - Segment summaries kept by the `hierarchical` strategy
+     * @param {Object} [config.options={}] - Request options used for every turn (model, temperature, search...)
+     * @param {Object} [config.summarization] - Automatic compression settings
+     * @param {boolean} [config.summarization.enabled=true] - Compress automatically when the context budget is exceeded
+     * @param {string|Function} [config.summarization.strategy='rolling'] - `rolling`, `sliding-window`, `hierarchical`, `full` or a custom strategy function
+     * @param {number} [config.summarization.keepTurns=2] - Recent turns kept verbatim by `rolling` and `hierarchical`
+     * @param {number} [config.summarization.maxSegments=4] - Segment summaries `hierarchical` keeps before condensing them
+     * @param {number|null} [config.summarization.maxMessages=null] - Also summarize once the history reaches this many messages
+     * @param {number} [config.summarization.contextWindow] - Override the model's context window
+     * @param {number} [config.summarization.safetyMargin] - Tokens kept free (default: 10% of the context window)
+     */
+    constructor(client, config = {}) {
+        super();
+
+        if (!client) {
+            throw new Error('A PerplexityClient instance is required');
+        }
+
+        const {
+            id = randomUUID(),
+            systemPrompt = null,
+            messages = [],
+            summary = null,
+            segments = [],
+            options = {},
+            summarization = {},
+            createdAt = new Date().toISOString(),
+            updatedAt = createdAt
+        } = config;
+
+        // Leading system messages belong to the system prompt, not the history
+        const firstTurn = messages.findIndex(message => message.role !== 'system');
+        const leadingSystem = firstTurn === -1 ? messages : messages.slice(0, firstTurn);
+        const history = firstTurn === -1 ? [] : messages.slice(firstTurn);
+
+        this.client = client;
+        this.id = id;
+        this.systemPrompt = [systemPrompt, ...leadingSystem.map(message => contentToText(message.content))]
+            .filter(Boolean).join('\n\n') || null;
+        this.messages = history;
+        this.summary = summary;
+        this.segments = [...segments];
+        this.options = { ...options };
+        this.summarization = {
+            enabled: true,
+            maxMessages: null,
+            ...summarization,
+            ...resolveCompression(summarization)
+        };
+        this.createdAt = createdAt;
+        this.updatedAt = updatedAt;
+
+        // Messages sent with the most recent request (after summarization)
+        this.lastContext = [];
+    }
+
+    /**
+     * Send a user message and wait for the full answer
+     *
+     * Both the user message and the answer are added to the history once the
+     * request succeeds; a failed request leaves the history untouched.
+     *
+     * @param {string|Array<Object>} content - The user message: text, or text and image content parts (see `content.js`)
+     * @param {Object} [options={}] - Request options for this turn, merged over the conversation options
+     * @returns {Promise<DetailedAnswer>} The normalized answer with citations and usage (see `answer.js`)
+     * @throws {PerplexityError} Throws an error if summarization or the API call fails
+     * @example
+     * const { answer, citations } = await conversation.send('Who discovered penicillin?');
+     */
+    async send(content, options = {}) {
+        const requestOptions = this.getRequestOptions(options);
+        const messages = await this.prepare(content, requestOptions);
+
+        const response = await this.client.chatCompletion({
+            ...requestOptions,
+            messages
+        });
+        const result = normalizeCompletion(response);
+
+        this.append({ role: 'user', content }, { role: 'assistant', content: result.answer });
+        return result;
+    }
+
+    /**
+     * Send a user message and stream the answer
+     *
+     * Yields the same `chat.completion.chunk` objects as
+     * `client.streamChatCompletion()`. When the stream ends the exchange is
+     * added to the history; if the consumer stops early (or the request is
+     * aborted), the partial answer is kept.
+     *
+     * @param {string|Array<Object>} content - The user message: text, or text and image content parts (see `content.js`)
+     * @param {Object} [options={}] - Request options for this turn, merged over the conversation options
+     * @yields {Object} Delta chunks as they arrive
+     * @returns {AsyncGenerator<Object, DetailedAnswer>} The normalized answer is the generator's return value
+     * @throws {PerplexityError} Throws an error if summarization or the API call fails
+     * @example
+     * for await (const chunk of conversation.stream('Summarize the last answer')) {
+     *   process.stdout.write(chunk.choices?.[0]?.delta?.content || '');
+     * }
+     */
+    async *stream(content, options = {}) {
+        const requestOptions = this.getRequestOptions(options);
+        const messages = await this.prepare(content, requestOptions);
+
+        const stream = await this.client.streamChatCompletion({
+            ...requestOptions,
+            messages
+        });
+
+        let answer = '';
+        try {
+            for await (const chunk of stream) {
+                answer += chunk.choices?.[0]?.delta?.content || '';
+                yield chunk;
+            }
+        } finally {
+            if (answer) {
+                this.append({ role: 'user', content }, { role: 'assistant', content: answer });
+            }
+        }
+
+        return normalizeCompletion(await stream.finalCompletion());
+    }
+
+    /**
+     * Compress the history if sending `content` next would exceed the context budget
+     *
+     * The budget comes from the request's `model` and `max_tokens` (see
+     * `client.getContextBudget()`). `send()` and `stream()` call this
+     * automatically; it is public so that callers building their own requests
+     * from {@link Conversation#toMessages} get the same behavior.
+     *
+     * @param {string|Array<Object>} content - The next user message
+     * @param {Object} [options={}] - Request options (`model`, `max_tokens`, `signal`), merged over the conversation options
+     * @returns {Promise<boolean>} True if the history was compressed
+     * @throws {PerplexityError} Throws an error if the summarization fails
+     */
+    async summarizeIfNeeded(content, options = {}) {
+        if (!this.summarization.enabled || this.messages.length === 0 || this.fits(this, content, options)) {
+            return false;
+        }
+
+        const messageCount = this.messages.length;
+        await this.compress({ ...options, content });
+        return this.messages.length < messageCount;
+    }
+
+    /**
+     * Merge per-turn options over the conversation options
+     *
+     * Usage is tagged with the conversation id, so `client.usage` can break
+     * costs down per conversation.
+     *
+     * @param {Object} [options={}] - Request options for this turn
+     * @returns {Object} The request options
+     * @private
+     */
+    getRequestOptions(options = {}) {
+        return {
+            ...this.options,
+            ...options,
+            usageTags: { conversationId: this.id, ...this.options.usageTags, ...options.usageTags }
+        };
+    }
+
+    /**
+     * Build the messages for the next request, summarizing first if needed
+     *
+     * @param {string|Array<Object>} content - The new user message
+     * @param {Object} [options={}] - Request options (its `signal` also cancels summarization)
+     * @returns {Promise<Array<Object>>} The messages to send
+     * @private
+     */
+    async prepare(content, options = {}) {
+        await this.summarizeIfNeeded(content, options);
+
+        this.lastContext = this.toMessages(content);
+        return this.lastContext;
+    }
+
+    /**
+     * Compress the history with a compression strategy
+     *
+     * Earlier summaries are folded into new ones, so nothing summarized
+     * before is lost. Pinned turns are kept whatever the strategy.
+     *
+     * @param {Object} [options={}] - Compression options
+     * @param {string|Function} [options.strategy] - Strategy for this call (defaults to the conversation setting)
+     * @param {string} [options.content] - The next user message, counted when a strategy checks the budget
+     * @param {string} [options.model] - Model used to compute the budget
+     * @param {number} [options.max_tokens] - Answer tokens reserved in the budget
+     * @param {AbortSignal} [options.signal] - Signal to cancel the summarization requests
+     * @returns {Promise<string|null>} The running summary after compression
+     * @throws {PerplexityError} Throws an error if the summarization fails
+     */
+    async compress(options = {}) {
+        if (this.messages.length === 0) {
+            return this.summary;
+        }
+
+        const settings = options.strategy
+            ? { ...this.summarization, ...resolveCompression({ ...this.summarization, strategy: options.strategy }) }
+            : this.summarization;
+        const strategy = typeof settings.strategy === 'function'
+            ? settings.strategy.name || 'custom'
+            : settings.strategy;
+        const originalMessageCount = this.messages.length;
+        this.emit('summarizing', { messageCount: originalMessageCount, strategy });
+
+        const result = await compressHistory(this, settings, {
+            summarize: (messages, previousSummaries) => this.client.summarizeConversation([
+                ...previousSummaries.filter(Boolean).map(summary => ({
+                    role: 'system',
+                    content: `Previous conversation summary: ${summary}`
+                })),
+                ...messages
+            ], { signal: options.signal, usageTags: this.getRequestOptions(options).usageTags }),
+            fits: candidate => this.fits(candidate, options.content, options)
+        });
+
+        if (result.messages.length === originalMessageCount) {
+            return this.summary; // Nothing left to compress
+        }
+
+        this.messages = result.messages;
+        this.summary = result.summary;
+        this.segments = result.segments;
+        this.touch();
+
+        this.emit('summary', {
+            summary: this.summary,
+            strategy,
+            originalMessageCount,
+            keptMessageCount: this.messages.length,
+            segmentCount: this.segments.length
+        });
+        return this.summary;
+    }
+
+    /**
+     * Condense the whole history into the running summary
+     *
+     * Same as `compress({ strategy: 'full' })`: afterwards only pinned turns
+     * remain in the history and the summary is sent with the system message
+     * on every following turn.
+     *
+     * @param {Object} [options={}] - Options for the summarization request (e.g. `signal`)
+     * @returns {Promise<string|null>} The new summary, or the current one if there was nothing to summarize
+     * @throws {PerplexityError} Throws an error if the summarization fails
+     */
+    async summarize(options = {}) {
+        return this.compress({ ...options, strategy: 'full' });
+    }
+
+    /**
+     * Check whether a conversation state plus the next message fits the context budget
+     *
+     * @param {Object} state - `{ messages, summary, segments }` (the conversation itself or a candidate)
+     * @param {string|Array<Object>} [content] - The next user message
+     * @param {Object} [options={}] - Request options (`model`, `max_tokens`)
+     * @returns {boolean} True if no compression is needed
+     * @private
+     */
+    fits(state, content, options = {}) {
+        const { maxMessages, contextWindow, safetyMargin } = this.summarization;
+        const { model, max_tokens } = { ...this.options, ...options };
+
+        return !this.client.shouldSummarize(this.render(state, content), {
+            maxMessages,
+            contextWindow,
+            safetyMargin,
+            model,
+            max_tokens
+        });
+    }
+
+    /**
+     * Get the messages that would be sent to the API
+     *
+     * The system prompt, the running summary and any segment summaries are
+     * merged into a single leading system message, followed by the history.
+     * The result is normalized (see `messages.js`): system messages from the
+     * history join the leading one and consecutive messages from the same
+     * role are merged, so a summary never breaks the API's ordering rules.
+     *
+     * @param {string|Array<Object>} [content] - An optional new user message to append
+     * @returns {Array<Object>} The API messages
+     */
+    toMessages(content) {
+        return this.render(this, content);
+    }
+
+    /**
+     * Build API messages from a conversation state
+     *
+     * @param {Object} state - `{ messages, summary, segments }`
+     * @param {string|Array<Object>} [content] - An optional new user message to append
+     * @returns {Array<Object>} The API messages
+     * @private
+     */
+    render(state, content) {
+        const messages = [];
+        const segments = state.segments || [];
+        const system = [
+            this.systemPrompt,
+            state.summary && `Previous conversation summary: ${state.summary}`,
+            segments.length > 0 && `Summaries of earlier parts of the conversation, oldest first:\n${
+                segments.map((segment, i) => `${i + 1}. ${segment}`).join('\n')
+            }`
+        ].filter(Boolean).join('\n\n');
+
+        if (system) {
+            messages.push({ role: 'system', content: system });
+        }
+        // `pinned` is a local marker, not an API field
+        messages.push(...state.messages.map(({ pinned, ...message }) => message));
+        if (content !== undefined) {
+            messages.push({ role: 'user', content });
+        }
+        return normalizeMessages(messages);
+    }
+
+    /**
+     * Get the token usage and estimated cost of this conversation so far
+     *
+     * Includes summarization requests. Requires usage tracking on the client
+     * (the default).
+     *
+     * @returns {Object|null} `{ requests, promptTokens, completionTokens, totalTokens, searchRequests, cost }`, or null without a ledger
+     * @example
+     * console.log(`$${conversation.getUsage().cost.toFixed(4)}`);
+     */
+    getUsage() {
+        return this.client.usage ? this.client.usage.summary({ conversationId: this.id }).totals : null;
+    }
+
+    /**
+     * Add messages to the history
+     *
+     * @param {...Object} messages - Messages with `role` and `content`
+     * @returns {Conversation} This conversation, for chaining
+     */
+    append(...messages) {
+        this.messages.push(...messages);
+        this.touch();
+        return this;
+    }
+
+    /**
+     * Clear the history and summary, keeping the system prompt and options
+     *
+     * @returns {Conversation} This conversation, for chaining
+     */
+    reset() {
+        this.messages = [];
+        this.summary = null;
+        this.segments = [];
+        this.lastContext = [];
+        this.touch();
+        return this;
+    }
+
+    /**
+     * Serialize the conversation state
+     *
+     * Request-only options such as `signal` are left out.
+     *
+     * @returns {Object} Plain JSON-safe object accepted by {@link Conversation.fromJSON}
+     */
+    toJSON() {
+        const { signal, ...options } = this.options;
+
+        return {
+            id: this.id,
+            systemPrompt: this.systemPrompt,
+            summary: this.summary,
+            segments: this.segments,
+            messages: this.messages,
+            options,
+            summarization: this.summarization,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Restore a conversation from its serialized form
+     *
+     * @param {PerplexityClient} client - The client used to send requests
+     * @param {Object|string} data - The output of `toJSON()`, or the same as a JSON string
+     * @returns {Conversation} The restored conversation
+     * @example
+     * const conversation = Conversation.fromJSON(client, fs.readFileSync('chat.json', 'utf8'));
+     */
+    static fromJSON(client, data) {
+        return new Conversation(client, typeof data === 'string' ? JSON.parse(data) : data);
+    }
+
+    /**
+     * Update the modification timestamp
+     *
+     * @private
+     */
+    touch() {
+        this.updatedAt = new Date().toISOString();
+    }
+}
+
+module.exports = Conversation;
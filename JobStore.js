@@ -0,0 +1,236 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isJobFinished } = require('./jobs');
+const { AbortError, PerplexityError } = require('./errors');
+
+/**
+ * Job Store
+ *
+ * Keeps track of asynchronous jobs for an application: submits them, polls
+ * every unfinished job in the background and emits an `update` event
+ * whenever one changes. With a `file`, jobs are saved as JSON and picked up
+ * again by `load()`, so a restarted process keeps following the jobs it
+ * submitted before.
+ *
+ * Each stored job is a {@link Job} plus the `metadata` given on submission
+ * (e.g. the conversation it belongs to) and an `updatedAt` timestamp.
+ * Failures to save the file are emitted as `error` events.
+ *
+ * @class JobStore
+ * @extends EventEmitter
+ * @example
+ * const jobs = new JobStore(client, { file: '.perplexity-jobs.json' });
+ * await jobs.load();
+ * jobs.on('update', job => {
+ *   if (job.status === 'completed') console.log(job.completion.choices[0].message.content);
+ * });
+ * await jobs.submit({ model: 'sonar-deep-research', messages }, { conversationId: 'abc' });
+ */
+class JobStore extends EventEmitter {
+    /**
+     * Create a store
+     *
+     * @param {PerplexityClient} client - Client that submits and polls the jobs
+     * @param {Object} [options={}] - Store options
+     * @param {string} [options.file] - JSON file to persist jobs in; in memory only when omitted
+     * @param {number} [options.interval=5000] - Delay between polls of each job in milliseconds
+     * @param {number} [options.maxJobs=200] - Finished jobs kept; the oldest are dropped first
+     */
+    constructor(client, { file = null, interval = 5000, maxJobs = 200 } = {}) {
+        super();
+        this.client = client;
+        this.file = file;
+        this.interval = interval;
+        this.maxJobs = maxJobs;
+        this.jobs = new Map();
+        this.watchers = new Map();
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * Load saved jobs and resume following the unfinished ones
+     *
+     * A missing file is an empty store.
+     *
+     * @returns {Promise<Array<Object>>} The loaded jobs
+     * @throws {PerplexityError} If the file exists but cannot be read
+     */
+    async load() {
+        if (!this.file) {
+            return this.list();
+        }
+
+        let saved = [];
+        try {
+            saved = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new PerplexityError(`Could not read jobs from ${this.file}: ${error.message}`, { code: 'invalid_job_store', cause: error });
+            }
+        }
+
+        for (const job of Array.isArray(saved) ? saved : []) {
+            this.jobs.set(job.id, job);
+            if (!isJobFinished(job)) {
+                this.watch(job.id);
+            }
+        }
+        return this.list();
+    }
+
+    /**
+     * Submit a job and start following it
+     *
+     * @param {Object} options - The chat completion options, see `client.submitJob()`
+     * @param {Object} [metadata={}] - Application data stored with the job; `metadata.usageTags` is used for usage accounting
+     * @returns {Promise<Object>} The stored job
+     * @throws {PerplexityError} If the API rejects the job
+     */
+    async submit(options, metadata = {}) {
+        const job = await this.client.submitJob(options);
+        const stored = this.update(job.id, { ...job, metadata });
+        this.watch(job.id);
+        return stored;
+    }
+
+    /**
+     * Get a job
+     *
+     * @param {string} id - The job id
+     * @returns {Object|null} The job, or null when it is unknown
+     */
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * List the jobs, newest first
+     *
+     * @param {Object} [filter={}] - Filters
+     * @param {string} [filter.status] - Only jobs with this status
+     * @returns {Array<Object>} The jobs
+     */
+    list({ status } = {}) {
+        return [...this.jobs.values()]
+            .filter(job => !status || job.status === status)
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    }
+
+    /**
+     * Cancel a job (see `client.cancelJob()`: it may still run upstream)
+     *
+     * @param {string} id - The job id
+     * @returns {Object|null} The job, or null when it is unknown; finished jobs are returned unchanged
+     */
+    cancel(id) {
+        const job = this.get(id);
+        if (!job || isJobFinished(job)) {
+            return job;
+        }
+        this.client.cancelJob(id);
+        return this.update(id, { status: 'cancelled' });
+    }
+
+    /**
+     * Stop polling (jobs stay unfinished and are resumed by the next `load()`)
+     *
+     * @returns {Promise<void>} Resolves once pending writes are saved
+     */
+    close() {
+        this.watchers.forEach(controller => controller.abort());
+        this.watchers.clear();
+        return this.saving;
+    }
+
+    /**
+     * Poll a job until it finishes, recording every change
+     *
+     * @param {string} id - The job id
+     * @private
+     */
+    watch(id) {
+        if (this.watchers.has(id)) {
+            return;
+        }
+        const controller = new AbortController();
+        this.watchers.set(id, controller);
+
+        const metadata = this.get(id).metadata || {};
+        this.client.waitForJob(id, {
+            interval: this.interval,
+            signal: controller.signal,
+            usageTags: metadata.usageTags,
+            onProgress: job => {
+                if (job.status !== this.get(id).status && !isJobFinished(job)) {
+                    this.update(id, job);
+                }
+            }
+        }).then(job => {
+            this.update(id, job);
+        }).catch(error => {
+            // Stopped by close() or cancel(); cancel() already recorded the status
+            if (error instanceof AbortError) {
+                return;
+            }
+            this.update(id, { status: 'failed', error: error.message, failedAt: new Date().toISOString() });
+        }).finally(() => {
+            this.watchers.delete(id);
+        });
+    }
+
+    /**
+     * Merge changes into a job, save the store and emit `update`
+     *
+     * @param {string} id - The job id
+     * @param {Object} changes - The changed fields
+     * @returns {Object} The updated job
+     * @private
+     */
+    update(id, changes) {
+        const job = { ...this.jobs.get(id), ...changes, id, updatedAt: new Date().toISOString() };
+        this.jobs.set(id, job);
+        this.prune();
+        this.save();
+        this.emit('update', job);
+        return job;
+    }
+
+    /**
+     * Drop the oldest finished jobs beyond `maxJobs`
+     *
+     * @private
+     */
+    prune() {
+        const finished = this.list().filter(isJobFinished);
+        finished.slice(this.maxJobs).forEach(job => this.jobs.delete(job.id));
+    }
+
+    /**
+     * Write the jobs to the file, one write at a time
+     *
+     * Writes go to a temporary file that is then renamed, so a crash never
+     * leaves a truncated store behind.
+     *
+     * @private
+     */
+    save() {
+        if (!this.file) {
+            return;
+        }
+        this.saving = this.saving.then(async () => {
+            const temp = `${this.file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            await fs.promises.mkdir(path.dirname(path.resolve(this.file)), { recursive: true });
+            await fs.promises.writeFile(temp, JSON.stringify(this.list()));
+            await fs.promises.rename(temp, this.file);
+        }).catch(error => {
+            // Only reported to listeners: an unhandled 'error' event would crash the process
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', new PerplexityError(`Could not save jobs to ${this.file}: ${error.message}`, { code: 'invalid_job_store', cause: error }));
+            }
+        });
+    }
+}
+
+module.exports = JobStore;
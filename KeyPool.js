@@ -0,0 +1,248 @@
+const { InvalidRequestError } = require('./errors');
+
+/** Key selection strategies */
+const KEY_STRATEGIES = ['round-robin', 'least-used'];
+
+/**
+ * API Key Pool
+ *
+ * Spreads requests over several API keys. Each request takes a key with
+ * {@link KeyPool#acquire}; keys that answer 429 cool down for the
+ * `Retry-After` delay (or `cooldown`), and keys that answer 401 or 403 are
+ * considered invalid for `authCooldown`. The client fails over to another
+ * key right away when that happens. When every key is cooling down the one
+ * that recovers first is used, so a pool never refuses a request; with a
+ * single key it behaves exactly like a plain key.
+ *
+ * Requests, failures and token usage are counted per key, see
+ * {@link KeyPool#stats}.
+ *
+ * @class KeyPool
+ * @example
+ * const keys = new KeyPool(process.env.PERPLEXITY_API_KEYS.split(','), { strategy: 'least-used' });
+ * const client = new PerplexityClient(keys);
+ *
+ * client.on('failover', ({ from, status }) => console.log(`${from} answered ${status}, trying another key`));
+ * keys.stats(); // [{ id: 'key-1', key: 'pplx-abc****', status: 'active', requests: 12, ... }]
+ */
+class KeyPool {
+    /**
+     * Create a pool
+     *
+     * @param {string|Array<string>} keys - The API keys, as an array or a comma-separated string
+     * @param {Object} [options={}] - Pool options
+     * @param {string} [options.strategy='round-robin'] - `round-robin` or `least-used` (fewest requests so far)
+     * @param {number} [options.cooldown=60000] - How long a rate limited key rests when the API sends no `Retry-After`, in milliseconds
+     * @param {number} [options.authCooldown=600000] - How long a key rejected with 401 or 403 is skipped, in milliseconds
+     * @throws {InvalidRequestError} If there is no key or the strategy is unknown
+     */
+    constructor(keys, { strategy = 'round-robin', cooldown = 60 * 1000, authCooldown = 10 * 60 * 1000 } = {}) {
+        if (!KEY_STRATEGIES.includes(strategy)) {
+            throw new InvalidRequestError(
+                `Unknown key strategy "${strategy}", expected one of: ${KEY_STRATEGIES.join(', ')}`,
+                { code: 'invalid_key_strategy' }
+            );
+        }
+
+        this.strategy = strategy;
+        this.cooldown = cooldown;
+        this.authCooldown = authCooldown;
+        this.setKeys(keys);
+    }
+
+    /**
+     * Replace the keys, resetting their statistics
+     *
+     * @param {string|Array<string>} keys - The API keys, as an array or a comma-separated string
+     * @throws {InvalidRequestError} If there is no key
+     */
+    setKeys(keys) {
+        const list = [...new Set((Array.isArray(keys) ? keys : String(keys || '').split(','))
+            .map(key => String(key || '').trim())
+            .filter(Boolean))];
+        if (list.length === 0) {
+            throw new InvalidRequestError('At least one API key is required', { code: 'missing_api_key' });
+        }
+
+        this.keys = list.map((key, index) => ({
+            id: `key-${index + 1}`,
+            key,
+            requests: 0,
+            successes: 0,
+            failures: 0,
+            rateLimited: 0,
+            authFailures: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+            totalTokens: 0,
+            cost: 0,
+            invalid: false,
+            cooldownUntil: 0,
+            lastUsedAt: null,
+            lastError: null
+        }));
+        this.cursor = 0;
+    }
+
+    /**
+     * Number of keys in the pool
+     *
+     * @returns {number} The key count
+     */
+    get size() {
+        return this.keys.length;
+    }
+
+    /**
+     * Take a key for a request
+     *
+     * @param {Object} [options={}] - Selection options
+     * @param {Set<string>} [options.exclude] - Ids of keys to avoid (e.g. already tried for this request), unless no other key is left
+     * @returns {Object} The key record; `key` is the API key and `id` identifies it in stats and events
+     */
+    acquire({ exclude } = {}) {
+        const now = Date.now();
+        const candidates = this.keys.filter(record => !(exclude && exclude.has(record.id)));
+        const pool = candidates.length > 0 ? candidates : this.keys;
+        const available = pool.filter(record => record.cooldownUntil <= now);
+
+        let record;
+        if (available.length === 0) {
+            // Everything is resting: use the key that recovers first
+            record = pool.reduce((best, current) => (current.cooldownUntil < best.cooldownUntil ? current : best));
+        } else if (this.strategy === 'least-used') {
+            record = available.reduce((best, current) => (current.requests < best.requests ? current : best));
+        } else {
+            // The first available key at or after the cursor
+            const ordered = [...this.keys.slice(this.cursor), ...this.keys.slice(0, this.cursor)];
+            record = ordered.find(entry => available.includes(entry));
+            this.cursor = (this.keys.indexOf(record) + 1) % this.keys.length;
+        }
+
+        record.requests++;
+        record.lastUsedAt = new Date(now).toISOString();
+        return record;
+    }
+
+    /**
+     * Whether a key other than the excluded ones is ready to use
+     *
+     * @param {Set<string>} [exclude] - Ids of keys to leave out
+     * @returns {boolean} True when such a key is not cooling down
+     */
+    hasAvailable(exclude) {
+        const now = Date.now();
+        return this.keys.some(record => !(exclude && exclude.has(record.id)) && record.cooldownUntil <= now);
+    }
+
+    /**
+     * Record a successful request
+     *
+     * A success also clears an earlier authentication failure.
+     *
+     * @param {string} id - The key id
+     */
+    reportSuccess(id) {
+        const record = this.find(id);
+        if (!record) return;
+
+        record.successes++;
+        if (record.invalid) {
+            record.invalid = false;
+            record.cooldownUntil = 0;
+        }
+    }
+
+    /**
+     * Record a failed request, putting the key on cooldown when the failure is about the key
+     *
+     * @param {string} id - The key id
+     * @param {Object} failure - What went wrong
+     * @param {number|null} [failure.status] - The HTTP status, if the API answered
+     * @param {number|null} [failure.retryAfter] - The `Retry-After` delay in milliseconds, if sent
+     * @param {string} [failure.message] - Description kept as `lastError`
+     * @returns {boolean} True when the key was put on cooldown, i.e. another key may succeed
+     */
+    reportFailure(id, { status = null, retryAfter = null, message = null } = {}) {
+        const record = this.find(id);
+        if (!record) return false;
+
+        record.failures++;
+        record.lastError = message;
+        if (status === 429) {
+            record.rateLimited++;
+            record.cooldownUntil = Date.now() + (retryAfter !== null ? retryAfter : this.cooldown);
+            return true;
+        }
+        if (status === 401 || status === 403) {
+            record.authFailures++;
+            record.invalid = true;
+            record.cooldownUntil = Date.now() + this.authCooldown;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Add the tokens and cost of a completion to a key's totals
+     *
+     * @param {string} id - The key id
+     * @param {Object} entry - A usage ledger entry (`promptTokens`, `completionTokens`, `totalTokens`, `cost`)
+     */
+    recordUsage(id, entry) {
+        const record = this.find(id);
+        if (!record || !entry) return;
+
+        record.promptTokens += entry.promptTokens || 0;
+        record.completionTokens += entry.completionTokens || 0;
+        record.totalTokens += entry.totalTokens || 0;
+        record.cost += entry.cost || 0;
+    }
+
+    /**
+     * Health and usage of every key, with the keys masked
+     *
+     * @returns {Array<Object>} `{ id, key, status, cooldownUntil, requests, successes, failures, rateLimited,
+     *   authFailures, promptTokens, completionTokens, totalTokens, cost, lastUsedAt, lastError }` per key,
+     *   where `status` is `active`, `cooling_down` or `invalid`
+     */
+    stats() {
+        const now = Date.now();
+        return this.keys.map(({ key, invalid, cooldownUntil, ...record }) => {
+            const resting = cooldownUntil > now;
+            return {
+                id: record.id,
+                key: maskApiKey(key),
+                status: invalid && resting ? 'invalid' : resting ? 'cooling_down' : 'active',
+                cooldownUntil: resting ? new Date(cooldownUntil).toISOString() : null,
+                ...record,
+                cost: Math.round(record.cost * 1e6) / 1e6
+            };
+        });
+    }
+
+    /**
+     * Find a key record by id
+     *
+     * @param {string} id - The key id
+     * @returns {Object|undefined} The record
+     * @private
+     */
+    find(id) {
+        return this.keys.find(record => record.id === id);
+    }
+}
+
+/**
+ * Mask an API key for logs and status pages
+ *
+ * @param {string} key - The API key
+ * @returns {string} The first 8 characters followed by asterisks
+ */
+function maskApiKey(key) {
+    return key ? `${key.substring(0, 8)}${'*'.repeat(Math.max(0, key.length - 8))}` : 'No API key set';
+}
+
+module.exports = KeyPool;
+module.exports.KEY_STRATEGIES = KEY_STRATEGIES;
+module.exports.maskApiKey = maskApiKey;
@@ -0,0 +1,500 @@
+const http = require('http');
+const crypto = require('crypto');
+const { CONTEXT_WINDOWS, MODELS } = require('./models');
+const { estimateTokens, countMessageTokens } = require('./tokens');
+
+/**
+ * Mock Perplexity Server
+ *
+ * A local stand-in for the Perplexity API, for developing and testing
+ * without an API key or network access. It implements `POST /chat/completions`
+ * (JSON and SSE streaming, with citations, search results and usage), the
+ * async jobs API (`/async/chat/completions`) and `GET /models`, checks the
+ * `Authorization` header and the request body like the real API, and can
+ * inject errors.
+ *
+ * Answers are deterministic: the same request always gets the same answer.
+ * Pass `respond` to script them.
+ *
+ * Run it on its own with `npm run mock` (port `MOCK_PORT`, default 4010) and
+ * point the client or the web server at it with `PERPLEXITY_BASE_URL`.
+ *
+ * @class MockPerplexityServer
+ * @example
+ * const mock = new MockPerplexityServer({ respond: ({ question }) => `You asked: ${question}` });
+ * const baseURL = await mock.listen();
+ * const client = new PerplexityClient('test-key', baseURL);
+ *
+ * mock.injectError({ status: 429, retryAfter: 1, times: 1 });
+ * await client.ask('Hello?'); // retried once, then answered
+ * console.log(mock.requests.length); // 2
+ * await mock.close();
+ */
+class MockPerplexityServer {
+    /**
+     * Create a mock server (call `listen()` to start it)
+     *
+     * @param {Object} [options={}] - Mock options
+     * @param {Function} [options.respond] - `({ question, messages, body }) => string | { content, citations, search_results, ... }`
+     * @param {string|Array<string>} [options.apiKey] - Only accept this key (or these keys); by default any Bearer token is accepted
+     * @param {Array<string>} [options.models] - Accepted model names, defaults to the models in `models.js`
+     * @param {number} [options.latency=0] - Delay before each response in milliseconds
+     * @param {number} [options.chunkDelay=0] - Delay between stream chunks in milliseconds
+     * @param {number} [options.jobDuration=1000] - Time an async job takes to complete in milliseconds
+     * @param {Array<Object>} [options.errors=[]] - Error rules, see {@link MockPerplexityServer#injectError}
+     */
+    constructor({ respond, apiKey, models = Object.keys(CONTEXT_WINDOWS), latency = 0, chunkDelay = 0, jobDuration = 1000, errors = [] } = {}) {
+        this.respond = respond || defaultRespond;
+        this.apiKey = apiKey;
+        this.models = models;
+        this.latency = latency;
+        this.chunkDelay = chunkDelay;
+        this.jobDuration = jobDuration;
+        this.errors = [];
+        this.requests = [];
+        this.jobs = new Map();
+        this.server = http.createServer((req, res) => {
+            // A failing `respond` answers with a 500, like an upstream bug would
+            this.handle(req, res).catch(error => {
+                if (res.headersSent) {
+                    return res.destroy();
+                }
+                sendJSON(res, 500, apiError(error.message, 'internal_error'));
+            });
+        });
+        this.url = null;
+
+        errors.forEach(rule => this.injectError(rule));
+    }
+
+    /**
+     * Start listening
+     *
+     * @param {number} [port=0] - Port, 0 picks a free one
+     * @param {string} [host='127.0.0.1'] - Interface to bind
+     * @returns {Promise<string>} The base URL, e.g. `http://127.0.0.1:4010`
+     */
+    listen(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                this.url = `http://${host}:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Stop the server, closing open connections
+     *
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise(resolve => {
+            if (typeof this.server.closeAllConnections === 'function') {
+                this.server.closeAllConnections();
+            }
+            this.server.close(() => resolve());
+        });
+    }
+
+    /**
+     * Make matching requests fail
+     *
+     * @param {Object} rule - The error rule
+     * @param {number} [rule.status=500] - HTTP status to answer with
+     * @param {string} [rule.message] - Error message
+     * @param {string} [rule.type] - Error type (e.g. `invalid_api_key`)
+     * @param {number} [rule.retryAfter] - `Retry-After` header in seconds
+     * @param {number} [rule.times=Infinity] - How many requests fail before the rule is dropped
+     * @param {string|RegExp|Function} [rule.match] - Only fail requests whose last message contains or matches this, or for which `match(body, path)` returns true
+     * @param {string} [rule.path] - Only fail requests to this path (`/chat/completions`, `/async/chat/completions`, `/models`)
+     * @param {string} [rule.apiKey] - Only fail requests made with this API key
+     * @param {number} [rule.afterChunks] - For streaming requests, drop the connection after this many chunks instead of answering with an error status
+     * @returns {MockPerplexityServer} This server, for chaining
+     */
+    injectError(rule) {
+        this.errors.push({ status: 500, times: Infinity, ...rule });
+        return this;
+    }
+
+    /**
+     * Forget recorded requests, error rules and jobs
+     *
+     * @returns {MockPerplexityServer} This server, for chaining
+     */
+    reset() {
+        this.requests = [];
+        this.errors = [];
+        this.jobs.clear();
+        return this;
+    }
+
+    /**
+     * Handle an HTTP request
+     *
+     * @param {http.IncomingMessage} req - The request
+     * @param {http.ServerResponse} res - The response
+     * @private
+     */
+    async handle(req, res) {
+        let raw = '';
+        for await (const piece of req) {
+            raw += piece;
+        }
+
+        const path = req.url.split('?')[0];
+        let body = null;
+        try {
+            body = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            return sendJSON(res, 400, apiError('Request body is not valid JSON', 'invalid_request'));
+        }
+        this.requests.push({ method: req.method, path, headers: req.headers, body });
+
+        if (this.latency) {
+            await delay(this.latency);
+        }
+
+        const [, key] = /^Bearer (\S+)/.exec(req.headers.authorization || '') || [];
+        if (!key || (this.apiKey && ![].concat(this.apiKey).includes(key))) {
+            return sendJSON(res, 401, apiError('Invalid API key', 'invalid_api_key'));
+        }
+
+        const rule = this.takeError(path, body, key);
+        if (rule && rule.afterChunks === undefined) {
+            return sendJSON(res, rule.status, apiError(rule.message || http.STATUS_CODES[rule.status] || 'Mock error', rule.type),
+                rule.retryAfter !== undefined ? { 'Retry-After': String(rule.retryAfter) } : {});
+        }
+
+        if (req.method === 'GET' && path === '/models') {
+            return sendJSON(res, 200, {
+                object: 'list',
+                data: this.models.map(id => ({ id, object: 'model', owned_by: 'perplexity', context_window: CONTEXT_WINDOWS[id] || null }))
+            });
+        }
+        if (req.method === 'POST' && path === '/chat/completions') {
+            return this.complete(res, body || {}, rule);
+        }
+        if (path === '/async/chat/completions' || path.startsWith('/async/chat/completions/')) {
+            return this.handleJob(req.method, path, body || {}, res);
+        }
+        sendJSON(res, 404, apiError(`No route for ${req.method} ${path}`, 'not_found'));
+    }
+
+    /**
+     * Answer a chat completion request
+     *
+     * @param {http.ServerResponse} res - The response
+     * @param {Object} body - The request body
+     * @param {Object} [rule] - An error rule that cuts the stream short
+     * @private
+     */
+    async complete(res, body, rule) {
+        const invalid = this.checkRequest(body);
+        if (invalid) {
+            return sendJSON(res, 400, invalid);
+        }
+
+        const { completion, content } = await this.answer(body);
+        if (!body.stream) {
+            return sendJSON(res, 200, toCompletion(completion, content));
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+        res.flushHeaders();
+
+        // One chunk per word, keeping whitespace; usage arrives with the last chunk
+        const pieces = content.match(/\s*\S+\s*/g) || [''];
+        const { usage, ...meta } = completion;
+        for (let i = 0; i < pieces.length; i++) {
+            if (rule && i >= rule.afterChunks) {
+                // Drop the connection once the chunks sent so far have been flushed
+                return new Promise(resolve => res.write('', () => {
+                    res.destroy();
+                    resolve();
+                }));
+            }
+            const last = i === pieces.length - 1;
+            writeEvent(res, {
+                ...meta,
+                ...(last && { usage }),
+                object: 'chat.completion.chunk',
+                choices: [{
+                    index: 0,
+                    finish_reason: last ? 'stop' : null,
+                    delta: { ...(i === 0 && { role: 'assistant' }), content: pieces[i] }
+                }]
+            });
+            if (this.chunkDelay) {
+                await delay(this.chunkDelay);
+            }
+        }
+        res.end('data: [DONE]\n\n');
+    }
+
+    /**
+     * Build the answer to a chat completion request
+     *
+     * @param {Object} body - The request body
+     * @returns {Promise<Object>} `{ completion, content }`: the completion fields other than `choices`, and the answer text
+     * @private
+     */
+    async answer(body) {
+        const { model = 'sonar', messages } = body;
+        const question = getText(messages.filter(message => message.role === 'user').pop());
+        const answer = await this.respond({ question, messages, body });
+        const { content = '', citations = [], search_results = [], ...extra } = typeof answer === 'string' ? { content: answer } : answer;
+
+        const completion = {
+            id: crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex').slice(0, 32),
+            model,
+            created: 1700000000,
+            usage: {
+                prompt_tokens: countMessageTokens(messages),
+                completion_tokens: estimateTokens(content),
+                total_tokens: countMessageTokens(messages) + estimateTokens(content),
+                search_context_size: body.web_search_options?.search_context_size || 'low'
+            },
+            citations,
+            search_results,
+            ...extra
+        };
+        return { completion, content };
+    }
+
+    /**
+     * Check a chat completion request body
+     *
+     * @param {Object} body - The request body
+     * @returns {Object|null} The API error body, or null when the request is valid
+     * @private
+     */
+    checkRequest(body) {
+        const { model = 'sonar', messages } = body;
+        if (!Array.isArray(messages) || messages.length === 0) {
+            return apiError('messages must be a non-empty array', 'invalid_request');
+        }
+        if (!this.models.includes(model)) {
+            return apiError(`Invalid model '${model}'`, 'invalid_model');
+        }
+        return null;
+    }
+
+    /**
+     * Answer the async jobs API
+     *
+     * `POST /async/chat/completions` submits `{ request }`; the job is
+     * `CREATED` until first polled, `IN_PROGRESS` until `jobDuration` has
+     * passed, then `COMPLETED` with the same answer `POST /chat/completions`
+     * would give. `GET` lists jobs, or returns one by id.
+     *
+     * @param {string} method - The HTTP method
+     * @param {string} path - The request path
+     * @param {Object} body - The request body
+     * @param {http.ServerResponse} res - The response
+     * @private
+     */
+    async handleJob(method, path, body, res) {
+        const id = decodeURIComponent(path.slice('/async/chat/completions/'.length));
+
+        if (method === 'POST' && !id) {
+            const request = body.request || {};
+            const invalid = this.checkRequest(request);
+            if (invalid) {
+                return sendJSON(res, 400, invalid);
+            }
+            const job = {
+                id: crypto.randomBytes(16).toString('hex'),
+                model: request.model || 'sonar',
+                status: 'CREATED',
+                created_at: Math.floor(Date.now() / 1000),
+                request,
+                readyAt: Date.now() + this.jobDuration
+            };
+            this.jobs.set(job.id, job);
+            return sendJSON(res, 200, describeJob(job));
+        }
+
+        if (method === 'GET' && !id) {
+            return sendJSON(res, 200, { requests: [...this.jobs.values()].map(describeJob) });
+        }
+
+        const job = this.jobs.get(id);
+        if (method !== 'GET' || !job) {
+            return sendJSON(res, 404, apiError(`No job ${id}`, 'not_found'));
+        }
+
+        if (job.status === 'CREATED') {
+            job.status = 'IN_PROGRESS';
+            job.started_at = Math.floor(Date.now() / 1000);
+        }
+        if (job.status === 'IN_PROGRESS' && Date.now() >= job.readyAt) {
+            const { completion, content } = await this.answer({ ...job.request, stream: false });
+            job.response = toCompletion(completion, content);
+            job.status = 'COMPLETED';
+            job.completed_at = Math.floor(Date.now() / 1000);
+        }
+        sendJSON(res, 200, { ...describeJob(job), ...(job.response && { response: job.response }) });
+    }
+
+    /**
+     * Find the first error rule matching a request, and count it down
+     *
+     * @param {string} path - The request path
+     * @param {Object|null} body - The request body
+     * @param {string} apiKey - The API key the request was made with
+     * @returns {Object|null} The rule, or null
+     * @private
+     */
+    takeError(path, body, apiKey) {
+        const text = body && Array.isArray(body.messages) ? getText(body.messages[body.messages.length - 1]) : '';
+        const rule = this.errors.find(candidate =>
+            (!candidate.path || candidate.path === path) &&
+            (!candidate.apiKey || candidate.apiKey === apiKey) &&
+            (candidate.afterChunks === undefined || (body && body.stream)) &&
+            (!candidate.match ||
+                (typeof candidate.match === 'function' ? candidate.match(body, path)
+                    : candidate.match instanceof RegExp ? candidate.match.test(text)
+                        : text.includes(candidate.match)))
+        );
+        if (!rule) {
+            return null;
+        }
+        if (--rule.times <= 0) {
+            this.errors.splice(this.errors.indexOf(rule), 1);
+        }
+        return rule;
+    }
+}
+
+/**
+ * Default answer: a fixed sentence about the question, citing two sources,
+ * after a `<think>` block for reasoning models
+ *
+ * @param {Object} request - `{ question, body }`
+ * @returns {Object} The answer content, citations and search results
+ * @private
+ */
+function defaultRespond({ question, body }) {
+    const sources = [1, 2].map(n => ({
+        title: `Mock source ${n}`,
+        url: `https://example.com/mock-source-${n}`,
+        date: `2025-01-0${n}`,
+        snippet: `Snippet ${n} about "${question.slice(0, 40)}".`
+    }));
+    // Reasoning models think out loud first, like the real ones
+    const thinking = MODELS[body.model] && MODELS[body.model].reasoning
+        ? `<think>\nThe user asks "${question.slice(0, 40)}". Two mock sources cover it.\n</think>\n\n`
+        : '';
+    return {
+        content: `${thinking}This is a mock answer to "${question}" [1]. A second source agrees [2].`,
+        citations: sources.map(source => source.url),
+        search_results: sources
+    };
+}
+
+/**
+ * A non-streamed chat completion
+ *
+ * @param {Object} completion - The completion fields other than `choices`
+ * @param {string} content - The answer text
+ * @returns {Object} The completion
+ * @private
+ */
+function toCompletion(completion, content) {
+    return {
+        ...completion,
+        object: 'chat.completion',
+        choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }]
+    };
+}
+
+/**
+ * The public fields of a mock job, without its response
+ *
+ * @param {Object} job - The job
+ * @returns {Object} The job as the API describes it
+ * @private
+ */
+function describeJob(job) {
+    const { request, readyAt, response, ...fields } = job;
+    return fields;
+}
+
+/**
+ * Plain text of a message (text parts of multi-part content are joined)
+ *
+ * @param {Object} [message] - The message
+ * @returns {string} The text
+ * @private
+ */
+function getText(message) {
+    if (!message) {
+        return '';
+    }
+    if (Array.isArray(message.content)) {
+        return message.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+    }
+    return String(message.content || '');
+}
+
+/**
+ * Error body in the API's format
+ *
+ * @param {string} message - The message
+ * @param {string} [type] - The error type
+ * @returns {Object} `{ error: { message, type } }`
+ * @private
+ */
+function apiError(message, type = 'mock_error') {
+    return { error: { message, type } };
+}
+
+/**
+ * Send a JSON response
+ *
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status
+ * @param {Object} body - The body
+ * @param {Object} [headers={}] - Extra headers
+ * @private
+ */
+function sendJSON(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Write a Server-Sent Event
+ *
+ * @param {http.ServerResponse} res - The response
+ * @param {Object} data - The event payload
+ * @private
+ */
+function writeEvent(res, data) {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Wait for the given number of milliseconds
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ * @private
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = MockPerplexityServer;
+
+// Run a standalone mock server
+if (require.main === module) {
+    const mock = new MockPerplexityServer({ chunkDelay: 30 });
+    mock.listen(Number(process.env.MOCK_PORT) || 4010, process.env.MOCK_HOST || '127.0.0.1').then(url => {
+        console.log(`🧪 Mock Perplexity API running on ${url}`);
+        console.log(`   Try: PERPLEXITY_BASE_URL=${url} PERPLEXITY_API_KEY=test npm start`);
+    });
+}
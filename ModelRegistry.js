@@ -0,0 +1,286 @@
+const { MODELS, DEFAULT_CONTEXT_WINDOW } = require('./models');
+const { APIError, InvalidRequestError } = require('./errors');
+const { hasImages } = require('./content');
+
+/** Request fields that only models with web search accept */
+const SEARCH_FIELDS = [
+    'search_domain_filter',
+    'search_recency_filter',
+    'search_after_date_filter',
+    'search_before_date_filter',
+    'web_search_options',
+    'return_images',
+    'return_related_questions'
+];
+
+/** Fields a model entry may set */
+const MODEL_FIELDS = ['displayName', 'contextWindow', 'maxOutputTokens', 'search', 'reasoning', 'images', 'pricing'];
+
+/**
+ * Model Registry
+ *
+ * One place for everything known about the available models: display name,
+ * context window, maximum output, capabilities and pricing. Entries are
+ * merged from three layers, later ones winning field by field:
+ *
+ * 1. the built-in table in `models.js`
+ * 2. the API's `/models` list, once {@link ModelRegistry#refresh} loaded it
+ * 3. configuration overrides, which may also add models
+ *
+ * Request bodies can be checked against the model's capabilities before
+ * they are sent, see {@link ModelRegistry#validateRequest}.
+ *
+ * @class ModelRegistry
+ * @example
+ * const registry = new ModelRegistry({
+ *   models: { 'sonar-pro': { maxOutputTokens: 4000 }, 'my-finetune': { displayName: 'Custom', search: false } }
+ * });
+ * await registry.refresh(client);
+ * registry.list().map(model => model.displayName); // ['Sonar', 'Sonar Pro', ..., 'Custom']
+ */
+class ModelRegistry {
+    /**
+     * Create a registry
+     *
+     * @param {Object} [options={}] - Registry options
+     * @param {Object<string, Object>} [options.models={}] - Overrides by model name; any {@link ModelInfo} field except `id`
+     * @throws {InvalidRequestError} If an override is not an object
+     */
+    constructor({ models = {} } = {}) {
+        for (const [id, override] of Object.entries(models)) {
+            if (!override || typeof override !== 'object' || Array.isArray(override)) {
+                throw new InvalidRequestError(`Model override for "${id}" must be an object`, { code: 'invalid_model_config' });
+            }
+        }
+
+        this.overrides = models;
+        this.remote = null;
+        this.refreshedAt = null;
+    }
+
+    /**
+     * Get a model
+     *
+     * @param {string} id - The model name
+     * @returns {ModelInfo|null} The merged entry, or null for unknown models
+     */
+    get(id) {
+        const layers = [ownEntry(MODELS, id), ownEntry(this.remote, id), ownEntry(this.overrides, id)].filter(Boolean);
+        if (layers.length === 0) {
+            return null;
+        }
+
+        const model = {
+            id,
+            displayName: id,
+            contextWindow: DEFAULT_CONTEXT_WINDOW,
+            maxOutputTokens: null,
+            search: null,
+            reasoning: null,
+            images: null,
+            pricing: null
+        };
+        for (const layer of layers) {
+            for (const field of MODEL_FIELDS) {
+                if (layer[field] !== undefined && layer[field] !== null) {
+                    model[field] = layer[field];
+                }
+            }
+        }
+        model.available = this.remote ? Boolean(ownEntry(this.remote, id) || ownEntry(this.overrides, id)) : null;
+        return model;
+    }
+
+    /**
+     * Whether the registry knows a model
+     *
+     * @param {string} id - The model name
+     * @returns {boolean} True for built-in, listed and configured models
+     */
+    has(id) {
+        return Boolean(ownEntry(MODELS, id) || ownEntry(this.remote, id) || ownEntry(this.overrides, id));
+    }
+
+    /**
+     * List the models
+     *
+     * Once the API's list was loaded, built-in models it does not include are
+     * left out unless `all` is set.
+     *
+     * @param {Object} [options={}] - List options
+     * @param {boolean} [options.all=false] - Include models the API did not list
+     * @returns {Array<ModelInfo>} Built-in models first, in table order, then the others
+     */
+    list({ all = false } = {}) {
+        const ids = new Set([...Object.keys(MODELS), ...Object.keys(this.remote || {}), ...Object.keys(this.overrides)]);
+        return [...ids]
+            .map(id => this.get(id))
+            .filter(model => all || model.available !== false);
+    }
+
+    /**
+     * Get the context window of a model
+     *
+     * @param {string} id - The model name
+     * @returns {number} The context window size in tokens
+     */
+    getContextWindow(id) {
+        const model = this.get(id);
+        return model ? model.contextWindow : DEFAULT_CONTEXT_WINDOW;
+    }
+
+    /**
+     * Get the pricing of a model
+     *
+     * @param {string} id - The model name
+     * @returns {ModelPricing|null} The pricing, or null when it is unknown
+     */
+    getPricing(id) {
+        const model = this.get(id);
+        return model ? model.pricing : null;
+    }
+
+    /**
+     * Merge the API's model list into the registry
+     *
+     * Accepts the `/models` response (`{ data: [...] }`) or its array of
+     * models. Each entry needs an `id`; `display_name` (or `name`),
+     * `context_window` (or `context_length`) and `max_output_tokens` are used
+     * when present. The list replaces the one merged before.
+     *
+     * Anything else (an HTML page from a proxy, `{}`, a list without a
+     * single model) is rejected and the registry is left as it was: the
+     * list decides which models are available, so a broken one would mark
+     * them all unavailable.
+     *
+     * @param {Object|Array<Object>} response - The API's model list
+     * @returns {ModelRegistry} The registry, for chaining
+     * @throws {APIError} With code `invalid_model_list` if the response holds no models
+     */
+    merge(response) {
+        const entries = Array.isArray(response) ? response : (response && Array.isArray(response.data) ? response.data : null);
+        const models = (entries || []).filter(entry => entry && typeof entry.id === 'string');
+        if (models.length === 0) {
+            throw new APIError('The model list holds no models', { code: 'invalid_model_list', body: response });
+        }
+
+        // No prototype, so models named like Object.prototype members stay plain entries
+        this.remote = Object.create(null);
+        for (const entry of models) {
+            this.remote[entry.id] = {
+                displayName: entry.display_name || entry.name,
+                contextWindow: toPositiveInteger(entry.context_window || entry.context_length),
+                maxOutputTokens: toPositiveInteger(entry.max_output_tokens)
+            };
+        }
+        this.refreshedAt = new Date().toISOString();
+        return this;
+    }
+
+    /**
+     * Load the API's model list
+     *
+     * Not every deployment serves `/models`; when the call fails or answers
+     * with something other than a model list, the registry keeps what it had
+     * and the error is returned instead of thrown, so callers can refresh
+     * opportunistically.
+     *
+     * @param {PerplexityClient} client - Client to call `getModels()` on
+     * @param {Object} [options={}] - Request options
+     * @param {AbortSignal} [options.signal] - Signal to cancel the request
+     * @returns {Promise<Object>} `{ models, error }` where `error` is null when the list was loaded
+     */
+    async refresh(client, options = {}) {
+        try {
+            this.merge(await client.getModels(options));
+            return { models: this.list(), error: null };
+        } catch (error) {
+            return { models: this.list(), error };
+        }
+    }
+
+    /**
+     * Check a request body against its model's capabilities
+     *
+     * Capabilities that are unknown (null) are not checked, and neither are
+     * models the registry does not know, unless the API's list was loaded,
+     * in which case unknown or unlisted models are reported.
+     *
+     * @param {Object} data - The request body (`model`, `max_tokens`, search fields, `reasoning_effort`, `messages`)
+     * @returns {Array<Object>} `[{ option, rule, message }]`; empty when the request is valid
+     */
+    validateRequest(data = {}) {
+        const violations = [];
+        const add = (option, rule, message) => violations.push({ option, rule, message });
+        const model = this.get(data.model);
+
+        if (!model) {
+            if (this.remote) {
+                add('model', 'unknown_model', `Unknown model "${data.model}"; available: ${this.list().map(entry => entry.id).join(', ')}`);
+            }
+            return violations;
+        }
+
+        if (model.available === false) {
+            add('model', 'model_unavailable', `Model "${model.id}" is not available with this API key`);
+        }
+        if (model.maxOutputTokens && typeof data.max_tokens === 'number' && data.max_tokens > model.maxOutputTokens) {
+            add('max_tokens', 'max_tokens_exceeded', `max_tokens is ${data.max_tokens}, but ${model.displayName} answers with at most ${model.maxOutputTokens} tokens`);
+        }
+        if (model.search === false) {
+            for (const field of SEARCH_FIELDS.filter(name => data[name] !== undefined)) {
+                add(field, 'search_not_supported', `${model.displayName} does not search the web, so ${field} is not supported`);
+            }
+        }
+        if (model.reasoning === false && data.reasoning_effort !== undefined) {
+            add('reasoning_effort', 'reasoning_not_supported', `${model.displayName} is not a reasoning model, so reasoning_effort is not supported`);
+        }
+        if (model.images === false && Array.isArray(data.messages) && data.messages.some(message => message && hasImages(message.content))) {
+            add('messages', 'images_not_supported', `${model.displayName} does not accept images`);
+        }
+        return violations;
+    }
+
+    /**
+     * Check a request body and throw when the model can't serve it
+     *
+     * @param {Object} data - The request body
+     * @throws {InvalidRequestError} With code `unsupported_model_option` and the `errors` found
+     */
+    assertRequest(data) {
+        const errors = this.validateRequest(data);
+        if (errors.length > 0) {
+            throw new InvalidRequestError(errors.map(error => error.message).join('; '), {
+                code: 'unsupported_model_option',
+                errors
+            });
+        }
+    }
+}
+
+/**
+ * An entry of a table, ignoring names inherited from Object.prototype
+ *
+ * @param {Object|null} table - Models by name
+ * @param {string} id - The model name
+ * @returns {Object|undefined} The entry
+ * @private
+ */
+function ownEntry(table, id) {
+    return table && Object.prototype.hasOwnProperty.call(table, id) ? table[id] : undefined;
+}
+
+/**
+ * A positive integer, or undefined
+ *
+ * @param {*} value - The value from the API
+ * @returns {number|undefined} The integer
+ * @private
+ */
+function toPositiveInteger(value) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : undefined;
+}
+
+module.exports = ModelRegistry;
+module.exports.SEARCH_FIELDS = SEARCH_FIELDS;
@@ -1,4 +1,72 @@
+const { EventEmitter } = require('events');
 const axios = require('axios');
+const ChatCompletionStream = require('./ChatCompletionStream');
+const { toSSE } = ChatCompletionStream;
+const Conversation = require('./Conversation');
+const UsageLedger = require('./UsageLedger');
+const RateLimiter = require('./RateLimiter');
+const ModelRegistry = require('./ModelRegistry');
+const KeyPool = require('./KeyPool');
+const { maskApiKey } = KeyPool;
+const { PerplexityProvider, createProvider, matchRoute } = require('./providers');
+const { ResponseCache } = require('./cache');
+const { runBatch } = require('./batch');
+const { createFixtureHooks } = require('./fixtures');
+const { normalizeCompletion } = require('./answer');
+const { separateReasoning } = require('./reasoning');
+const { normalizeJob } = require('./jobs');
+const { buildSearchParams } = require('./search');
+const { parseStructuredOutput } = require('./schema');
+const { validateMessages, normalizeMessages } = require('./messages');
+const { countMessageTokens } = require('./tokens');
+const { buildContent, contentToText } = require('./content');
+const {
+    PerplexityError,
+    APIError,
+    AuthenticationError,
+    RateLimitError,
+    InvalidRequestError,
+    TimeoutError,
+    NetworkError,
+    AbortError,
+    ValidationError
+} = require('./errors');
+
+/**
+ * Default retry policy, see the constructor for the meaning of each field
+ * 
+ * @private
+ */
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 8000,
+    jitter: true,
+    retryOnStatus: [408, 429, 502, 503, 504],
+    retryOnCodes: ['ECONNABORTED', 'ETIMEDOUT'],
+    respectRetryAfter: true
+};
+
+/**
+ * Default `max_tokens` for chat completions
+ * 
+ * @private
+ */
+const DEFAULT_MAX_TOKENS = 1000;
+
+/**
+ * Hook functions accepted by `use()`
+ * 
+ * @private
+ */
+const HOOK_NAMES = ['onRequest', 'onResponse', 'onError', 'onStreamChunk'];
+
+/**
+ * Statuses that fail on every provider alike, so they never fall back
+ * 
+ * @private
+ */
+const NO_FALLBACK_STATUSES = [400, 422];
 
 /**
  * Perplexity AI API Client
@@ -7,55 +75,209 @@ const axios = require('axios');
  * Provides methods for chat completions, context-aware conversations, and 
  * automatic conversation summarization.
  * 
+ * Transient failures (timeouts, 429, 502, 503 and 504) are retried with
+ * exponential backoff. Each retry emits a `retry` event.
+ * 
+ * Several API keys can share the load through a {@link KeyPool}: when a key
+ * is rate limited (429) or rejected (401, 403) the request fails over to
+ * the next key right away and a `failover` event is emitted.
+ * 
+ * Other backends, such as a local llama.cpp or Ollama server, can serve
+ * some models through `options.providers` and `options.routes` (see
+ * `providers.js`). A route may name fallback providers that take over when
+ * its provider fails; each switch emits a `fallback` event.
+ * 
+ * Every HTTP call, streaming included, runs through the hooks registered
+ * with {@link PerplexityClient#use}. Token usage and estimated cost of each
+ * completion are recorded in `client.usage` (a {@link UsageLedger}) and
+ * emitted as a `usage` event.
+ * 
+ * What is known about each model lives in `client.models` (a
+ * {@link ModelRegistry}); requests are checked against the model's
+ * capabilities before they are sent.
+ * 
  * @class PerplexityClient
+ * @extends EventEmitter
  * @version 1.0.0
  * @author Your Name
  * @example
  * const client = new PerplexityClient('your-api-key');
  * const response = await client.ask('What is artificial intelligence?');
  */
-class PerplexityClient {
+class PerplexityClient extends EventEmitter {
     /**
      * Create a new Perplexity API client instance
      * 
-     * @param {string} apiKey - Your Perplexity API key (required)
+     * @param {string|Array<string>|KeyPool} apiKey - Your Perplexity API key (required), several keys (an array or a comma-separated string) or a key pool
      * @param {string} [baseURL='https://api.perplexity.ai'] - The base URL for the API
+     * @param {Object} [options={}] - Additional client options
+     * @param {Object|boolean} [options.retry] - Retry policy, or `false` to disable retries
+     * @param {number} [options.retry.maxAttempts=3] - Total attempts per request, including the first one
+     * @param {number} [options.retry.baseDelay=500] - Delay before the first retry in milliseconds
+     * @param {number} [options.retry.maxDelay=8000] - Upper bound for the backoff delay in milliseconds
+     * @param {boolean} [options.retry.jitter=true] - Randomize delays to avoid synchronized retries
+     * @param {Array<number>} [options.retry.retryOnStatus=[408, 429, 502, 503, 504]] - HTTP statuses that are retried
+     * @param {Array<string>} [options.retry.retryOnCodes=['ECONNABORTED', 'ETIMEDOUT']] - Network error codes that are retried
+     * @param {boolean} [options.retry.respectRetryAfter=true] - Wait for the `Retry-After` header when present; a longer wait than `maxDelay` fails right away with the error's `retryAfter` set
+     * @param {Array<Object>} [options.hooks=[]] - Hooks to register right away (see {@link PerplexityClient#use})
+     * @param {Object|UsageLedger|boolean} [options.usage] - Usage ledger options (e.g. `{ pricing }`), an existing ledger, or `false` to disable usage tracking
+     * @param {Object|ResponseCache|boolean} [options.cache] - Enable the response cache: `true`, cache options (`{ store, ttl, maxEntries, directory }`, see `cache.js`) or a cache instance
+     * @param {Object|RateLimiter} [options.limiter] - Client-side rate limits (`{ requestsPerMinute, maxConcurrent }`) or a limiter shared with other clients
+     * @param {Object} [options.fixtures] - Record or replay API exchanges: `{ mode: 'record' | 'replay' | 'auto', directory }` (see `fixtures.js`)
+     * @param {Object|ModelRegistry} [options.models] - Model overrides by name (e.g. `{ 'sonar-pro': { maxOutputTokens: 4000 } }`) or a registry instance
+     * @param {number} [options.timeout=30000] - Request timeout in milliseconds; long research is better run as a job (see {@link PerplexityClient#submitJob})
+     * @param {Object} [options.keys] - Key pool options when several keys are given: `{ strategy, cooldown, authCooldown }` (see `KeyPool.js`)
+     * @param {Array<Provider|Object>} [options.providers=[]] - Other backends, as providers or configs for `createProvider()`; the Perplexity API is the `perplexity` provider
+     * @param {Array<Object>} [options.routes=[]] - `{ model, provider, fallback }` routes choosing the provider by model; `fallback` is a provider name, `{ provider, model }` or an array of those. Unrouted models go to Perplexity
      * @throws {Error} Throws an error if apiKey is not provided
+     * @throws {InvalidRequestError} If a provider or route is invalid
      * @example
      * const client = new PerplexityClient('pplx-your-api-key');
+     * 
+     * const batchClient = new PerplexityClient('pplx-your-api-key', undefined, {
+     *   retry: { maxAttempts: 6, maxDelay: 30000 }
+     * });
+     * batchClient.on('retry', ({ attempt, delay, status }) => {
+     *   console.log(`Retry #${attempt} in ${delay}ms (status ${status})`);
+     * });
+     * 
+     * const pooled = new PerplexityClient(['pplx-key-one', 'pplx-key-two'], undefined, {
+     *   keys: { strategy: 'least-used' }
+     * });
+     * 
+     * const routed = new PerplexityClient('pplx-your-api-key', undefined, {
+     *   providers: [{ type: 'openai', name: 'local', baseURL: 'http://localhost:11434/v1' }],
+     *   routes: [{ model: 'llama*', provider: 'local', fallback: { provider: 'perplexity', model: 'sonar' } }]
+     * });
      */
-    constructor(apiKey, baseURL = 'https://api.perplexity.ai') {
+    constructor(apiKey, baseURL = 'https://api.perplexity.ai', options = {}) {
+        super();
+
         if (!apiKey) {
             throw new Error('API key is required');
         }
         
-        this.apiKey = apiKey;
+        this.provider = new PerplexityProvider({ apiKey, keys: options.keys, baseURL, timeout: options.timeout || 30000 });
+        this.providers = new Map([[this.provider.name, this.provider]]);
+        for (const config of options.providers || []) {
+            const provider = createProvider(config);
+            if (this.providers.has(provider.name)) {
+                throw new InvalidRequestError(`Duplicate provider name "${provider.name}"`, { code: 'invalid_provider' });
+            }
+            this.providers.set(provider.name, provider);
+        }
+        this.routes = (options.routes || []).map(route => this.checkRoute(route));
+
+        this.keys = this.provider.keys;
+        this.apiKey = this.keys.keys[0].key;
         this.baseURL = baseURL;
+        this.retryPolicy = {
+            ...DEFAULT_RETRY_POLICY,
+            ...(options.retry === false ? { maxAttempts: 1 } : options.retry)
+        };
+        this.hooks = [];
+        this.models = options.models instanceof ModelRegistry ? options.models
+            : new ModelRegistry({ models: options.models });
+        this.usage = options.usage === false ? null
+            : options.usage instanceof UsageLedger ? options.usage
+                : new UsageLedger({ models: this.models, ...options.usage });
+        this.cache = !options.cache ? null
+            : options.cache instanceof ResponseCache ? options.cache
+                : new ResponseCache(options.cache === true ? {} : options.cache);
+        this.limiter = !options.limiter ? null
+            : options.limiter instanceof RateLimiter ? options.limiter
+                : new RateLimiter(options.limiter);
+        // Waits on async jobs by job id, so cancelJob() can end them
+        this.jobWaits = new Map();
         
-        // Create axios instance with default configuration
-        this.client = axios.create({
-            baseURL: this.baseURL,
-            headers: {
-                'Authorization': `Bearer ${this.apiKey}`,
-                'Content-Type': 'application/json',
-                'User-Agent': 'perplexity-client/1.0.0'
-            },
-            timeout: 30000 // 30 seconds timeout
-        });
+        // The Perplexity API's axios instance (30 second timeout by default)
+        this.client = this.provider.http;
+
+        (options.hooks || []).forEach(hooks => this.use(hooks));
+
+        // Registered last, so fixtures match the request as it is finally sent
+        if (options.fixtures) {
+            this.use(createFixtureHooks(options.fixtures));
+        }
+    }
+
+    /**
+     * Register request/response hooks
+     * 
+     * Hooks wrap every call made through the HTTP client, streaming calls
+     * included, and run in the order they were registered. Each hook receives
+     * a `context` shared by all hooks of the same call: `{ request, stream,
+     * startTime, duration, attempts, priority, provider, apiKey, shortCircuited,
+     * metadata }`, where `request` is the axios config (mutable), `provider`
+     * the name of the provider and `apiKey` the id of the pool key used by the
+     * last attempt, and `metadata` is free for hooks to keep their own state.
+     * All hooks may be async.
+     * 
+     * - `onRequest(request, context)` - change the request in place, or return
+     *   `{ response }` to skip the API call (for streaming calls `response` is
+     *   an array or async iterable of chunks)
+     * - `onResponse(response, context)` - return a replacement response, if any
+     * - `onError(error, context)` - receives the typed error; return
+     *   `{ response }` to recover, or throw to replace the error
+     * - `onStreamChunk(chunk, context)` - return a replacement chunk, or `null` to drop it
+     * 
+     * @param {Object} hooks - An object with any of the hook functions above
+     * @returns {Function} A function that removes these hooks again
+     * @throws {Error} Throws an error if no hook function is provided
+     * @example
+     * client.use({
+     *   onRequest(request, context) {
+     *     request.headers['X-Trace-Id'] = randomUUID();
+     *   },
+     *   onResponse(response, context) {
+     *     console.log(`${context.request.url} took ${context.duration}ms`);
+     *   }
+     * });
+     * 
+     * // Serve a canned answer without calling the API
+     * client.use({
+     *   onRequest: () => ({ response: { choices: [{ message: { content: 'Mocked' } }] } })
+     * });
+     */
+    use(hooks) {
+        if (!hooks || !HOOK_NAMES.some(name => typeof hooks[name] === 'function')) {
+            throw new Error(`A hook object with at least one of ${HOOK_NAMES.join(', ')} is required`);
+        }
+
+        this.hooks.push(hooks);
+        return () => {
+            this.hooks = this.hooks.filter(registered => registered !== hooks);
+        };
     }
 
     /**
      * Generate a chat completion using the Perplexity API
      * 
+     * When `stream` is true the response is streamed from the API and
+     * aggregated before being returned, so the result has the same shape as a
+     * regular completion. Use {@link PerplexityClient#streamChatCompletion} to
+     * consume the tokens as they arrive.
+     * 
+     * The `<think>` block of reasoning models is moved from
+     * `message.content` to `message.reasoning`, so the content is the answer
+     * only.
+     * 
      * @param {Object} options - The chat completion options
      * @param {string} [options.model='sonar'] - The model to use for completion
-     * @param {Array<Object>} options.messages - Array of message objects with role and content
+     * @param {Array<Object>} options.messages - Array of message objects with role and content (a string, or text and `image_url` content parts, see `content.js`)
      * @param {number} [options.max_tokens=1000] - Maximum number of tokens to generate
      * @param {number} [options.temperature=0.2] - Sampling temperature (0-2)
      * @param {boolean} [options.stream=false] - Whether to stream the response
+     * @param {SearchOptions} [options.search] - Web search controls: domain filters, recency, date range, context size, images and related questions (see `search.js`)
+     * @param {AbortSignal} [options.signal] - Signal to cancel the request (not sent to the API)
+     * @param {Object} [options.usageTags] - `{ conversationId, user }` recorded with the usage (not sent to the API)
+     * @param {Object|boolean} [options.cache] - Per-call cache flags when the cache is enabled: `{ bypass, refresh, ttl }`, or `false` to bypass
+     * @param {string} [options.priority='interactive'] - Queue lane when the client has a rate limiter: `interactive` or `batch`
+     * @param {number} [options.timeout] - Timeout of this request in milliseconds, instead of the client's
+     * @param {boolean} [options.normalize=false] - Repair the message order first (see `normalizeMessages()`); fails with an `InvalidRequestError` listing the problems when it can't
      * @param {...Object} otherOptions - Additional options to pass to the API
      * @returns {Promise<Object>} The API response containing choices and usage info
-     * @throws {Error} Throws an error if messages array is invalid or API call fails
+     * @throws {PerplexityError} Throws an error if messages array is invalid or API call fails
      * @example
      * const response = await client.chatCompletion({
      *   messages: [{ role: 'user', content: 'Hello!' }],
@@ -64,36 +286,222 @@ class PerplexityClient {
      * });
      */
     async chatCompletion(options) {
+        if (options && options.stream) {
+            const stream = await this.streamChatCompletion(options);
+            return stream.finalCompletion();
+        }
+
         try {
-            const {
-                model = process.env.PERPLEXITY_DEFAULT_MODEL || 'sonar',
-                messages,
-                max_tokens = 1000,
-                temperature = 0.2,
-                stream = false,
-                ...otherOptions
-            } = options;
-
-            if (!messages || !Array.isArray(messages)) {
-                throw new Error('Messages array is required');
+            const requestData = this.buildRequestData(options);
+            const lookup = await this.lookupCache(requestData, options);
+            if (lookup && lookup.entry) {
+                return separateReasoning({ ...lookup.entry.value, cache: describeCacheHit(lookup) });
+            }
+
+            const context = { priority: options.priority };
+            const response = await this.request({
+                method: 'post',
+                url: '/chat/completions',
+                data: requestData,
+                timeout: options.timeout,
+                signal: options.signal
+            }, context);
+            this.recordUsage(response.data, options, context);
+
+            if (!lookup) {
+                return separateReasoning(response.data);
             }
+            await this.storeInCache(lookup, response.data, options);
+            return separateReasoning({ ...response.data, cache: { status: lookup.status, key: lookup.key } });
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
 
+    /**
+     * Stream a chat completion from the Perplexity API
+     * 
+     * Sends the request with `stream: true` and resolves as soon as the API
+     * starts answering. The returned stream is an async iterable of parsed
+     * `chat.completion.chunk` objects; once it has been consumed,
+     * `finalCompletion()` returns the aggregated message with usage info.
+     * 
+     * @param {Object} options - The chat completion options (same as {@link PerplexityClient#chatCompletion})
+     * @returns {Promise<ChatCompletionStream>} An async iterable of delta chunks
+     * @throws {PerplexityError} Throws an error if messages array is invalid or the API rejects the request
+     * @example
+     * const stream = await client.streamChatCompletion({
+     *   messages: [{ role: 'user', content: 'Tell me a story' }]
+     * });
+     * for await (const chunk of stream) {
+     *   process.stdout.write(chunk.choices?.[0]?.delta?.content || '');
+     * }
+     * const { usage } = await stream.finalCompletion();
+     */
+    async streamChatCompletion(options) {
+        try {
             const requestData = {
-                model,
-                messages,
-                max_tokens,
-                temperature,
-                stream,
-                ...otherOptions
+                ...this.buildRequestData(options),
+                stream: true
             };
 
-            const response = await this.client.post('/chat/completions', requestData);
-            return response.data;
+            // Cached answers are replayed as a stream of their own
+            const lookup = await this.lookupCache(requestData, options);
+            if (lookup && lookup.entry) {
+                return ChatCompletionStream.fromChunks(
+                    toChunks({ ...lookup.entry.value, cache: describeCacheHit(lookup) }),
+                    { signal: options.signal }
+                );
+            }
+
+            const context = { priority: options.priority };
+            const response = await this.request({
+                method: 'post',
+                url: '/chat/completions',
+                data: requestData,
+                responseType: 'stream',
+                headers: { 'Accept': 'text/event-stream' },
+                timeout: options.timeout,
+                signal: options.signal
+            }, context);
+
+            return new ChatCompletionStream(response.data, {
+                signal: options.signal,
+                onChunk: chunk => this.runStreamChunkHooks(chunk, context),
+                onComplete: completion => {
+                    this.recordUsage(completion, options, context);
+                    if (lookup) {
+                        completion.cache = { status: lookup.status, key: lookup.key };
+                        this.storeInCache(lookup, completion, options);
+                    }
+                }
+            });
         } catch (error) {
             this.handleError(error);
         }
     }
 
+    /**
+     * Build the request body for the chat completions endpoint
+     * 
+     * Applies the default model and sampling parameters, validates messages
+     * and translates the `search` option into API fields.
+     * 
+     * @param {Object} options - The chat completion options
+     * @returns {Object} The request body
+     * @throws {InvalidRequestError} Throws an error if messages array or search options are invalid, or the model doesn't support an option
+     * @private
+     */
+    buildRequestData(options = {}) {
+        const {
+            model = this.provider.defaultModel,
+            messages,
+            max_tokens = DEFAULT_MAX_TOKENS,
+            temperature = 0.2,
+            stream = false,
+            search,
+            signal, // Request-level options, never sent to the API
+            usageTags,
+            cache,
+            priority,
+            normalize = false,
+            timeout,
+            ...otherOptions
+        } = options;
+
+        if (!messages || !Array.isArray(messages)) {
+            throw new InvalidRequestError('Messages array is required');
+        }
+
+        const normalized = normalize ? normalizeMessages(messages) : messages;
+        if (normalize) {
+            const errors = validateMessages(normalized);
+            if (errors.length > 0) {
+                throw new InvalidRequestError(`Invalid messages: ${errors.map(error => error.message).join('; ')}`, {
+                    code: 'invalid_messages',
+                    errors
+                });
+            }
+        }
+
+        const requestData = {
+            model,
+            messages: normalized,
+            max_tokens,
+            temperature,
+            stream,
+            ...otherOptions,
+            ...buildSearchParams(search)
+        };
+
+        const violations = this.validateRequest(requestData);
+        if (violations.length > 0) {
+            throw new InvalidRequestError(violations.map(violation => violation.message).join('; '), {
+                code: 'unsupported_model_option',
+                errors: violations
+            });
+        }
+        return requestData;
+    }
+
+    /**
+     * Check a chat completion body against its model's capabilities
+     * 
+     * Models routed to another provider are checked by that provider;
+     * OpenAI-compatible backends decide on their own.
+     * 
+     * @param {Object} data - The request body (`model`, `max_tokens`, search fields, `reasoning_effort`, `messages`)
+     * @returns {Array<Object>} `[{ option, rule, message }]`; empty when the request is valid
+     * @example
+     * client.validateRequest({ model: 'r1-1776', search_recency_filter: 'week' });
+     * // [{ option: 'search_recency_filter', rule: 'search_not_supported', message: '...' }]
+     */
+    validateRequest(data = {}) {
+        const [{ provider }] = this.resolveRoute(data.model || this.provider.defaultModel);
+        return provider.validateRequest({ ...data, model: data.model || this.provider.defaultModel }, this.models);
+    }
+
+    /**
+     * Get the providers a model is sent to, in order
+     * 
+     * @param {string} model - The model name
+     * @returns {Array<{provider: Provider, model: string}>} The route's provider and model, then its fallbacks
+     * @example
+     * client.resolveRoute('llama3.1').map(target => target.provider.name); // ['local', 'perplexity']
+     */
+    resolveRoute(model) {
+        const route = matchRoute(this.routes, model);
+        if (!route) {
+            return [{ provider: this.provider, model }];
+        }
+        return [{ provider: route.provider, model }, ...route.fallback].map(target => ({
+            provider: this.providers.get(target.provider),
+            model: target.model || model
+        }));
+    }
+
+    /**
+     * Check a route and normalize its fallbacks to `{ provider, model }`
+     * 
+     * @param {Object} route - `{ model, provider, fallback }`
+     * @returns {Object} The normalized route
+     * @throws {InvalidRequestError} If the route names an unknown provider
+     * @private
+     */
+    checkRoute(route) {
+        const fallback = [].concat(route.fallback || [])
+            .map(target => (typeof target === 'string' ? { provider: target } : target));
+        for (const name of [route.provider, ...fallback.map(target => target.provider)]) {
+            if (!this.providers.has(name)) {
+                throw new InvalidRequestError(
+                    `Route for ${route.model || 'every model'} names unknown provider "${name}"; known: ${[...this.providers.keys()].join(', ')}`,
+                    { code: 'invalid_route' }
+                );
+            }
+        }
+        return { ...route, fallback };
+    }
+
     /**
      * Ask a simple question and get a text response
      * 
@@ -104,24 +512,29 @@ class PerplexityClient {
      * @param {string} [options.model] - The model to use
      * @param {number} [options.temperature] - Sampling temperature
      * @param {number} [options.max_tokens] - Maximum tokens to generate
+     * @param {Array<string|Object>} [options.images] - Images sent with the question: URLs, `data:` URLs or `{ data, mimeType }`
+     * @param {AbortSignal} [options.signal] - Signal to cancel the request
      * @returns {Promise<string>} The AI's response as a string
-     * @throws {Error} Throws an error if the API call fails
+     * @throws {PerplexityError} Throws an error if the API call fails
      * @example
      * const answer = await client.ask('What is the capital of France?');
      * console.log(answer); // "The capital of France is Paris."
+     * 
+     * const caption = await client.ask('Describe this picture', { images: ['https://example.com/photo.jpg'] });
      */
     async ask(question, options = {}) {
         try {
+            const { images, ...requestOptions } = options;
             const messages = [
                 {
                     role: 'user',
-                    content: question
+                    content: buildContent(question, images)
                 }
             ];
 
             const response = await this.chatCompletion({
                 messages,
-                ...options
+                ...requestOptions
             });
 
             return response.choices?.[0]?.message?.content || 'No response received';
@@ -138,9 +551,9 @@ class PerplexityClient {
      * 
      * @param {string} question - The question to ask the AI
      * @param {Array<Object>} [context=[]] - Array of previous messages for context
-     * @param {Object} [options={}] - Additional options for the request
+     * @param {Object} [options={}] - Additional options for the request (including `signal` and `images`, see `ask()`)
      * @returns {Promise<string>} The AI's response as a string
-     * @throws {Error} Throws an error if the API call fails
+     * @throws {PerplexityError} Throws an error if the API call fails
      * @example
      * const context = [
      *   { role: 'user', content: 'Hi, I want to learn about AI' },
@@ -150,14 +563,15 @@ class PerplexityClient {
      */
     async askWithContext(question, context = [], options = {}) {
         try {
+            const { images, ...requestOptions } = options;
             const messages = [
                 ...context,
-                { role: 'user', content: question }
+                { role: 'user', content: buildContent(question, images) }
             ];
 
             const response = await this.chatCompletion({
                 messages,
-                ...options
+                ...requestOptions
             });
             
             return response.choices?.[0]?.message?.content || 'No response received';
@@ -166,16 +580,131 @@ class PerplexityClient {
         }
     }
 
+    /**
+     * Ask a question and get the full answer with its sources
+     * 
+     * Unlike {@link PerplexityClient#ask}, which only returns the text, this
+     * returns a normalized object with the answer, an ordered citation list
+     * (titles and URLs), search results, images, related questions, token
+     * usage, model and finish reason.
+     * 
+     * @param {string} question - The question to ask the AI
+     * @param {Object} [options={}] - Additional options for the request (including `signal`)
+     * @param {Array<Object>} [options.context=[]] - Previous messages to send before the question
+     * @param {Array<string|Object>} [options.images] - Images sent with the question, see `ask()`
+     * @returns {Promise<DetailedAnswer>} The normalized answer (see `answer.js`)
+     * @throws {PerplexityError} Throws an error if the API call fails
+     * @example
+     * const result = await client.askDetailed('Who won the 2022 World Cup?');
+     * console.log(result.answer);
+     * result.citations.forEach(c => console.log(`[${c.index}] ${c.title} ${c.url}`));
+     * console.log(result.usage.total_tokens);
+     */
+    async askDetailed(question, options = {}) {
+        try {
+            const { context = [], images, ...requestOptions } = options;
+            const messages = [
+                ...context,
+                { role: 'user', content: buildContent(question, images) }
+            ];
+
+            const response = await this.chatCompletion({
+                messages,
+                ...requestOptions
+            });
+
+            return normalizeCompletion(response);
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Ask a question and get a JSON answer that matches a schema
+     * 
+     * Sends the schema as `response_format`, parses the answer and validates
+     * it locally. If validation fails and `repairAttempts` allows it, the
+     * model is shown its previous answer with the list of violations and asked
+     * to correct it; a `repair` event is emitted before each such round.
+     * 
+     * @param {string} question - The question or extraction instruction
+     * @param {Object} schema - JSON schema describing the expected answer
+     * @param {Object} [options={}] - Additional options for the request (including `signal` and `search`)
+     * @param {Array<Object>} [options.context=[]] - Previous messages to send before the question
+     * @param {number} [options.repairAttempts=0] - How many correction rounds to try after a validation failure
+     * @returns {Promise<*>} The parsed answer, guaranteed to match the schema
+     * @throws {ValidationError} Throws if the answer is not valid JSON or violates the schema (see `error.path` and `error.errors`)
+     * @throws {PerplexityError} Throws an error if the API call fails
+     * @example
+     * const company = await client.askStructured('Extract facts about Anthropic', {
+     *   type: 'object',
+     *   properties: {
+     *     name: { type: 'string' },
+     *     founded: { type: 'integer' },
+     *     founders: { type: 'array', items: { type: 'string' } }
+     *   },
+     *   required: ['name', 'founded']
+     * }, { repairAttempts: 1 });
+     * console.log(company.founded);
+     */
+    async askStructured(question, schema, options = {}) {
+        try {
+            if (!schema || typeof schema !== 'object') {
+                throw new InvalidRequestError('A JSON schema object is required');
+            }
+
+            const { context = [], repairAttempts = 0, ...requestOptions } = options;
+            let messages = [
+                ...context,
+                { role: 'user', content: question }
+            ];
+
+            for (let attempt = 0; ; attempt++) {
+                const response = await this.chatCompletion({
+                    messages,
+                    ...requestOptions,
+                    response_format: {
+                        type: 'json_schema',
+                        json_schema: { schema }
+                    }
+                });
+                const output = response.choices?.[0]?.message?.content || '';
+
+                try {
+                    return parseStructuredOutput(output, schema);
+                } catch (error) {
+                    if (!(error instanceof ValidationError) || attempt >= repairAttempts) {
+                        throw error;
+                    }
+
+                    this.emit('repair', { attempt: attempt + 1, errors: error.errors });
+
+                    // Show the model its answer and what was wrong with it
+                    const problems = error.errors.map(({ path, message }) => `- ${path} ${message}`).join('\n');
+                    messages = [
+                        ...messages,
+                        { role: 'assistant', content: output },
+                        { role: 'user', content: `Your answer does not match the required JSON schema:\n${problems}\n\nReply with corrected JSON only.` }
+                    ];
+                }
+            }
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
     /**
      * Summarize a conversation to maintain context efficiently
      * 
      * This method creates a concise summary of a conversation to help manage
      * token limits while preserving important context for future interactions.
+     * Images are not sent along: each one appears as `[image]` in the text
+     * the model summarizes.
      * 
      * @param {Array<Object>} messages - Array of conversation messages to summarize
-     * @param {Object} [options={}] - Additional options for the summarization
+     * @param {Object} [options={}] - Additional options for the summarization (including `signal`)
      * @returns {Promise<string>} A concise summary of the conversation
-     * @throws {Error} Throws an error if the summarization fails
+     * @throws {PerplexityError} Throws an error if the summarization fails
      * @example
      * const messages = [
      *   { role: 'user', content: 'Tell me about AI' },
@@ -186,7 +715,7 @@ class PerplexityClient {
     async summarizeConversation(messages, options = {}) {
         try {
             const conversationText = messages
-                .map(msg => `${msg.role}: ${msg.content}`)
+                .map(msg => `${msg.role}: ${contentToText(msg.content)}`)
                 .join('\n');
 
             const summaryPrompt = `Please provide a concise summary of the following conversation, capturing the key points, context, and important details that should be remembered for future messages. Focus on the main topics discussed and any important information shared:
@@ -207,27 +736,304 @@ Summary:`;
         }
     }
 
+    /**
+     * Measure how much of a model's context window a conversation uses
+     * 
+     * The budget available for the prompt is the model's context window minus
+     * the tokens reserved for the answer (`max_tokens`) and a safety margin
+     * that absorbs estimation error.
+     * 
+     * @param {Array<Object>} messages - The messages that would be sent
+     * @param {Object} [options={}] - Budget options
+     * @param {string} [options.model] - Model used for the request (defaults to the client default)
+     * @param {number} [options.max_tokens=1000] - Tokens reserved for the answer
+     * @param {number} [options.contextWindow] - Override the model's context window
+     * @param {number} [options.safetyMargin] - Tokens kept free (default: 10% of the context window)
+     * @returns {Object} `{ model, promptTokens, contextWindow, maxTokens, safetyMargin, budget, remaining, messageCount }`
+     * @example
+     * const { promptTokens, contextWindow } = client.getContextBudget(messages, { model: 'sonar-pro' });
+     * console.log(`${promptTokens} / ${contextWindow} tokens`);
+     */
+    getContextBudget(messages, options = {}) {
+        const {
+            model = this.provider.defaultModel,
+            max_tokens = DEFAULT_MAX_TOKENS,
+            contextWindow = this.models.getContextWindow(model),
+            safetyMargin = Math.round(contextWindow * 0.1)
+        } = options;
+
+        const promptTokens = countMessageTokens(messages);
+        const budget = Math.max(contextWindow - max_tokens - safetyMargin, 0);
+
+        return {
+            model,
+            promptTokens,
+            contextWindow,
+            maxTokens: max_tokens,
+            safetyMargin,
+            budget,
+            remaining: budget - promptTokens,
+            messageCount: Array.isArray(messages) ? messages.length : 0
+        };
+    }
+
     /**
      * Check if a conversation needs summarization
      * 
-     * Determines whether a conversation should be summarized based on message count
-     * and estimated token usage to prevent exceeding API limits.
+     * A conversation needs summarizing once its estimated prompt tokens no
+     * longer fit in the model's budget (see {@link PerplexityClient#getContextBudget}),
+     * or when it reaches `maxMessages` if that limit is set.
+     * 
+     * The legacy form `shouldSummarize(messages, maxMessages, maxTokens)` with
+     * fixed limits is still supported.
      * 
      * @param {Array<Object>} messages - Array of conversation messages to check
-     * @param {number} [maxMessages=20] - Maximum number of messages before summarization
-     * @param {number} [maxTokensEstimate=3000] - Rough token limit estimate
+     * @param {Object|number} [options={}] - Budget options accepted by `getContextBudget()` (or `maxMessages` in the legacy form)
+     * @param {number} [options.maxMessages] - Also summarize once this many messages are reached
+     * @param {number} [maxTokens=3000] - Token limit, only used by the legacy form
      * @returns {boolean} True if conversation should be summarized, false otherwise
      * @example
-     * if (client.shouldSummarize(conversationHistory)) {
+     * if (client.shouldSummarize(conversationHistory, { model: 'sonar', max_tokens: 2000 })) {
      *   const summary = await client.summarizeConversation(conversationHistory);
      * }
      */
-    shouldSummarize(messages, maxMessages = 20, maxTokensEstimate = 3000) {
-        if (messages.length >= maxMessages) return true;
-        
-        // Rough token estimation (4 chars ≈ 1 token)
-        const totalChars = messages.reduce((sum, msg) => sum + msg.content.length, 0);
-        return totalChars >= maxTokensEstimate * 4;
+    shouldSummarize(messages, options = {}, maxTokens = 3000) {
+        if (typeof options === 'number') {
+            return messages.length >= options || countMessageTokens(messages) >= maxTokens;
+        }
+
+        const { maxMessages, ...budgetOptions } = options;
+        if (maxMessages && messages.length >= maxMessages) return true;
+
+        return this.getContextBudget(messages, budgetOptions).remaining < 0;
+    }
+
+    /**
+     * Start a stateful conversation
+     * 
+     * The returned {@link Conversation} keeps the history, system prompt and
+     * per-conversation options, summarizes automatically when the history
+     * grows too long, and can be serialized with `toJSON()` and restored with
+     * `Conversation.fromJSON()`.
+     * 
+     * @param {Object} [config={}] - Conversation settings (see the Conversation constructor)
+     * @returns {Conversation} A new conversation bound to this client
+     * @example
+     * const conversation = client.createConversation({
+     *   systemPrompt: 'Answer like a patient teacher.',
+     *   options: { temperature: 0.5 }
+     * });
+     * const { answer } = await conversation.send('What is entropy?');
+     */
+    createConversation(config = {}) {
+        return new Conversation(this, config);
+    }
+
+    /**
+     * Answer a batch of questions with bounded concurrency
+     * 
+     * Results are yielded as they complete, each with its answer, citations,
+     * usage or error; a failing question does not stop the batch. With
+     * `output`, results are appended to a JSONL file and questions already
+     * answered there are skipped, so a crashed run can simply be restarted.
+     * Requests use the `batch` lane of the rate limiter unless an item or
+     * the options say otherwise.
+     * 
+     * @param {Array<BatchItem>} items - `{ id, question, ...requestOptions }` objects (see `parseBatchInput()` for JSONL and CSV)
+     * @param {Object} [options={}] - Batch options; other fields are default request options for every item
+     * @param {number} [options.concurrency=4] - Questions answered at the same time
+     * @param {string} [options.output] - JSONL file to append results to and resume from
+     * @param {Iterable<string>} [options.skip] - Item ids to skip
+     * @param {Function} [options.onProgress] - Called with `{ total, completed, succeeded, failed, skipped, failedIds }` at the start and after each item
+     * @param {AbortSignal} [options.signal] - Signal to stop the batch
+     * @returns {AsyncGenerator<BatchResult>} The results, in completion order
+     * @throws {InvalidRequestError} If an item has no question or an id is repeated
+     * @example
+     * const items = [{ id: 'q1', question: 'What is RAG?' }, { id: 'q2', question: 'What is LoRA?', model: 'sonar-pro' }];
+     * for await (const result of client.batch(items, { concurrency: 2, output: 'answers.jsonl' })) {
+     *   console.log(result.id, result.status === 'ok' ? result.answer : result.error.message);
+     * }
+     */
+    batch(items, options = {}) {
+        return runBatch(this, items, options);
+    }
+
+    /**
+     * Submit a request to run asynchronously
+     * 
+     * For long deep-research requests that would outlast the request
+     * timeout: the API accepts the request right away and answers it in the
+     * background. Follow the job with {@link PerplexityClient#getJob} or
+     * {@link PerplexityClient#waitForJob}.
+     * 
+     * @param {Object} options - The chat completion options (same as {@link PerplexityClient#chatCompletion}, without streaming)
+     * @returns {Promise<Job>} The submitted job
+     * @throws {PerplexityError} Throws an error if the request is invalid or the API call fails
+     * @example
+     * const job = await client.submitJob({
+     *   model: 'sonar-deep-research',
+     *   messages: [{ role: 'user', content: 'State of solid-state batteries in 2025' }]
+     * });
+     * console.log(job.id, job.status); // "c0ffee...", "created"
+     */
+    async submitJob(options = {}) {
+        try {
+            const { stream, ...request } = this.buildRequestData(options);
+            const response = await this.request({
+                method: 'post',
+                url: '/async/chat/completions',
+                data: { request },
+                signal: options.signal
+            }, { priority: options.priority });
+            return normalizeJob(response.data);
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Get the current state of an asynchronous job
+     * 
+     * @param {string} id - The job id
+     * @param {Object} [options={}] - Request options
+     * @param {AbortSignal} [options.signal] - Signal to cancel the request
+     * @returns {Promise<Job>} The job; `completion` is set once it completed
+     * @throws {PerplexityError} Throws an error if the job is unknown or the API call fails
+     */
+    async getJob(id, options = {}) {
+        try {
+            const response = await this.request({
+                method: 'get',
+                url: `/async/chat/completions/${encodeURIComponent(id)}`,
+                signal: options.signal
+            });
+            return normalizeJob(response.data);
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * List the asynchronous jobs of the API key
+     * 
+     * @param {Object} [options={}] - Request options
+     * @param {AbortSignal} [options.signal] - Signal to cancel the request
+     * @returns {Promise<Array<Job>>} The jobs, as reported by the API (completions are not included)
+     * @throws {PerplexityError} Throws an error if the API call fails
+     */
+    async listJobs(options = {}) {
+        try {
+            const response = await this.request({ method: 'get', url: '/async/chat/completions', signal: options.signal });
+            const jobs = response.data?.requests || response.data?.data || [];
+            return jobs.map(normalizeJob);
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Poll an asynchronous job until it completes
+     * 
+     * Polling errors that are retryable (network failures, rate limits) do
+     * not end the wait, since the job keeps running upstream. The usage of
+     * the completion is recorded once it is returned.
+     * 
+     * @param {string} id - The job id
+     * @param {Object} [options={}] - Wait options
+     * @param {number} [options.interval=5000] - Delay between polls in milliseconds
+     * @param {number} [options.timeout] - Give up after this many milliseconds (the job itself keeps running)
+     * @param {Function} [options.onProgress] - Called with the {@link Job} after every poll
+     * @param {Object} [options.usageTags] - `{ conversationId, user }` recorded with the usage
+     * @param {AbortSignal} [options.signal] - Signal to stop waiting
+     * @returns {Promise<Job>} The completed job, with its `completion`
+     * @throws {PerplexityError} With code `job_failed` if the job failed
+     * @throws {TimeoutError} With code `job_timeout` if `timeout` passed first
+     * @throws {AbortError} If the signal is aborted, or with code `job_cancelled` after {@link PerplexityClient#cancelJob}
+     * @example
+     * const job = await client.submitJob({ model: 'sonar-deep-research', messages });
+     * const done = await client.waitForJob(job.id, {
+     *   interval: 10000,
+     *   onProgress: ({ status }) => console.log(`Research ${status}...`)
+     * });
+     * console.log(done.completion.choices[0].message.content);
+     */
+    async waitForJob(id, options = {}) {
+        const { interval = 5000, timeout, onProgress, signal } = options;
+        const deadline = timeout ? Date.now() + timeout : Infinity;
+
+        // One controller per wait, aborted by the caller's signal or by cancelJob()
+        const controller = new AbortController();
+        const forwardAbort = () => controller.abort();
+        if (signal) {
+            signal.aborted ? controller.abort() : signal.addEventListener('abort', forwardAbort, { once: true });
+        }
+        const waits = this.jobWaits.get(id) || new Set();
+        this.jobWaits.set(id, waits.add(controller));
+
+        try {
+            while (true) {
+                let job = null;
+                try {
+                    job = await this.getJob(id, { signal: controller.signal });
+                } catch (error) {
+                    if (!error.retryable) {
+                        throw error;
+                    }
+                }
+
+                if (job) {
+                    if (onProgress) {
+                        onProgress(job);
+                    }
+                    if (job.status === 'completed') {
+                        this.recordUsage(job.completion, options);
+                        return job;
+                    }
+                    if (job.status === 'failed') {
+                        throw new PerplexityError(`Job ${id} failed: ${job.error || 'unknown error'}`, { code: 'job_failed' });
+                    }
+                }
+
+                if (Date.now() + interval > deadline) {
+                    throw new TimeoutError(`Job ${id} did not finish within ${timeout}ms`, { code: 'job_timeout', retryable: false });
+                }
+                await sleep(interval, controller.signal);
+            }
+        } catch (error) {
+            if (error instanceof AbortError && controller.cancelled) {
+                throw new AbortError(`Job ${id} was cancelled`, { code: 'job_cancelled' });
+            }
+            this.handleError(error);
+        } finally {
+            if (signal) {
+                signal.removeEventListener('abort', forwardAbort);
+            }
+            waits.delete(controller);
+            if (waits.size === 0) {
+                this.jobWaits.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Cancel an asynchronous job
+     * 
+     * The API has no way to stop a job once submitted, so cancelling is
+     * local: the current waits on the job end with an `AbortError` (code
+     * `job_cancelled`). The client keeps nothing about the job afterwards;
+     * `getJob()` reports its upstream status, and it may still complete
+     * (and be billed). `JobStore` records the cancellation on its job.
+     * 
+     * @param {string} id - The job id
+     * @returns {boolean} True if a wait on the job was interrupted
+     */
+    cancelJob(id) {
+        const waits = this.jobWaits.get(id) || new Set();
+        waits.forEach(controller => {
+            controller.cancelled = true;
+            controller.abort();
+        });
+        return waits.size > 0;
     }
 
     /**
@@ -235,62 +1041,514 @@ Summary:`;
      * 
      * Retrieves a list of all models available for use with the API.
      * 
+     * @param {Object} [options={}] - Request options
+     * @param {AbortSignal} [options.signal] - Signal to cancel the request
      * @returns {Promise<Object>} List of available models with their details
-     * @throws {Error} Throws an error if the API call fails
+     * @throws {PerplexityError} Throws an error if the API call fails
      * @example
      * const models = await client.getModels();
      * console.log(models.data); // Array of model objects
      */
-    async getModels() {
+    async getModels(options = {}) {
         try {
-            const response = await this.client.get('/models');
+            const response = await this.request({ method: 'get', url: '/models', signal: options.signal });
             return response.data;
         } catch (error) {
             this.handleError(error);
         }
     }
 
+    /**
+     * Update `client.models` from the API's model list
+     * 
+     * Merges what `getModels()` returns into the registry. When the API has
+     * no model list (or the call fails) the built-in and configured models
+     * are kept, so this never throws for API errors.
+     * 
+     * @param {Object} [options={}] - Request options
+     * @param {AbortSignal} [options.signal] - Signal to cancel the request
+     * @returns {Promise<Object>} `{ models, error }`: the registry's models, and the error when the list could not be loaded
+     * @example
+     * const { models } = await client.refreshModels();
+     * models.forEach(model => console.log(model.id, model.displayName, model.contextWindow));
+     */
+    async refreshModels(options = {}) {
+        return this.models.refresh(this, options);
+    }
+
+    /**
+     * Look up a request in the response cache
+     * 
+     * @param {Object} requestData - The request body
+     * @param {Object} [options={}] - The request options; `options.cache` holds the per-call flags
+     * @returns {Promise<Object|null>} `{ key, status, entry }` where `status` is `hit`, `miss`, `refresh` or `bypass`; null when caching is disabled
+     * @private
+     */
+    async lookupCache(requestData, options = {}) {
+        if (!this.cache) {
+            return null;
+        }
+
+        const flags = options.cache === false ? { bypass: true } : options.cache || {};
+        const key = this.cache.key(requestData);
+        if (flags.bypass || flags.refresh) {
+            return { key, status: flags.bypass ? 'bypass' : 'refresh', entry: null };
+        }
+
+        const entry = await this.cache.get(key);
+        return { key, status: entry ? 'hit' : 'miss', entry };
+    }
+
+    /**
+     * Store a fresh completion in the response cache
+     * 
+     * @param {Object} lookup - The result of `lookupCache()`
+     * @param {Object} completion - The completion to store
+     * @param {Object} [options={}] - The request options (`cache.ttl` overrides the TTL)
+     * @returns {Promise<void>}
+     * @private
+     */
+    async storeInCache(lookup, completion, options = {}) {
+        if (lookup.status === 'bypass') {
+            return;
+        }
+
+        const { cache, ...value } = completion;
+        try {
+            await this.cache.set(lookup.key, value, options.cache && options.cache.ttl);
+        } catch (error) {
+            // A broken cache must not fail a request that already succeeded
+        }
+    }
+
+    /**
+     * Record the usage of a completion in the ledger and emit a `usage` event
+     * 
+     * @param {Object} completion - The completion returned by the API
+     * @param {Object} [options={}] - The request options (`model`, `search`, `usageTags`)
+     * @param {Object} [context={}] - The hook context of the request, whose `apiKey` is credited with the usage
+     * @returns {UsageEntry|null} The recorded entry, or null when nothing was recorded
+     * @private
+     */
+    recordUsage(completion, options = {}, context = {}) {
+        if (!this.usage || !completion) {
+            return null;
+        }
+
+        const entry = this.usage.record({ ...completion, model: completion.model || options.model }, {
+            ...options.usageTags,
+            searchContextSize: options.search?.contextSize
+        });
+        if (entry) {
+            const provider = this.providers.get(context.provider);
+            if (context.apiKey && provider && provider.keys) {
+                provider.keys.recordUsage(context.apiKey, entry);
+            }
+            this.emit('usage', entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Send a request through the hooks and axios, retrying transient failures
+     * 
+     * Failures matching the retry policy are retried with exponential backoff
+     * (or after the `Retry-After` delay sent by the API). A `retry` event is
+     * emitted before each retry with the attempt number, delay and cause.
+     * Aborting `config.signal` also cancels a pending backoff wait.
+     * 
+     * With a rate limiter, each attempt first waits for a slot in the
+     * `context.priority` lane (`interactive` by default).
+     * 
+     * Each attempt takes a key from the key pool. When a key is rate limited
+     * or rejected and another key is ready, the request fails over to it at
+     * once, without counting against the retry policy.
+     * 
+     * Hooks run once per call, around all attempts. Failures are converted
+     * to typed errors before the `onError` hooks see them.
+     * 
+     * @param {Object} config - The axios request config
+     * @param {Object} [context={}] - Hook context to fill in, so callers can reuse it for stream chunks; may carry the `priority`
+     * @returns {Promise<Object>} The axios response (or a response built from a hook's short-circuit)
+     * @throws {PerplexityError} The typed error once retries are exhausted
+     * @private
+     */
+    async request(config, context = {}) {
+        Object.assign(context, {
+            request: { ...config, headers: { ...config.headers } },
+            stream: config.responseType === 'stream',
+            startTime: Date.now(),
+            duration: null,
+            attempts: 0,
+            priority: context.priority || 'interactive',
+            provider: null,
+            apiKey: null,
+            shortCircuited: false,
+            metadata: {}
+        });
+
+        let response;
+        try {
+            for (const hooks of this.hooks) {
+                const result = hooks.onRequest && await hooks.onRequest(context.request, context);
+                if (result && result.response !== undefined) {
+                    response = this.toHookResponse(result.response, context);
+                    break;
+                }
+            }
+
+            if (!response) {
+                response = await this.sendWithFallback(context.request, context);
+            }
+        } catch (error) {
+            context.duration = Date.now() - context.startTime;
+            response = await this.runErrorHooks(await this.toTypedError(error, this.providers.get(context.provider)), context);
+        }
+
+        context.duration = Date.now() - context.startTime;
+        for (const hooks of this.hooks) {
+            const result = hooks.onResponse && await hooks.onResponse(response, context);
+            if (result !== undefined) {
+                response = result;
+            }
+        }
+        return response;
+    }
+
+    /**
+     * Send a request to the provider its model is routed to, falling back to
+     * the route's other providers when it fails
+     * 
+     * Chat completions are routed by model; every other endpoint belongs to
+     * the Perplexity API. Requests the API rejected as invalid (400, 422) and
+     * cancelled requests do not fall back.
+     * 
+     * @param {Object} config - The axios request config
+     * @param {Object} context - The hook context, whose `provider` is updated
+     * @returns {Promise<Object>} The axios response
+     * @throws {Error} The error of the last provider tried
+     * @private
+     */
+    async sendWithFallback(config, context) {
+        const model = config.url === '/chat/completions' && config.data ? config.data.model : undefined;
+        const targets = model === undefined ? [{ provider: this.provider, model }] : this.resolveRoute(model);
+
+        for (let index = 0; ; index++) {
+            const { provider } = targets[index];
+            const request = targets[index].model === model ? config : { ...config, data: { ...config.data, model: targets[index].model } };
+            context.provider = provider.name;
+            try {
+                return await this.sendWithRetry(provider.prepareRequest(request), context, provider);
+            } catch (error) {
+                const status = error.response ? error.response.status : null;
+                const cancelled = axios.isCancel(error) || error.name === 'AbortError';
+                if (index === targets.length - 1 || cancelled || NO_FALLBACK_STATUSES.includes(status)) {
+                    throw error;
+                }
+
+                if (error.response && error.response.data && typeof error.response.data.destroy === 'function') {
+                    error.response.data.destroy();
+                }
+                this.emit('fallback', {
+                    from: provider.name,
+                    to: targets[index + 1].provider.name,
+                    model: targets[index + 1].model,
+                    status,
+                    url: config.url,
+                    error
+                });
+            }
+        }
+    }
+
+    /**
+     * Send a request through axios, retrying transient failures
+     * 
+     * @param {Object} config - The axios request config
+     * @param {Object} context - The hook context, whose `attempts` is updated
+     * @param {Provider} [provider=this.provider] - The provider to send it to
+     * @returns {Promise<Object>} The axios response
+     * @throws {Error} The last axios error once retries are exhausted
+     * @private
+     */
+    async sendWithRetry(config, context, provider = this.provider) {
+        const { maxAttempts } = this.retryPolicy;
+        const { keys } = provider;
+        const tried = new Set();
+        let failovers = 0;
+
+        for (let attempt = 1; ; attempt++) {
+            context.attempts = attempt;
+
+            // Every attempt waits for its own slot, so retries respect the limits too
+            const release = this.limiter
+                ? await this.limiter.acquire({ priority: context.priority, signal: config.signal })
+                : () => {};
+            // Backends without keys (e.g. a local server) get no Authorization header
+            const key = keys ? keys.acquire({ exclude: tried }) : null;
+            context.apiKey = key ? key.id : null;
+            try {
+                const response = await provider.http.request(!key ? config : {
+                    ...config,
+                    headers: { ...config.headers, 'Authorization': `Bearer ${key.key}` }
+                });
+                if (key) {
+                    keys.reportSuccess(key.id);
+                }
+                releaseWhenDone(response, release);
+                return response;
+            } catch (error) {
+                release();
+                const status = error.response ? error.response.status : null;
+                const keyFailed = Boolean(key) && keys.reportFailure(key.id, {
+                    status,
+                    retryAfter: error.response ? parseRetryAfter(error.response.headers?.['retry-after']) : null,
+                    message: error.message
+                });
+                if (key) {
+                    tried.add(key.id);
+                }
+
+                // Another key may well succeed where this one was throttled or rejected
+                if (keyFailed && keys.hasAvailable(tried)) {
+                    failovers++;
+                    if (error.response && error.response.data && typeof error.response.data.destroy === 'function') {
+                        error.response.data.destroy();
+                    }
+                    this.emit('failover', { provider: provider.name, from: key.id, status, url: config.url, error });
+                    continue;
+                }
+
+                if (attempt - failovers >= maxAttempts || !this.isRetryable(error)) {
+                    throw error;
+                }
+
+                // A Retry-After beyond maxDelay is the caller's call, not a silent wait
+                const delay = this.getRetryDelay(attempt, error);
+                if (delay === null) {
+                    throw error;
+                }
+
+                // Free the connection held by a failed streaming response
+                if (error.response && error.response.data && typeof error.response.data.destroy === 'function') {
+                    error.response.data.destroy();
+                }
+
+                this.emit('retry', {
+                    attempt,
+                    maxAttempts,
+                    delay,
+                    status: error.response ? error.response.status : null,
+                    code: error.code || null,
+                    url: config.url,
+                    error
+                });
+
+                await sleep(delay, config.signal);
+            }
+        }
+    }
+
+    /**
+     * Convert a failed request into a typed error
+     * 
+     * @param {Error} error - The axios (or hook) error
+     * @param {Provider} [provider] - The provider that answered, for reading its error body
+     * @returns {Promise<PerplexityError>} The typed error
+     * @private
+     */
+    async toTypedError(error, provider) {
+        // Error bodies of streaming requests arrive as a stream too; read them first
+        if (error.response && error.response.data && typeof error.response.data.pipe === 'function') {
+            error.response.data = await readStreamBody(error.response.data);
+        }
+
+        try {
+            this.handleError(error, provider);
+        } catch (typed) {
+            return typed;
+        }
+    }
+
+    /**
+     * Let the `onError` hooks recover from or replace an error
+     * 
+     * @param {PerplexityError} error - The typed error
+     * @param {Object} context - The hook context
+     * @returns {Promise<Object>} The response provided by a hook that recovered
+     * @throws {Error} The error (or its replacement) when no hook recovers
+     * @private
+     */
+    async runErrorHooks(error, context) {
+        for (const hooks of this.hooks) {
+            const result = hooks.onError && await hooks.onError(error, context);
+            if (result && result.response !== undefined) {
+                return this.toHookResponse(result.response, context);
+            }
+        }
+        throw error;
+    }
+
+    /**
+     * Run the `onStreamChunk` hooks on a streamed chunk
+     * 
+     * @param {Object} chunk - The parsed chunk
+     * @param {Object} context - The hook context of the streaming request
+     * @returns {Promise<Object|null>} The (possibly replaced) chunk, or null to drop it
+     * @private
+     */
+    async runStreamChunkHooks(chunk, context) {
+        for (const hooks of this.hooks) {
+            if (!hooks.onStreamChunk) continue;
+
+            const result = await hooks.onStreamChunk(chunk, context);
+            if (result === null) return null;
+            if (result !== undefined) chunk = result;
+        }
+        return chunk;
+    }
+
+    /**
+     * Build an axios-like response from a value supplied by a hook
+     * 
+     * @param {*} data - The response body, or chunks for streaming requests
+     * @param {Object} context - The hook context
+     * @returns {Object} `{ data, status, statusText, headers, config }`
+     * @private
+     */
+    toHookResponse(data, context) {
+        context.shortCircuited = true;
+        return {
+            data: context.stream ? toSSE(Array.isArray(data) || data[Symbol.asyncIterator] ? data : [data]) : data,
+            status: 200,
+            statusText: 'OK',
+            headers: {},
+            config: context.request
+        };
+    }
+
+    /**
+     * Check whether a failed request may be retried under the retry policy
+     * 
+     * @param {Error} error - The axios error
+     * @returns {boolean} True if the failure is transient and safe to retry
+     * @private
+     */
+    isRetryable(error) {
+        const { retryOnStatus, retryOnCodes } = this.retryPolicy;
+
+        if (error.response) {
+            return retryOnStatus.includes(error.response.status);
+        }
+        return Boolean(error.request) && retryOnCodes.includes(error.code);
+    }
+
+    /**
+     * Compute how long to wait before the next attempt
+     * 
+     * @param {number} attempt - The attempt that just failed (1-based)
+     * @param {Error} error - The axios error
+     * @returns {number|null} The delay in milliseconds, or null when the API asks to wait longer than `maxDelay`
+     * @private
+     */
+    getRetryDelay(attempt, error) {
+        const { baseDelay, maxDelay, jitter, respectRetryAfter } = this.retryPolicy;
+
+        if (respectRetryAfter && error.response) {
+            const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+            if (retryAfter !== null) {
+                return retryAfter > maxDelay ? null : retryAfter;
+            }
+        }
+
+        const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+        return jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+    }
+
     /**
      * Handle API errors with detailed error information
      * 
-     * This method processes errors from the Perplexity API and throws
-     * user-friendly error messages with appropriate context.
+     * This method converts errors from axios (or anything else thrown while
+     * preparing a request) into the typed errors from `errors.js`, so callers
+     * can branch on the error class or its `status`, `code` and `retryable`
+     * fields. Errors that are already typed are rethrown unchanged.
      * 
      * @param {Error} error - The error object from axios or other sources
-     * @throws {Error} Always throws an error with a descriptive message
+     * @param {Provider} [provider=this.provider] - The provider that answered, which knows its error format
+     * @throws {PerplexityError} Always throws a typed error with a descriptive message
      * @private
      */
-    handleError(error) {
+    handleError(error, provider = this.provider) {
+        if (error instanceof PerplexityError) {
+            throw error;
+        }
+
+        if (axios.isCancel(error) || error.name === 'AbortError') {
+            // Cancelled through an AbortSignal
+            throw new AbortError('Request was cancelled', { cause: error });
+        }
+
         if (error.response) {
             // API responded with error status
-            const { status, statusText, data } = error.response;
-            throw new Error(`Perplexity API Error ${status} (${statusText}): ${data?.error?.message || data?.message || 'Unknown error'}`);
+            const { status, statusText, data, headers = {} } = error.response;
+            const { message, code } = provider.parseError(data);
+            const details = {
+                status,
+                code,
+                requestId: headers['x-request-id'] || headers['request-id'] || data?.id || null,
+                retryable: this.retryPolicy.retryOnStatus.includes(status),
+                body: data,
+                cause: error
+            };
+            const description = `${provider.label} Error ${status} (${statusText}): ${message}`;
+
+            if (status === 401 || status === 403) {
+                throw new AuthenticationError(description, details);
+            }
+            if (status === 429) {
+                throw new RateLimitError(description, { ...details, retryAfter: parseRetryAfter(headers['retry-after']) });
+            }
+            if (status === 400 || status === 404 || status === 422) {
+                throw new InvalidRequestError(description, details);
+            }
+            throw new APIError(description, details);
+        } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            // Request timed out before a response arrived
+            const timeout = (error.config && error.config.timeout) || provider.http.defaults.timeout;
+            throw new TimeoutError(`${provider.label} request timed out after ${timeout}ms`, {
+                code: error.code,
+                cause: error
+            });
         } else if (error.request) {
             // Request was made but no response received
-            throw new Error('No response from Perplexity API. Check your internet connection.');
+            throw new NetworkError(`No response from ${provider.label}. Check your internet connection.`, {
+                code: error.code || null,
+                cause: error
+            });
         } else {
             // Something else happened
-            throw new Error(`Request Error: ${error.message}`);
+            throw new PerplexityError(`Request Error: ${error.message}`, { cause: error });
         }
     }
 
     /**
      * Set a new API key
      * 
-     * Updates the API key used for authentication. This will immediately
-     * affect all subsequent API calls.
+     * Replaces the keys of the key pool (and their statistics). This will
+     * immediately affect all subsequent API calls.
      * 
-     * @param {string} apiKey - The new API key to use
+     * @param {string|Array<string>} apiKey - The new API key to use, or several keys
      * @throws {Error} Throws an error if the API key is empty
      * @example
      * client.setApiKey('pplx-new-api-key-here');
+     * client.setApiKey(['pplx-first-key', 'pplx-second-key']);
      */
     setApiKey(apiKey) {
-        if (!apiKey) {
+        if (!apiKey || (Array.isArray(apiKey) && apiKey.length === 0)) {
             throw new Error('API key cannot be empty');
         }
-        this.apiKey = apiKey;
-        this.client.defaults.headers['Authorization'] = `Bearer ${apiKey}`;
+        this.keys.setKeys(apiKey);
+        this.apiKey = this.keys.keys[0].key;
     }
 
     /**
@@ -299,12 +1557,152 @@ Summary:`;
      * Returns the API key with most characters replaced by asterisks
      * to prevent accidental exposure in logs or console output.
      * 
-     * @returns {string} The masked API key showing only the first 8 characters
+     * @returns {string} The masked API key (the first one of a pool) showing only the first 8 characters
      * @example
      * console.log(client.getApiKey()); // "pplx-abc*****"
      */
     getApiKey() {
-        return this.apiKey ? `${this.apiKey.substring(0, 8)}${'*'.repeat(Math.max(0, this.apiKey.length - 8))}` : 'No API key set';
+        return maskApiKey(this.apiKey);
+    }
+
+    /**
+     * Get the health and usage of every API key, masked
+     * 
+     * @returns {Array<Object>} One entry per key, see `KeyPool#stats()`
+     * @example
+     * client.getApiKeys().filter(key => key.status !== 'active');
+     */
+    getApiKeys() {
+        return this.keys.stats();
+    }
+}
+
+/**
+ * Describe a cache hit for the `cache` field of a completion
+ * 
+ * @param {Object} lookup - The result of `lookupCache()`
+ * @returns {Object} `{ status: 'hit', key, storedAt, expiresAt, age }`
+ * @private
+ */
+function describeCacheHit({ key, entry }) {
+    return {
+        status: 'hit',
+        key,
+        storedAt: new Date(entry.storedAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+        age: Date.now() - entry.storedAt
+    };
+}
+
+/**
+ * Turn a completion into stream chunks, so it can be replayed as a stream
+ * 
+ * @param {Object} completion - The completion
+ * @returns {Array<Object>} One `chat.completion.chunk` carrying every choice
+ * @private
+ */
+function toChunks(completion) {
+    const { choices = [], object, ...meta } = completion;
+    return [{
+        ...meta,
+        object: 'chat.completion.chunk',
+        choices: choices.map(({ index = 0, message = {}, finish_reason = null }) => ({
+            index,
+            delta: {
+                role: message.role || 'assistant',
+                content: message.content || '',
+                ...(message.reasoning && { reasoning: message.reasoning })
+            },
+            finish_reason
+        }))
+    }];
+}
+
+/**
+ * Release a rate limiter slot once a response is complete
+ * 
+ * Streaming responses keep their slot until the body has been read or
+ * destroyed, since the request is still in flight until then.
+ * 
+ * @param {Object} response - The axios response
+ * @param {Function} release - The slot's release function
+ * @private
+ */
+function releaseWhenDone(response, release) {
+    const body = response.data;
+    if (body && typeof body.once === 'function' && !body.destroyed) {
+        body.once('close', release);
+        body.once('end', release);
+        body.once('error', release);
+    } else {
+        release();
+    }
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * 
+ * @param {number} ms - The delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that ends the wait early with an AbortError
+ * @returns {Promise<void>}
+ * @private
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            return reject(new AbortError());
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new AbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Parse a `Retry-After` header value into milliseconds
+ * 
+ * @param {string} [value] - Either a number of seconds or an HTTP date
+ * @returns {number|null} The delay in milliseconds, or null if absent or invalid
+ * @private
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Read a streamed response body into a parsed object (or string)
+ * 
+ * @param {Readable} stream - The response body stream
+ * @returns {Promise<Object|string>} The parsed JSON body, or the raw text if it isn't JSON
+ * @private
+ */
+async function readStreamBody(stream) {
+    let text = '';
+    try {
+        for await (const piece of stream) {
+            text += piece.toString();
+        }
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
     }
 }
 
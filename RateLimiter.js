@@ -0,0 +1,185 @@
+const { AbortError, InvalidRequestError } = require('./errors');
+
+/**
+ * Priority lanes, highest priority first
+ */
+const PRIORITIES = ['interactive', 'batch'];
+
+/** Length of the rate limit window in milliseconds */
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Rate Limiter
+ *
+ * Client-side limits on requests per minute and concurrent requests. Requests
+ * over either limit wait in a FIFO queue; `interactive` requests always go
+ * before `batch` ones, so bulk work cannot delay what a user is waiting for.
+ *
+ * One limiter can be shared by several clients using the same API key.
+ *
+ * @class RateLimiter
+ * @example
+ * const limiter = new RateLimiter({ requestsPerMinute: 50, maxConcurrent: 4 });
+ * const client = new PerplexityClient(apiKey, undefined, { limiter });
+ *
+ * await client.ask('Summarize this report', { priority: 'batch' });
+ * limiter.stats(); // { active: 1, queued: 0, lanes: { interactive: 0, batch: 0 }, ... }
+ */
+class RateLimiter {
+    /**
+     * Create a limiter
+     *
+     * @param {Object} [options={}] - Limits; both default to unlimited
+     * @param {number} [options.requestsPerMinute=Infinity] - Requests started in any 60 second window
+     * @param {number} [options.maxConcurrent=Infinity] - Requests in flight at the same time
+     */
+    constructor({ requestsPerMinute = Infinity, maxConcurrent = Infinity } = {}) {
+        this.requestsPerMinute = requestsPerMinute;
+        this.maxConcurrent = maxConcurrent;
+        this.active = 0;
+        this.started = [];
+        this.lanes = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
+        this.timer = null;
+    }
+
+    /**
+     * Wait for a slot
+     *
+     * The slot counts against the concurrency limit until the returned
+     * `release` function is called.
+     *
+     * @param {Object} [options={}] - Slot options
+     * @param {string} [options.priority='interactive'] - `interactive` or `batch`
+     * @param {AbortSignal} [options.signal] - Signal to leave the queue
+     * @returns {Promise<Function>} Resolves with the `release` function once the request may start
+     * @throws {AbortError} If the signal is aborted while waiting
+     * @throws {InvalidRequestError} If the priority is unknown
+     */
+    acquire({ priority = 'interactive', signal } = {}) {
+        const lane = this.lanes[priority];
+        if (!lane) {
+            return Promise.reject(new InvalidRequestError(
+                `Unknown priority "${priority}", expected one of: ${PRIORITIES.join(', ')}`,
+                { code: 'invalid_priority' }
+            ));
+        }
+        if (signal && signal.aborted) {
+            return Promise.reject(new AbortError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, signal, onAbort: null };
+            if (signal) {
+                waiter.onAbort = () => {
+                    lane.splice(lane.indexOf(waiter), 1);
+                    reject(new AbortError());
+                };
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+            lane.push(waiter);
+            this.drain();
+        });
+    }
+
+    /**
+     * Run a task in a slot
+     *
+     * @param {Function} task - Async function to run
+     * @param {Object} [options={}] - Slot options (see {@link RateLimiter#acquire})
+     * @returns {Promise<*>} The task's result
+     */
+    async schedule(task, options = {}) {
+        const release = await this.acquire(options);
+        try {
+            return await task();
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Current queue depth and load
+     *
+     * @returns {Object} `{ active, queued, lanes, requestsInWindow, limits }`, where `lanes` maps each priority to its queue length
+     */
+    stats() {
+        this.prune(Date.now());
+        const lanes = Object.fromEntries(Object.entries(this.lanes).map(([priority, lane]) => [priority, lane.length]));
+
+        return {
+            active: this.active,
+            queued: Object.values(lanes).reduce((sum, length) => sum + length, 0),
+            lanes,
+            requestsInWindow: this.started.length,
+            limits: {
+                requestsPerMinute: Number.isFinite(this.requestsPerMinute) ? this.requestsPerMinute : null,
+                maxConcurrent: Number.isFinite(this.maxConcurrent) ? this.maxConcurrent : null
+            }
+        };
+    }
+
+    /**
+     * Start as many queued requests as the limits allow
+     *
+     * @private
+     */
+    drain() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.active < this.maxConcurrent) {
+            const lane = PRIORITIES.map(priority => this.lanes[priority]).find(queue => queue.length > 0);
+            if (!lane) {
+                return;
+            }
+
+            const now = Date.now();
+            this.prune(now);
+            if (this.started.length >= this.requestsPerMinute) {
+                // Try again when the oldest request leaves the window
+                this.timer = setTimeout(() => this.drain(), this.started[0] + WINDOW_MS - now);
+                return;
+            }
+
+            const waiter = lane.shift();
+            if (waiter.signal) {
+                waiter.signal.removeEventListener('abort', waiter.onAbort);
+            }
+            this.active++;
+            this.started.push(now);
+            waiter.resolve(this.createRelease());
+        }
+    }
+
+    /**
+     * Create the release function of a slot; calling it more than once is harmless
+     *
+     * @returns {Function} The release function
+     * @private
+     */
+    createRelease() {
+        let released = false;
+        return () => {
+            if (!released) {
+                released = true;
+                this.active--;
+                this.drain();
+            }
+        };
+    }
+
+    /**
+     * Forget requests that left the rate limit window
+     *
+     * @param {number} now - The current time in milliseconds
+     * @private
+     */
+    prune(now) {
+        while (this.started.length > 0 && this.started[0] <= now - WINDOW_MS) {
+            this.started.shift();
+        }
+    }
+}
+
+module.exports = RateLimiter;
+module.exports.PRIORITIES = PRIORITIES;
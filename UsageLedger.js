@@ -0,0 +1,244 @@
+const { getPricing } = require('./models');
+
+/**
+ * Usage Ledger
+ *
+ * Records the token usage of every completion together with an estimated
+ * cost, and breaks it down per model, conversation, user and day. Costs come
+ * from the API when it reports them (`usage.cost`), and are otherwise
+ * estimated from the per-model price table in `models.js` (or the client's
+ * {@link ModelRegistry}), which can be overridden.
+ *
+ * Entries are kept in memory; the oldest are dropped once `maxEntries` is
+ * reached, so long-running processes should export summaries periodically.
+ *
+ * @class UsageLedger
+ * @example
+ * const ledger = new UsageLedger({ pricing: { 'sonar': { input: 1, output: 1 } } });
+ * ledger.record(completion, { conversationId: 'abc' });
+ * const { totals, byDay } = ledger.summary();
+ * console.log(`$${totals.cost.toFixed(4)} today`, byDay);
+ */
+class UsageLedger {
+    /**
+     * Create a ledger
+     *
+     * @param {Object} [options={}] - Ledger options
+     * @param {Object<string, ModelPricing>} [options.pricing={}] - Prices that replace or extend the built-in table
+     * @param {ModelRegistry} [options.models] - Registry to read prices from instead of the built-in table
+     * @param {number} [options.maxEntries=10000] - Maximum number of entries kept
+     */
+    constructor({ pricing = {}, models = null, maxEntries = 10000 } = {}) {
+        this.pricing = pricing;
+        this.models = models;
+        this.maxEntries = maxEntries;
+        this.entries = [];
+    }
+
+    /**
+     * @typedef {Object} UsageEntry
+     * @property {string} timestamp - ISO timestamp of the record
+     * @property {string|null} model - The model that produced the completion
+     * @property {string|null} conversationId - Conversation the request belonged to
+     * @property {string|null} user - User the request was made for
+     * @property {number} promptTokens - Prompt tokens
+     * @property {number} completionTokens - Completion tokens
+     * @property {number} totalTokens - Prompt plus completion tokens
+     * @property {number} searchRequests - Web searches performed
+     * @property {number|null} cost - Cost in USD, or null when the model has no known price
+     * @property {boolean} costEstimated - False when the cost was reported by the API
+     */
+
+    /**
+     * Record the usage of a completion
+     *
+     * Completions without `usage` (e.g. streams that were cancelled) are
+     * ignored.
+     *
+     * @param {Object} completion - The chat completion returned by the API
+     * @param {Object} [tags={}] - Attribution for the entry
+     * @param {string} [tags.conversationId] - Conversation id
+     * @param {string} [tags.user] - User id
+     * @param {string} [tags.searchContextSize='low'] - Search context size of the request, used to price it
+     * @returns {UsageEntry|null} The new entry, or null if there was nothing to record
+     */
+    record(completion, tags = {}) {
+        const usage = completion && completion.usage;
+        if (!usage) {
+            return null;
+        }
+
+        const model = completion.model || null;
+        // Own entries only, so a model named like an Object.prototype member is not priced by it
+        const pricing = (Object.prototype.hasOwnProperty.call(this.pricing, model) && this.pricing[model])
+            || (this.models ? this.models.getPricing(model) : getPricing(model));
+        const reported = usage.cost && typeof usage.cost.total_cost === 'number' ? usage.cost.total_cost : null;
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            model,
+            conversationId: tags.conversationId || null,
+            user: tags.user || null,
+            promptTokens: usage.prompt_tokens || 0,
+            completionTokens: usage.completion_tokens || 0,
+            totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+            searchRequests: countSearches(usage, pricing),
+            cost: reported !== null ? reported : estimateCost(usage, pricing, tags.searchContextSize),
+            costEstimated: reported === null
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+        return entry;
+    }
+
+    /**
+     * Summarize the recorded usage
+     *
+     * @param {Object} [filter={}] - Only include matching entries
+     * @param {string} [filter.conversationId] - Conversation id
+     * @param {string} [filter.user] - User id
+     * @param {string} [filter.model] - Model name
+     * @param {string|Date} [filter.since] - Earliest timestamp (inclusive)
+     * @param {string|Date} [filter.until] - Latest timestamp (exclusive)
+     * @returns {Object} `{ totals, byModel, byConversation, byUser, byDay }`; each breakdown maps a key to totals
+     * @example
+     * ledger.summary({ user: 'alice', since: '2025-08-01' }).byDay['2025-08-22'].cost;
+     */
+    summary(filter = {}) {
+        const since = filter.since ? new Date(filter.since).toISOString() : null;
+        const until = filter.until ? new Date(filter.until).toISOString() : null;
+
+        const entries = this.entries.filter(entry =>
+            (!filter.conversationId || entry.conversationId === filter.conversationId) &&
+            (!filter.user || entry.user === filter.user) &&
+            (!filter.model || entry.model === filter.model) &&
+            (!since || entry.timestamp >= since) &&
+            (!until || entry.timestamp < until)
+        );
+
+        return {
+            totals: sumEntries(entries),
+            byModel: groupEntries(entries, entry => entry.model || 'unknown'),
+            byConversation: groupEntries(entries.filter(entry => entry.conversationId), entry => entry.conversationId),
+            byUser: groupEntries(entries.filter(entry => entry.user), entry => entry.user),
+            byDay: groupEntries(entries, entry => entry.timestamp.slice(0, 10))
+        };
+    }
+
+    /**
+     * Remove all entries
+     *
+     * @returns {UsageLedger} This ledger, for chaining
+     */
+    reset() {
+        this.entries = [];
+        return this;
+    }
+
+    /**
+     * Serialize the entries
+     *
+     * @returns {Object} `{ entries }`
+     */
+    toJSON() {
+        return { entries: this.entries };
+    }
+}
+
+/**
+ * Count the web searches behind a completion
+ *
+ * @param {Object} usage - The API usage object
+ * @param {ModelPricing|null} pricing - The model's pricing
+ * @returns {number} The number of searches
+ * @private
+ */
+function countSearches(usage, pricing) {
+    if (typeof usage.num_search_queries === 'number') {
+        return usage.num_search_queries;
+    }
+    // Models with a request fee search once per request; offline models never do
+    return pricing && pricing.request ? 1 : 0;
+}
+
+/**
+ * Estimate the cost of a completion from list prices
+ *
+ * @param {Object} usage - The API usage object
+ * @param {ModelPricing|null} pricing - The model's pricing
+ * @param {string} [searchContextSize] - Search context size of the request
+ * @returns {number|null} The cost in USD, or null when the model is not priced
+ * @private
+ */
+function estimateCost(usage, pricing, searchContextSize) {
+    if (!pricing) {
+        return null;
+    }
+
+    const size = usage.search_context_size || searchContextSize || 'low';
+    const perMillion = (tokens, price) => (tokens || 0) * (price || 0) / 1e6;
+
+    return roundCost(perMillion(usage.prompt_tokens, pricing.input) +
+        perMillion(usage.completion_tokens, pricing.output) +
+        perMillion(usage.citation_tokens, pricing.citation) +
+        perMillion(usage.reasoning_tokens, pricing.reasoning) +
+        (usage.num_search_queries || 0) * (pricing.searchQuery || 0) / 1000 +
+        (pricing.request ? (pricing.request[size] || 0) / 1000 : 0));
+}
+
+/**
+ * Add up a list of entries
+ *
+ * @param {Array<UsageEntry>} entries - The entries
+ * @returns {Object} `{ requests, promptTokens, completionTokens, totalTokens, searchRequests, cost }`
+ * @private
+ */
+function sumEntries(entries) {
+    const totals = entries.reduce((totals, entry) => ({
+        requests: totals.requests + 1,
+        promptTokens: totals.promptTokens + entry.promptTokens,
+        completionTokens: totals.completionTokens + entry.completionTokens,
+        totalTokens: totals.totalTokens + entry.totalTokens,
+        searchRequests: totals.searchRequests + entry.searchRequests,
+        cost: totals.cost + (entry.cost || 0)
+    }), { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, searchRequests: 0, cost: 0 });
+
+    return { ...totals, cost: roundCost(totals.cost) };
+}
+
+/**
+ * Round a cost to a millionth of a dollar, hiding floating point noise
+ *
+ * @param {number} cost - The cost in USD
+ * @returns {number} The rounded cost
+ * @private
+ */
+function roundCost(cost) {
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Group entries by a key and add up each group
+ *
+ * @param {Array<UsageEntry>} entries - The entries
+ * @param {Function} getKey - Returns the group key of an entry
+ * @returns {Object<string, Object>} Totals by key
+ * @private
+ */
+function groupEntries(entries, getKey) {
+    // User and conversation ids come from callers; a Map keeps `__proto__` an ordinary key
+    const groups = new Map();
+    for (const entry of entries) {
+        const key = getKey(entry);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(entry);
+    }
+    return Object.fromEntries([...groups].map(([key, group]) => [key, sumEntries(group)]));
+}
+
+module.exports = UsageLedger;
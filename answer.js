@@ -0,0 +1,99 @@
+const { separateReasoning } = require('./reasoning');
+
+/**
+ * Answer Normalization
+ *
+ * Turns a raw chat completion from the Perplexity API into a flat answer
+ * object. Perplexity responses carry more than the message text: the sources
+ * used for the answer (`citations` and `search_results`), optional images and
+ * related questions, and token usage. This module collects them in one place
+ * with a stable shape, whatever subset the API returned.
+ *
+ * @example
+ * const completion = await client.chatCompletion({ messages });
+ * const { answer, citations } = normalizeCompletion(completion);
+ * citations.forEach(c => console.log(`[${c.index}] ${c.title} - ${c.url}`));
+ */
+
+/**
+ * @typedef {Object} Citation
+ * @property {number} index - 1-based position, matching the `[n]` markers in the answer text
+ * @property {string} url - Source URL
+ * @property {string|null} title - Page title, when the API returned search results
+ * @property {string|null} date - Publication date, when known
+ * @property {string|null} snippet - Short excerpt of the source, when known
+ */
+
+/**
+ * @typedef {Object} DetailedAnswer
+ * @property {string} answer - The answer text
+ * @property {string|null} reasoning - The thought process of reasoning models, without the `<think>` tags
+ * @property {Array<Citation>} citations - Ordered list of sources
+ * @property {Array<Object>} searchResults - Raw search results returned by the API
+ * @property {Array<Object>} images - Images returned when `return_images` is enabled
+ * @property {Array<string>} relatedQuestions - Follow-up questions returned when `return_related_questions` is enabled
+ * @property {Object|null} usage - Token usage as reported by the API
+ * @property {string|null} model - The model that produced the answer
+ * @property {string|null} finishReason - Why generation stopped (`stop`, `length`...)
+ * @property {string|null} id - The completion id
+ * @property {number|null} created - Unix timestamp of the completion
+ * @property {Object|null} cache - Cache status (`{ status, key, ... }`) when the client has a response cache
+ */
+
+/**
+ * Normalize a raw completion into a {@link DetailedAnswer}
+ *
+ * @param {Object} completion - The chat completion returned by the API
+ * @returns {DetailedAnswer} The normalized answer
+ */
+function normalizeCompletion(completion = {}) {
+    const choice = separateReasoning(completion).choices?.[0] || {};
+    const searchResults = Array.isArray(completion.search_results) ? completion.search_results : [];
+
+    return {
+        answer: choice.message?.content || '',
+        reasoning: choice.message?.reasoning || null,
+        citations: buildCitations(completion.citations, searchResults),
+        searchResults,
+        images: Array.isArray(completion.images) ? completion.images : [],
+        relatedQuestions: Array.isArray(completion.related_questions) ? completion.related_questions : [],
+        usage: completion.usage || null,
+        model: completion.model || null,
+        finishReason: choice.finish_reason || null,
+        id: completion.id || null,
+        created: completion.created || null,
+        cache: completion.cache || null
+    };
+}
+
+/**
+ * Build the ordered citation list
+ *
+ * `citations` (a list of URLs) defines the order used by the `[n]` markers;
+ * titles, dates and snippets are looked up in `search_results`. When the API
+ * only returned search results, they are used in their own order.
+ *
+ * @param {Array<string|Object>} [citations] - Citation URLs (or objects with a `url`)
+ * @param {Array<Object>} searchResults - Search results with `url`, `title`, `date` and `snippet`
+ * @returns {Array<Citation>} The ordered citations
+ * @private
+ */
+function buildCitations(citations, searchResults) {
+    const byUrl = new Map(searchResults.map(result => [result.url, result]));
+    const sources = Array.isArray(citations) && citations.length > 0 ? citations : searchResults;
+
+    return sources.map((source, i) => {
+        const url = typeof source === 'string' ? source : source.url;
+        const result = byUrl.get(url) || (typeof source === 'object' ? source : {});
+
+        return {
+            index: i + 1,
+            url,
+            title: result.title || null,
+            date: result.date || null,
+            snippet: result.snippet || null
+        };
+    });
+}
+
+module.exports = { normalizeCompletion };
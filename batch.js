@@ -0,0 +1,412 @@
+const fs = require('fs');
+const { InvalidRequestError, AbortError } = require('./errors');
+
+/** Path segments that would reach an object's prototype */
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Batch Questions
+ *
+ * Runs many questions with bounded concurrency and reports one result per
+ * question, in completion order. Questions come as objects, JSONL lines or
+ * CSV rows with per-item options; results can be appended to a JSONL file,
+ * which also lets an interrupted run resume where it stopped: questions
+ * already answered in the file are skipped, failed ones are retried.
+ *
+ * Every field of an item other than `id` and `question` is passed to
+ * `client.askDetailed()`. CSV headers may use dots for nested options
+ * (`search.recency`), and numbers and booleans in cells are converted.
+ *
+ * @example
+ * const items = parseBatchInput(fs.readFileSync('questions.csv', 'utf8'), 'csv');
+ * for await (const result of client.batch(items, { concurrency: 4, output: 'answers.jsonl' })) {
+ *   console.log(result.id, result.status, result.answer || result.error.message);
+ * }
+ */
+
+/**
+ * @typedef {Object} BatchItem
+ * @property {string} [id] - Stable identifier, used to resume; defaults to the 1-based position
+ * @property {string} question - The question to ask
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {string} id - The item id
+ * @property {number} index - 0-based position of the item in the input
+ * @property {string} question - The question
+ * @property {string} status - `ok` or `error`
+ * @property {string|null} answer - The answer text
+ * @property {Array<Citation>} citations - Ordered sources of the answer
+ * @property {Object|null} usage - Token usage reported by the API
+ * @property {string|null} model - The model that answered
+ * @property {string|null} finishReason - Why generation stopped
+ * @property {Object|null} error - `{ name, message, code, status, retryable }` when the item failed
+ * @property {number} duration - Time spent on the item in milliseconds
+ */
+
+/**
+ * @typedef {Object} BatchProgress
+ * @property {number} total - Items in the batch
+ * @property {number} completed - Items answered or failed in this run
+ * @property {number} succeeded - Items answered in this run
+ * @property {number} failed - Items that failed in this run
+ * @property {number} skipped - Items skipped because the output file already answered them
+ * @property {Array<string>} failedIds - Ids of the failed items
+ */
+
+/**
+ * Parse batch questions from JSONL or CSV text
+ *
+ * @param {string} text - The input
+ * @param {string} [format] - `jsonl` or `csv`; guessed from the first line when omitted
+ * @returns {Array<BatchItem>} The items
+ * @throws {InvalidRequestError} If a line or row cannot be parsed, or has no question
+ */
+function parseBatchInput(text, format) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const resolved = format || (input.trimStart().startsWith('{') ? 'jsonl' : 'csv');
+
+    let items;
+    if (resolved === 'jsonl') {
+        items = parseJSONL(input);
+    } else if (resolved === 'csv') {
+        items = parseCSVItems(input);
+    } else {
+        throw new InvalidRequestError(`Unknown batch format "${format}", expected jsonl or csv`, { code: 'invalid_batch_format' });
+    }
+
+    return normalizeItems(items);
+}
+
+/**
+ * Give every item an id and check it has a question
+ *
+ * @param {Array<Object>} items - Raw items
+ * @returns {Array<BatchItem>} The items with string ids
+ * @throws {InvalidRequestError} If an item has no question or an id is used twice
+ */
+function normalizeItems(items) {
+    if (!Array.isArray(items)) {
+        throw new InvalidRequestError('Batch items must be an array', { code: 'invalid_batch_item' });
+    }
+
+    const seen = new Set();
+    return items.map((item, index) => {
+        if (!item || typeof item.question !== 'string' || !item.question.trim()) {
+            throw new InvalidRequestError(`Batch item ${index + 1} has no question`, { code: 'invalid_batch_item' });
+        }
+
+        const id = item.id !== undefined && item.id !== null && item.id !== '' ? String(item.id) : String(index + 1);
+        if (seen.has(id)) {
+            throw new InvalidRequestError(`Batch item id "${id}" is used more than once`, { code: 'invalid_batch_item' });
+        }
+        seen.add(id);
+        return { ...item, id };
+    });
+}
+
+/**
+ * Ids answered successfully in a previous run's JSONL output
+ *
+ * Lines that are not results (or are cut off by a crash) are ignored.
+ *
+ * @param {string} text - The previous output
+ * @returns {Set<string>} The ids to skip
+ */
+function readCompletedIds(text) {
+    const completed = new Set();
+    for (const line of String(text || '').split('\n')) {
+        try {
+            const result = JSON.parse(line);
+            if (result && result.status === 'ok' && result.id !== undefined) {
+                completed.add(String(result.id));
+            }
+        } catch (error) {
+            // Partial line written when the previous run stopped
+        }
+    }
+    return completed;
+}
+
+/**
+ * Answer a batch of questions, yielding each result as soon as it is ready
+ *
+ * A failing item is reported as an `error` result and does not stop the
+ * batch. Aborting `options.signal` stops starting new items and throws an
+ * {@link AbortError} once the running ones have settled.
+ *
+ * @param {PerplexityClient} client - The client to ask with
+ * @param {Array<BatchItem>} items - The questions
+ * @param {Object} [options={}] - Batch options; any other field is a default request option for every item
+ * @param {number} [options.concurrency=4] - Items answered at the same time
+ * @param {string} [options.output] - JSONL file to append results to, and to resume from
+ * @param {Iterable<string>} [options.skip] - Ids to skip, e.g. from {@link readCompletedIds}
+ * @param {Function} [options.onProgress] - Called with a {@link BatchProgress} before the first item and after each one
+ * @param {AbortSignal} [options.signal] - Signal to stop the batch
+ * @yields {BatchResult} Each result, in completion order
+ */
+async function* runBatch(client, items, options = {}) {
+    const { concurrency = 4, output, skip, onProgress, signal, ...defaults } = options;
+    const normalized = normalizeItems(items);
+
+    const skipped = new Set(skip || []);
+    if (output) {
+        const previous = await fs.promises.readFile(output, 'utf8').catch(() => '');
+        readCompletedIds(previous).forEach(id => skipped.add(id));
+    }
+
+    const queue = normalized
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => !skipped.has(item.id));
+    const progress = {
+        total: normalized.length,
+        completed: 0,
+        succeeded: 0,
+        failed: 0,
+        skipped: normalized.length - queue.length,
+        failedIds: []
+    };
+
+    const report = () => onProgress && onProgress({ ...progress, failedIds: [...progress.failedIds] });
+    report();
+
+    const running = new Map();
+    const start = ({ item, index }) => {
+        const task = answerItem(client, item, index, { priority: 'batch', ...defaults, signal })
+            .then(result => ({ task, result }));
+        running.set(task, item.id);
+    };
+
+    while (queue.length > 0 || running.size > 0) {
+        while (queue.length > 0 && running.size < Math.max(1, concurrency) && !(signal && signal.aborted)) {
+            start(queue.shift());
+        }
+        if (running.size === 0) {
+            break;
+        }
+
+        const { task, result } = await Promise.race(running.keys());
+        running.delete(task);
+
+        // Items cut short by the abort are not reported, so a resumed run retries them
+        if (signal && signal.aborted && result.error && result.error.name === 'AbortError') {
+            continue;
+        }
+
+        progress.completed++;
+        if (result.status === 'ok') {
+            progress.succeeded++;
+        } else {
+            progress.failed++;
+            progress.failedIds.push(result.id);
+        }
+
+        if (output) {
+            await fs.promises.appendFile(output, `${JSON.stringify(result)}\n`);
+        }
+        yield result;
+        report();
+    }
+
+    if (signal && signal.aborted) {
+        throw new AbortError('Batch was cancelled');
+    }
+}
+
+/**
+ * Answer a single item, capturing its error
+ *
+ * @param {PerplexityClient} client - The client
+ * @param {BatchItem} item - The item
+ * @param {number} index - Position of the item
+ * @param {Object} defaults - Request options shared by all items
+ * @returns {Promise<BatchResult>} The result
+ * @private
+ */
+async function answerItem(client, item, index, defaults) {
+    const { id, question, ...itemOptions } = item;
+    const startTime = Date.now();
+    const base = { id, index, question };
+
+    try {
+        const result = await client.askDetailed(question, { ...defaults, ...itemOptions, signal: defaults.signal });
+        return {
+            ...base,
+            status: 'ok',
+            answer: result.answer,
+            citations: result.citations,
+            usage: result.usage,
+            model: result.model,
+            finishReason: result.finishReason,
+            error: null,
+            duration: Date.now() - startTime
+        };
+    } catch (error) {
+        return {
+            ...base,
+            status: 'error',
+            answer: null,
+            citations: [],
+            usage: null,
+            model: null,
+            finishReason: null,
+            error: {
+                name: error.name,
+                message: error.message,
+                code: error.code || null,
+                status: error.status || null,
+                retryable: Boolean(error.retryable)
+            },
+            duration: Date.now() - startTime
+        };
+    }
+}
+
+/**
+ * Parse JSONL text into objects, skipping blank lines
+ *
+ * @param {string} text - The JSONL text
+ * @returns {Array<Object>} One object per line
+ * @throws {InvalidRequestError} If a line is not valid JSON
+ * @private
+ */
+function parseJSONL(text) {
+    const items = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) {
+            return;
+        }
+        try {
+            items.push(JSON.parse(line));
+        } catch (error) {
+            throw new InvalidRequestError(`Invalid JSON on line ${index + 1}: ${error.message}`, { code: 'invalid_batch_input' });
+        }
+    });
+    return items;
+}
+
+/**
+ * Parse CSV text into items, using the header row as field names
+ *
+ * @param {string} text - The CSV text
+ * @returns {Array<Object>} One object per data row
+ * @throws {InvalidRequestError} If there is no `question` column, or a column would write to a prototype
+ * @private
+ */
+function parseCSVItems(text) {
+    const [header = [], ...rows] = parseCSV(text).filter(row => row.some(cell => cell.trim() !== ''));
+    const columns = header.map(column => column.trim());
+    if (!columns.includes('question')) {
+        throw new InvalidRequestError('CSV input needs a "question" column', { code: 'invalid_batch_input' });
+    }
+
+    return rows.map(row => {
+        const item = {};
+        columns.forEach((column, index) => {
+            const cell = row[index];
+            if (column && cell !== undefined && cell !== '') {
+                setPath(item, column, column === 'question' || column === 'id' ? cell : parseCell(cell));
+            }
+        });
+        return item;
+    });
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells, `""` escapes, CRLF)
+ *
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} The rows
+ * @private
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Convert a CSV cell to a number or boolean when it looks like one
+ *
+ * @param {string} cell - The cell text
+ * @returns {string|number|boolean} The value
+ * @private
+ */
+function parseCell(cell) {
+    if (cell === 'true' || cell === 'false') {
+        return cell === 'true';
+    }
+    if (/^-?\d+(\.\d+)?$/.test(cell.trim())) {
+        return Number(cell);
+    }
+    return cell;
+}
+
+/**
+ * Set a nested value from a dotted path (`search.recency`)
+ *
+ * @param {Object} target - The object to update
+ * @param {string} path - The dotted path
+ * @param {*} value - The value
+ * @throws {InvalidRequestError} If a segment is `__proto__`, `constructor` or `prototype`
+ * @private
+ */
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    if (keys.some(key => UNSAFE_KEYS.includes(key))) {
+        throw new InvalidRequestError(`CSV column "${path}" is not allowed`, { code: 'invalid_batch_input' });
+    }
+
+    const last = keys.pop();
+    let current = target;
+    for (const key of keys) {
+        current = current[key] = Object.prototype.hasOwnProperty.call(current, key) && current[key] && typeof current[key] === 'object'
+            ? current[key]
+            : {};
+    }
+    current[last] = value;
+}
+
+module.exports = {
+    parseBatchInput,
+    normalizeItems,
+    readCompletedIds,
+    runBatch
+};
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Response Cache
+ *
+ * An opt-in cache for chat completions, enabled with the `cache` option of
+ * {@link PerplexityClient}. Entries are keyed by a hash of the normalized
+ * request (model, messages and every option sent to the API), expire after a
+ * TTL, and live in a pluggable store:
+ *
+ * - {@link MemoryCacheStore} - in-process LRU, lost on restart
+ * - {@link FileCacheStore} - one JSON file per entry, survives restarts
+ *
+ * A custom store only needs async `get(key)`, `set(key, entry)`,
+ * `delete(key)` and `clear()` methods.
+ *
+ * @example
+ * const client = new PerplexityClient(apiKey, undefined, {
+ *   cache: { store: 'file', directory: '.cache', ttl: 24 * 60 * 60 * 1000 }
+ * });
+ * const first = await client.chatCompletion({ messages });  // first.cache.status === 'miss'
+ * const second = await client.chatCompletion({ messages }); // second.cache.status === 'hit'
+ */
+
+/** Default time to live of an entry (1 hour) */
+const DEFAULT_TTL = 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {Object} value - The cached completion
+ * @property {number} storedAt - When the entry was stored (ms since epoch)
+ * @property {number} expiresAt - When the entry expires (ms since epoch)
+ */
+
+/**
+ * In-memory store that evicts the least recently used entry when full
+ *
+ * @class MemoryCacheStore
+ */
+class MemoryCacheStore {
+    /**
+     * @param {Object} [options={}] - Store options
+     * @param {number} [options.maxEntries=500] - Maximum number of entries
+     */
+    constructor({ maxEntries = 500 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            // Re-insert to mark the entry as most recently used
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * File store keeping one JSON file per entry, so the cache survives restarts
+ *
+ * @class FileCacheStore
+ */
+class FileCacheStore {
+    /**
+     * @param {Object} [options={}] - Store options
+     * @param {string} [options.directory='.perplexity-cache'] - Directory for the cache files (created on demand)
+     */
+    constructor({ directory = '.perplexity-cache' } = {}) {
+        this.directory = path.resolve(directory);
+    }
+
+    async get(key) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.file(key), 'utf8'));
+        } catch (error) {
+            // Missing or corrupt entries are treated as misses
+            return undefined;
+        }
+    }
+
+    async set(key, entry) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        // Write to a temporary file first so readers never see a partial entry
+        const temp = `${this.file(key)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(entry));
+        await fs.promises.rename(temp, this.file(key));
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.file(key), { force: true });
+    }
+
+    async clear() {
+        const files = await fs.promises.readdir(this.directory).catch(() => []);
+        await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(file => fs.promises.rm(path.join(this.directory, file), { force: true })));
+    }
+
+    /**
+     * Path of the file holding an entry
+     *
+     * @param {string} key - The cache key
+     * @returns {string} The file path
+     * @private
+     */
+    file(key) {
+        return path.join(this.directory, `${key}.json`);
+    }
+}
+
+/**
+ * Cache of chat completions in front of a store
+ *
+ * @class ResponseCache
+ */
+class ResponseCache {
+    /**
+     * @param {Object} [options={}] - Cache options
+     * @param {string|Object} [options.store='memory'] - `memory`, `file` or a store instance
+     * @param {number} [options.ttl=3600000] - Time to live of an entry in milliseconds
+     * @param {number} [options.maxEntries=500] - Maximum entries of the memory store
+     * @param {string} [options.directory] - Directory of the file store
+     */
+    constructor({ store = 'memory', ttl = DEFAULT_TTL, maxEntries, directory } = {}) {
+        if (store === 'memory') {
+            this.store = new MemoryCacheStore({ maxEntries });
+        } else if (store === 'file') {
+            this.store = new FileCacheStore({ directory });
+        } else if (store && typeof store.get === 'function' && typeof store.set === 'function') {
+            this.store = store;
+        } else {
+            throw new Error('Cache store must be "memory", "file" or an object with get and set methods');
+        }
+        this.ttl = ttl;
+    }
+
+    /**
+     * Compute the cache key of a request
+     *
+     * Object keys are sorted and message text is trimmed, so requests that
+     * differ only in formatting share an entry.
+     *
+     * @param {Object} requestData - The request body sent to the API
+     * @returns {string} A SHA-256 hex digest
+     */
+    key(requestData) {
+        const { stream, ...data } = requestData;
+        const normalized = {
+            ...data,
+            messages: (data.messages || []).map(message => ({
+                ...message,
+                content: typeof message.content === 'string' ? message.content.trim() : message.content
+            }))
+        };
+        return crypto.createHash('sha256').update(stableStringify(normalized)).digest('hex');
+    }
+
+    /**
+     * Look up a fresh entry
+     *
+     * @param {string} key - The cache key
+     * @returns {Promise<CacheEntry|null>} The entry, or null on a miss or when it expired
+     */
+    async get(key) {
+        const entry = await this.store.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            await this.store.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Store a completion
+     *
+     * @param {string} key - The cache key
+     * @param {Object} value - The completion
+     * @param {number} [ttl] - Time to live for this entry, defaults to the cache TTL
+     * @returns {Promise<CacheEntry>} The stored entry
+     */
+    async set(key, value, ttl = this.ttl) {
+        const storedAt = Date.now();
+        const entry = { value, storedAt, expiresAt: storedAt + ttl };
+        await this.store.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Remove every entry
+     *
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.store.clear();
+    }
+}
+
+/**
+ * JSON.stringify with sorted object keys, so equal objects hash the same
+ *
+ * @param {*} value - The value to serialize
+ * @returns {string} The JSON text
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+module.exports = {
+    ResponseCache,
+    MemoryCacheStore,
+    FileCacheStore,
+    stableStringify
+};
@@ -0,0 +1,214 @@
+const { InvalidRequestError } = require('./errors');
+
+/**
+ * Context Compression Strategies
+ *
+ * Decide what happens to a conversation's history once it no longer fits the
+ * model's context budget. The history is handled in whole turns (a user
+ * message and the replies that follow it), so the messages that are kept
+ * still alternate the way the API expects. Turns containing a message marked
+ * `pinned: true` are never compressed.
+ *
+ * Built-in strategies:
+ * - `rolling` - summarize older turns into the running summary, keep the last `keepTurns` turns verbatim (default)
+ * - `sliding-window` - drop the oldest turns until the rest fits, without summarizing
+ * - `hierarchical` - summarize older turns into a new segment summary; once there are more than
+ *   `maxSegments` segments, condense them into the running summary
+ * - `full` - summarize the whole history (the behavior before strategies existed)
+ *
+ * A strategy is an async function `(state, settings, tools)` returning the new
+ * `{ summary, segments, turns }`; custom strategies can be passed anywhere a
+ * strategy name is accepted.
+ *
+ * @example
+ * const conversation = client.createConversation({
+ *   summarization: { strategy: 'rolling', keepTurns: 3 }
+ * });
+ */
+
+/** Turns kept verbatim by default */
+const DEFAULT_KEEP_TURNS = 2;
+
+/** Segment summaries kept by the hierarchical strategy before they are condensed */
+const DEFAULT_MAX_SEGMENTS = 4;
+
+/**
+ * @typedef {Object} CompressionState
+ * @property {Array<Array<Object>>} turns - Compressible turns, oldest first (pinned turns are left out)
+ * @property {string|null} summary - The running summary
+ * @property {Array<string>} segments - Segment summaries from the hierarchical strategy, oldest first
+ */
+
+/**
+ * @typedef {Object} CompressionTools
+ * @property {Function} summarize - `(messages, previousSummaries) => Promise<string>` summarizes messages, folding in earlier summaries
+ * @property {Function} fits - `(state) => boolean` tells whether a candidate state fits the context budget
+ */
+
+const STRATEGIES = {
+    async rolling(state, settings, { summarize }) {
+        const keep = Math.max(state.turns.length - settings.keepTurns, 0);
+        const older = state.turns.slice(0, keep);
+        if (older.length === 0) {
+            return state;
+        }
+
+        return {
+            summary: await summarize(older.flat(), [state.summary, ...state.segments]),
+            segments: [],
+            turns: state.turns.slice(keep)
+        };
+    },
+
+    async 'sliding-window'(state, settings, { fits }) {
+        let turns = state.turns;
+        while (turns.length > 1 && !fits({ ...state, turns })) {
+            turns = turns.slice(1);
+        }
+        return { ...state, turns };
+    },
+
+    async hierarchical(state, settings, { summarize }) {
+        const keep = Math.max(state.turns.length - settings.keepTurns, 0);
+        const older = state.turns.slice(0, keep);
+        if (older.length === 0) {
+            return state;
+        }
+
+        const segments = [...state.segments, await summarize(older.flat(), [])];
+        if (segments.length <= settings.maxSegments) {
+            return { summary: state.summary, segments, turns: state.turns.slice(keep) };
+        }
+
+        // Too many segments: summarize the summaries
+        return {
+            summary: await summarize([], [state.summary, ...segments]),
+            segments: [],
+            turns: state.turns.slice(keep)
+        };
+    },
+
+    async full(state, settings, { summarize }) {
+        if (state.turns.length === 0) {
+            return state;
+        }
+
+        return {
+            summary: await summarize(state.turns.flat(), [state.summary, ...state.segments]),
+            segments: [],
+            turns: []
+        };
+    }
+};
+
+/** Names of the built-in strategies */
+const COMPRESSION_STRATEGIES = Object.keys(STRATEGIES);
+
+/**
+ * Validate compression settings and fill in the defaults
+ *
+ * @param {string|Function|Object} [settings] - A strategy name or function, or `{ strategy, keepTurns, maxSegments }`
+ * @returns {Object} `{ strategy, keepTurns, maxSegments }` with `strategy` resolved to a name or function
+ * @throws {InvalidRequestError} Throws an error for unknown strategies or invalid numbers
+ * @example
+ * resolveCompression('sliding-window');
+ * // { strategy: 'sliding-window', keepTurns: 2, maxSegments: 4 }
+ */
+function resolveCompression(settings = {}) {
+    const {
+        strategy = 'rolling',
+        keepTurns = DEFAULT_KEEP_TURNS,
+        maxSegments = DEFAULT_MAX_SEGMENTS
+    } = typeof settings === 'object' && settings !== null ? settings : { strategy: settings };
+
+    if (typeof strategy !== 'function' && !COMPRESSION_STRATEGIES.includes(strategy)) {
+        throw invalid(`strategy must be one of ${COMPRESSION_STRATEGIES.join(', ')}`);
+    }
+    if (!Number.isInteger(keepTurns) || keepTurns < 0) {
+        throw invalid('keepTurns must be a non-negative integer');
+    }
+    if (!Number.isInteger(maxSegments) || maxSegments < 1) {
+        throw invalid('maxSegments must be a positive integer');
+    }
+
+    return { strategy, keepTurns, maxSegments };
+}
+
+/**
+ * Compress a conversation history
+ *
+ * Pinned turns are set aside before the strategy runs and put back in their
+ * original order afterwards.
+ *
+ * @param {Object} state - `{ messages, summary, segments }`
+ * @param {Object} settings - Settings returned by {@link resolveCompression}
+ * @param {CompressionTools} tools - Summarization and budget helpers
+ * @returns {Promise<Object>} The new `{ messages, summary, segments }`
+ */
+async function compressHistory(state, settings, tools) {
+    const strategy = typeof settings.strategy === 'function'
+        ? settings.strategy
+        : STRATEGIES[settings.strategy];
+
+    const turns = splitTurns(state.messages);
+    const isPinned = turn => turn.some(message => message.pinned);
+    const pinned = turns.filter(isPinned);
+    const unpinned = turns.filter(turn => !isPinned(turn));
+
+    const result = await strategy({
+        turns: unpinned,
+        summary: state.summary || null,
+        segments: state.segments || []
+    }, settings, {
+        summarize: tools.summarize,
+        fits: candidate => tools.fits({
+            ...candidate,
+            messages: turns.filter(turn => pinned.includes(turn) || candidate.turns.includes(turn)).flat()
+        })
+    });
+
+    const kept = new Set([...pinned, ...result.turns]);
+    return {
+        messages: turns.filter(turn => kept.has(turn)).flat(),
+        summary: result.summary || null,
+        segments: result.segments || []
+    };
+}
+
+/**
+ * Split a history into turns, each starting with a user message
+ *
+ * Messages before the first user message form a turn of their own.
+ *
+ * @param {Array<Object>} messages - The history
+ * @returns {Array<Array<Object>>} The turns, oldest first
+ */
+function splitTurns(messages) {
+    const turns = [];
+    for (const message of messages) {
+        if (message.role === 'user' || turns.length === 0) {
+            turns.push([message]);
+        } else {
+            turns[turns.length - 1].push(message);
+        }
+    }
+    return turns;
+}
+
+/**
+ * Create the error thrown for invalid compression settings
+ *
+ * @param {string} problem - What is wrong
+ * @returns {InvalidRequestError} The error
+ * @private
+ */
+function invalid(problem) {
+    return new InvalidRequestError(`Invalid compression option: ${problem}`, { code: 'invalid_compression_option' });
+}
+
+module.exports = {
+    compressHistory,
+    resolveCompression,
+    splitTurns,
+    COMPRESSION_STRATEGIES
+};
@@ -0,0 +1,237 @@
+const { InvalidRequestError } = require('./errors');
+
+/**
+ * Multimodal Message Content
+ *
+ * A message's `content` is either a string or an array of content parts:
+ * `{ type: 'text', text }` and `{ type: 'image_url', image_url: { url } }`,
+ * where the URL is an `http(s)` address or a base64 `data:` URL. These
+ * helpers build such arrays, flatten them to text for prompts that can only
+ * hold text (like summaries), and check them against size limits.
+ *
+ * @example
+ * const content = buildContent('What is in this picture?', [
+ *   'https://example.com/cat.jpg',
+ *   { data: fs.readFileSync('chart.png'), mimeType: 'image/png' }
+ * ]);
+ * await client.chatCompletion({ messages: [{ role: 'user', content }] });
+ */
+
+/** Image formats the API accepts */
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+/** Default limits for {@link checkContentLimits} */
+const DEFAULT_CONTENT_LIMITS = {
+    maxImages: 4, // Per message
+    maxImageBytes: 5 * 1024 * 1024, // Per decoded image
+    maxTotalImageBytes: 20 * 1024 * 1024 // Per request
+};
+
+/**
+ * Build an image content part
+ *
+ * @param {string|Object} image - An `http(s)` or `data:` URL, or `{ data, mimeType }` where `data`
+ *   is a Buffer or a base64 string
+ * @returns {Object} The `image_url` content part
+ * @throws {InvalidRequestError} If the image is neither
+ */
+function imagePart(image) {
+    if (typeof image === 'string') {
+        return { type: 'image_url', image_url: { url: image } };
+    }
+    if (image && image.data && image.mimeType) {
+        const base64 = Buffer.isBuffer(image.data) ? image.data.toString('base64') : String(image.data);
+        return { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${base64}` } };
+    }
+    throw new InvalidRequestError('An image must be a URL or { data, mimeType }', { code: 'invalid_content' });
+}
+
+/**
+ * Build message content from text and images
+ *
+ * @param {string} text - The text
+ * @param {Array<string|Object>} [images=[]] - Images, see {@link imagePart}
+ * @returns {string|Array<Object>} The text alone without images, otherwise a content-part array
+ * @throws {InvalidRequestError} If an image is invalid
+ */
+function buildContent(text, images = []) {
+    if (!Array.isArray(images) || images.length === 0) {
+        return text;
+    }
+    return [
+        ...(text ? [{ type: 'text', text }] : []),
+        ...images.map(imagePart)
+    ];
+}
+
+/**
+ * Flatten content to plain text
+ *
+ * @param {string|Array<Object>} content - The content
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.imagePlaceholder='[image]'] - Text that stands in for each image
+ * @returns {string} The text parts joined by newlines
+ */
+function contentToText(content, { imagePlaceholder = '[image]' } = {}) {
+    if (typeof content === 'string') {
+        return content;
+    }
+    if (!Array.isArray(content)) {
+        return content === undefined || content === null ? '' : String(content);
+    }
+    return content
+        .map(part => {
+            if (typeof part === 'string') return part;
+            if (part && part.type === 'text') return String(part.text || '');
+            return isImagePart(part) ? imagePlaceholder : '';
+        })
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Whether content contains images
+ *
+ * @param {string|Array<Object>} content - The content
+ * @returns {boolean} True when at least one part is an image
+ */
+function hasImages(content) {
+    return Array.isArray(content) && content.some(isImagePart);
+}
+
+/**
+ * Check the parts of a content array
+ *
+ * @param {Array<Object>} content - The content parts
+ * @returns {Array<string>} A description of each invalid part; empty when all are valid
+ */
+function validateContentParts(content) {
+    const problems = [];
+    content.forEach((part, index) => {
+        if (!part || typeof part !== 'object') {
+            problems.push(`part ${index} must be an object`);
+        } else if (part.type === 'text') {
+            if (typeof part.text !== 'string') {
+                problems.push(`part ${index} (text) must have a text string`);
+            }
+        } else if (part.type === 'image_url') {
+            const url = getImageURL(part);
+            if (!url || !/^(https?:|data:)/i.test(url)) {
+                problems.push(`part ${index} (image_url) must have an http(s) or data: URL`);
+            } else if (/^data:/i.test(url)) {
+                const image = parseDataURL(url);
+                if (!image) {
+                    problems.push(`part ${index} (image_url) is not a base64 data: URL`);
+                } else if (!IMAGE_TYPES.includes(image.mimeType)) {
+                    problems.push(`part ${index} (image_url) is ${image.mimeType}, expected one of: ${IMAGE_TYPES.join(', ')}`);
+                }
+            }
+        } else {
+            problems.push(`part ${index} has unsupported type "${part.type}"`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * Check the images of a request against size limits
+ *
+ * Only base64 images have a known size; linked images count towards
+ * `maxImages` only.
+ *
+ * @param {Array<Object>} messages - The messages
+ * @param {Object} [limits={}] - Limits, defaulting to {@link DEFAULT_CONTENT_LIMITS}
+ * @param {number} [limits.maxImages] - Images per message
+ * @param {number} [limits.maxImageBytes] - Decoded bytes per image
+ * @param {number} [limits.maxTotalImageBytes] - Decoded bytes of all images together
+ * @returns {Array<Object>} `{ index, rule, message }` violations (`too_many_images`, `image_too_large`,
+ *   `images_too_large`); empty when the request is within the limits
+ */
+function checkContentLimits(messages, limits = {}) {
+    const { maxImages, maxImageBytes, maxTotalImageBytes } = { ...DEFAULT_CONTENT_LIMITS, ...limits };
+    const violations = [];
+    let total = 0;
+
+    (Array.isArray(messages) ? messages : []).forEach((message, index) => {
+        const images = Array.isArray(message && message.content) ? message.content.filter(isImagePart) : [];
+        if (images.length > maxImages) {
+            violations.push({ index, rule: 'too_many_images', message: `Message ${index} has ${images.length} images, at most ${maxImages} are allowed` });
+        }
+        for (const part of images) {
+            const image = parseDataURL(getImageURL(part));
+            if (!image) continue;
+            total += image.bytes;
+            if (image.bytes > maxImageBytes) {
+                violations.push({ index, rule: 'image_too_large', message: `Message ${index} has an image of ${formatBytes(image.bytes)}, at most ${formatBytes(maxImageBytes)} is allowed` });
+            }
+        }
+    });
+
+    if (total > maxTotalImageBytes) {
+        violations.push({ index: null, rule: 'images_too_large', message: `The images add up to ${formatBytes(total)}, at most ${formatBytes(maxTotalImageBytes)} is allowed per request` });
+    }
+    return violations;
+}
+
+/**
+ * Whether a content part is an image
+ *
+ * @param {*} part - The content part
+ * @returns {boolean} True for `image_url` parts
+ * @private
+ */
+function isImagePart(part) {
+    return Boolean(part) && part.type === 'image_url';
+}
+
+/**
+ * Read the URL of an image part (`image_url` may be an object or a string)
+ *
+ * @param {Object} part - The image part
+ * @returns {string|null} The URL
+ * @private
+ */
+function getImageURL(part) {
+    const value = part.image_url;
+    const url = typeof value === 'string' ? value : value && value.url;
+    return typeof url === 'string' ? url : null;
+}
+
+/**
+ * Read the type and decoded size of a base64 data URL
+ *
+ * @param {string|null} url - The URL
+ * @returns {{mimeType: string, bytes: number}|null} Null when it is not a base64 data URL
+ * @private
+ */
+function parseDataURL(url) {
+    const match = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/is.exec(url || '');
+    if (!match) {
+        return null;
+    }
+    const base64 = match[2].replace(/\s/g, '');
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    return { mimeType: match[1].toLowerCase(), bytes: Math.floor(base64.length * 3 / 4) - padding };
+}
+
+/**
+ * Format a byte count for messages
+ *
+ * @param {number} bytes - The byte count
+ * @returns {string} e.g. `4.2 MB`
+ * @private
+ */
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+module.exports = {
+    IMAGE_TYPES,
+    DEFAULT_CONTENT_LIMITS,
+    imagePart,
+    buildContent,
+    contentToText,
+    hasImages,
+    validateContentParts,
+    checkContentLimits
+};
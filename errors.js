@@ -0,0 +1,208 @@
+/**
+ * Perplexity Client Errors
+ *
+ * Typed errors thrown by {@link PerplexityClient}. Every error carries enough
+ * information to decide what to do next without parsing the message: the
+ * HTTP status, the upstream error code, the request id, whether retrying
+ * could help, and the raw response body.
+ *
+ * Hierarchy:
+ * - PerplexityError
+ *   - APIError (any error response from the API)
+ *     - AuthenticationError (401, 403)
+ *     - RateLimitError (429)
+ *     - InvalidRequestError (400, 404, 422 and local validation failures)
+ *   - TimeoutError
+ *   - NetworkError
+ *   - AbortError (cancelled through an AbortSignal)
+ *   - ValidationError (structured output did not match its schema)
+ *
+ * @example
+ * try {
+ *   await client.ask('Hello');
+ * } catch (error) {
+ *   if (error instanceof RateLimitError) {
+ *     console.log(`Slow down, retry in ${error.retryAfter}ms`);
+ *   }
+ * }
+ */
+
+/**
+ * Base class for all errors thrown by the client
+ *
+ * @class PerplexityError
+ * @extends Error
+ */
+class PerplexityError extends Error {
+    /**
+     * @param {string} message - Human readable description
+     * @param {Object} [details={}] - Structured error details
+     * @param {number|null} [details.status=null] - HTTP status returned by the API
+     * @param {string|null} [details.code=null] - Upstream error code or type
+     * @param {string|null} [details.requestId=null] - Upstream request id, useful for support tickets
+     * @param {boolean} [details.retryable=false] - Whether retrying the same request could succeed
+     * @param {*} [details.body=null] - The raw response body
+     * @param {Error} [details.cause] - The underlying error
+     */
+    constructor(message, { status = null, code = null, requestId = null, retryable = false, body = null, cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.requestId = requestId;
+        this.retryable = retryable;
+        this.body = body;
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+
+    /**
+     * Serialize the error for logs and JSON responses (the raw body is left out)
+     *
+     * @returns {Object} Plain object with name, message, status, code, requestId and retryable
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            status: this.status,
+            code: this.code,
+            requestId: this.requestId,
+            retryable: this.retryable
+        };
+    }
+}
+
+/**
+ * The API answered with an error status
+ *
+ * @class APIError
+ * @extends PerplexityError
+ */
+class APIError extends PerplexityError {}
+
+/**
+ * The API key is missing, invalid or lacks permission (401, 403)
+ *
+ * @class AuthenticationError
+ * @extends APIError
+ */
+class AuthenticationError extends APIError {}
+
+/**
+ * Too many requests (429)
+ *
+ * @class RateLimitError
+ * @extends APIError
+ */
+class RateLimitError extends APIError {
+    /**
+     * @param {string} message - Human readable description
+     * @param {Object} [details={}] - Structured error details (see {@link PerplexityError})
+     * @param {number|null} [details.retryAfter=null] - Delay requested by the API in milliseconds
+     */
+    constructor(message, details = {}) {
+        super(message, { retryable: true, ...details });
+        this.retryAfter = details.retryAfter ?? null;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), retryAfter: this.retryAfter };
+    }
+}
+
+/**
+ * The request was rejected as malformed, or failed local validation
+ *
+ * @class InvalidRequestError
+ * @extends APIError
+ */
+class InvalidRequestError extends APIError {
+    /**
+     * @param {string} message - Human readable description
+     * @param {Object} [details={}] - Structured error details (see {@link PerplexityError})
+     * @param {Array<Object>} [details.errors=[]] - Every problem found by local validation (e.g. message ordering violations)
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.errors = details.errors || [];
+    }
+
+    toJSON() {
+        return this.errors.length > 0 ? { ...super.toJSON(), errors: this.errors } : super.toJSON();
+    }
+}
+
+/**
+ * The request did not complete within the configured timeout
+ *
+ * @class TimeoutError
+ * @extends PerplexityError
+ */
+class TimeoutError extends PerplexityError {
+    constructor(message, details = {}) {
+        super(message, { retryable: true, ...details });
+    }
+}
+
+/**
+ * The API could not be reached or the connection dropped
+ *
+ * @class NetworkError
+ * @extends PerplexityError
+ */
+class NetworkError extends PerplexityError {
+    constructor(message, details = {}) {
+        super(message, { retryable: true, ...details });
+    }
+}
+
+/**
+ * The request was cancelled through its AbortSignal
+ *
+ * @class AbortError
+ * @extends PerplexityError
+ */
+class AbortError extends PerplexityError {
+    constructor(message = 'Request was cancelled', details = {}) {
+        super(message, { code: 'ERR_CANCELED', ...details });
+    }
+}
+
+/**
+ * A structured (JSON) answer could not be parsed or did not match its schema
+ *
+ * @class ValidationError
+ * @extends PerplexityError
+ */
+class ValidationError extends PerplexityError {
+    /**
+     * @param {string} message - Human readable description
+     * @param {Object} [details={}] - Structured error details (see {@link PerplexityError})
+     * @param {Array<{path: string, message: string}>} [details.errors=[]] - Every schema violation found
+     * @param {string} [details.output=''] - The raw text returned by the model
+     */
+    constructor(message, details = {}) {
+        super(message, { code: 'schema_validation_failed', ...details });
+        this.errors = details.errors || [];
+        this.path = this.errors.length > 0 ? this.errors[0].path : null;
+        this.output = details.output || '';
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), path: this.path, errors: this.errors };
+    }
+}
+
+module.exports = {
+    PerplexityError,
+    APIError,
+    AuthenticationError,
+    RateLimitError,
+    InvalidRequestError,
+    TimeoutError,
+    NetworkError,
+    AbortError,
+    ValidationError
+};
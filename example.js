@@ -1,5 +1,6 @@
 require('dotenv').config();
 const PerplexityClient = require('./PerplexityClient');
+const { AuthenticationError } = require('./errors');
 
 async function example() {
     try {
@@ -75,12 +76,28 @@ async function example() {
             console.log('Models endpoint might not be available:', error.message);
         }
 
+        // Example 5: Streaming response
+        console.log('\n⚡ Example 5: Streaming Response');
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+        const stream = await client.streamChatCompletion({
+            messages: [{ role: 'user', content: 'Name three famous physicists in one sentence.' }],
+            max_tokens: 100
+        });
+
+        process.stdout.write('Response: ');
+        for await (const chunk of stream) {
+            process.stdout.write(chunk.choices?.[0]?.delta?.content || '');
+        }
+        const streamed = await stream.finalCompletion();
+        console.log('\nUsage:', streamed.usage);
+
         console.log('\n✨ All examples completed successfully!');
 
     } catch (error) {
         console.error('❌ Error:', error.message);
         
-        if (error.message.includes('401')) {
+        if (error instanceof AuthenticationError) {
             console.log('💡 This usually means your API key is invalid or not set correctly.');
             console.log('📝 Make sure to add your API key to the .env file');
         }
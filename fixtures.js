@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { parseSSE } = require('./ChatCompletionStream');
+const { stableStringify } = require('./cache');
+const { PerplexityError, InvalidRequestError } = require('./errors');
+
+/**
+ * Record and Replay
+ *
+ * Saves real API exchanges to JSON fixture files and replays them later,
+ * so code using the client can run offline and deterministically. Enabled
+ * with the `fixtures` option of {@link PerplexityClient}, it is built on the
+ * hooks API: requests are matched on method, URL and body.
+ *
+ * Modes:
+ * - `record` - call the API and (over)write the fixture
+ * - `replay` - answer from fixtures only; a missing fixture is an error
+ * - `auto` - replay when a fixture exists, record otherwise
+ *
+ * Streaming responses are stored as their chunks and replayed as a stream;
+ * API errors are stored and replayed as the same typed error.
+ *
+ * @example
+ * const client = new PerplexityClient(apiKey, undefined, {
+ *   fixtures: { mode: process.env.CI ? 'replay' : 'auto', directory: 'test/fixtures' }
+ * });
+ */
+
+/** Supported fixture modes */
+const FIXTURE_MODES = ['record', 'replay', 'auto'];
+
+/**
+ * Create the hooks that record and replay fixtures
+ *
+ * @param {Object} [options={}] - Fixture options
+ * @param {string} [options.mode='replay'] - `record`, `replay` or `auto`
+ * @param {string} [options.directory='fixtures'] - Directory of the fixture files
+ * @returns {Object} Hooks for `client.use()`
+ * @throws {InvalidRequestError} If the mode is unknown
+ */
+function createFixtureHooks({ mode = 'replay', directory = 'fixtures' } = {}) {
+    if (!FIXTURE_MODES.includes(mode)) {
+        throw new InvalidRequestError(
+            `Unknown fixture mode "${mode}", expected one of: ${FIXTURE_MODES.join(', ')}`,
+            { code: 'invalid_fixture_mode' }
+        );
+    }
+
+    return {
+        async onRequest(request, context) {
+            const key = getFixtureKey(request);
+            const file = path.resolve(directory, `${getFixtureName(request.url)}-${key.slice(0, 16)}.json`);
+            context.metadata.fixture = { key, file, replayed: false };
+
+            if (mode === 'record') {
+                return undefined;
+            }
+
+            const fixture = await readFixture(file);
+            if (fixture) {
+                context.metadata.fixture.replayed = true;
+                if (fixture.error) {
+                    throw toResponseError(fixture.error);
+                }
+                return { response: fixture.stream ? fixture.chunks : fixture.data };
+            }
+
+            if (mode === 'replay') {
+                throw new PerplexityError(
+                    `No fixture for ${String(request.method).toUpperCase()} ${request.url} (expected ${file})`,
+                    { code: 'fixture_not_found' }
+                );
+            }
+            return undefined;
+        },
+
+        async onResponse(response, context) {
+            const fixture = context.metadata.fixture;
+            if (!fixture || fixture.replayed) {
+                return undefined;
+            }
+
+            const base = { request: describeRequest(context.request), recordedAt: new Date().toISOString() };
+            if (context.stream) {
+                return {
+                    ...response,
+                    data: recordStream(response.data, chunks => writeFixture(fixture.file, { ...base, stream: true, chunks }))
+                };
+            }
+
+            await writeFixture(fixture.file, { ...base, stream: false, status: response.status, data: response.data });
+            return undefined;
+        },
+
+        async onError(error, context) {
+            const fixture = context.metadata.fixture;
+            if (!fixture || fixture.replayed || !error.status) {
+                return undefined;
+            }
+
+            await writeFixture(fixture.file, {
+                request: describeRequest(context.request),
+                recordedAt: new Date().toISOString(),
+                error: {
+                    status: error.status,
+                    statusText: error.cause && error.cause.response ? error.cause.response.statusText : '',
+                    headers: error.cause && error.cause.response ? pickHeaders(error.cause.response.headers) : {},
+                    data: error.body
+                }
+            });
+            return undefined;
+        }
+    };
+}
+
+/**
+ * Key identifying a request: a hash of its method, URL and body
+ *
+ * @param {Object} request - The axios request config
+ * @returns {string} A SHA-256 hex digest
+ */
+function getFixtureKey(request) {
+    return crypto.createHash('sha256').update(stableStringify(describeRequest(request))).digest('hex');
+}
+
+/**
+ * The parts of a request that are matched and saved in the fixture
+ *
+ * @param {Object} request - The axios request config
+ * @returns {Object} `{ method, url, data }`
+ * @private
+ */
+function describeRequest(request) {
+    return {
+        method: String(request.method || 'get').toLowerCase(),
+        url: request.url,
+        data: request.data === undefined ? null : request.data
+    };
+}
+
+/**
+ * Readable file name prefix for a URL (`/chat/completions` -> `chat-completions`)
+ *
+ * @param {string} url - The request URL
+ * @returns {string} The prefix
+ * @private
+ */
+function getFixtureName(url) {
+    return String(url || 'request').replace(/^\w+:\/\/[^/]+/, '').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'request';
+}
+
+/**
+ * Read a fixture file
+ *
+ * @param {string} file - The file path
+ * @returns {Promise<Object|null>} The fixture, or null when there is none
+ * @private
+ */
+async function readFixture(file) {
+    try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new PerplexityError(`Could not read fixture ${file}: ${error.message}`, { code: 'invalid_fixture', cause: error });
+    }
+}
+
+/**
+ * Write a fixture file, pretty-printed so fixtures can be reviewed in diffs
+ *
+ * @param {string} file - The file path
+ * @param {Object} fixture - The fixture
+ * @returns {Promise<void>}
+ * @private
+ */
+async function writeFixture(file, fixture) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+/**
+ * Pass a streaming body through while collecting its chunks
+ *
+ * `onDone` receives the parsed chunks once the body ended normally; streams
+ * that fail or are cancelled are not recorded.
+ *
+ * @param {Readable} source - The SSE response body
+ * @param {Function} onDone - Called with the chunks
+ * @returns {Readable} The body to hand to the caller
+ * @private
+ */
+function recordStream(source, onDone) {
+    const output = new PassThrough();
+    const pieces = [];
+
+    source.on('data', piece => pieces.push(piece));
+    source.once('end', async () => {
+        try {
+            const chunks = [];
+            for await (const event of parseSSE([Buffer.concat(pieces.map(piece => Buffer.from(piece))).toString('utf8')])) {
+                if (event.data !== '[DONE]') {
+                    chunks.push(JSON.parse(event.data));
+                }
+            }
+            await onDone(chunks);
+        } catch (error) {
+            // The caller already has the stream; a fixture that can't be saved is simply missing next time
+        }
+    });
+    source.once('error', error => output.destroy(error));
+    source.pipe(output);
+
+    // Release the connection when the caller stops reading early
+    output.once('close', () => {
+        if (!source.readableEnded) {
+            source.destroy();
+        }
+    });
+    return output;
+}
+
+/**
+ * Rebuild the axios-style error of a recorded API error
+ *
+ * @param {Object} recorded - `{ status, statusText, headers, data }`
+ * @returns {Error} An error the client converts to the same typed error
+ * @private
+ */
+function toResponseError(recorded) {
+    const error = new Error(`Request failed with status code ${recorded.status}`);
+    error.response = {
+        status: recorded.status,
+        statusText: recorded.statusText || '',
+        headers: recorded.headers || {},
+        data: recorded.data
+    };
+    return error;
+}
+
+/**
+ * Keep the response headers that matter when replaying an error
+ *
+ * @param {Object} [headers={}] - The response headers
+ * @returns {Object} `retry-after` and the request id, when present
+ * @private
+ */
+function pickHeaders(headers = {}) {
+    const picked = {};
+    for (const name of ['retry-after', 'x-request-id', 'request-id']) {
+        const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+        if (value !== undefined && value !== null) {
+            picked[name] = String(value);
+        }
+    }
+    return picked;
+}
+
+module.exports = {
+    FIXTURE_MODES,
+    createFixtureHooks,
+    getFixtureKey
+};
@@ -1,10 +1,73 @@
 const PerplexityClient = require('./PerplexityClient');
+const ChatCompletionStream = require('./ChatCompletionStream');
+const Conversation = require('./Conversation');
+const UsageLedger = require('./UsageLedger');
+const RateLimiter = require('./RateLimiter');
+const ModelRegistry = require('./ModelRegistry');
+const JobStore = require('./JobStore');
+const KeyPool = require('./KeyPool');
+const { ResponseCache, MemoryCacheStore, FileCacheStore } = require('./cache');
+const errors = require('./errors');
+const { normalizeCompletion } = require('./answer');
+const { buildSearchParams } = require('./search');
+const { validateSchema, parseStructuredOutput } = require('./schema');
+const { estimateTokens, countMessageTokens } = require('./tokens');
+const { getContextWindow, getPricing } = require('./models');
+const { COMPRESSION_STRATEGIES } = require('./compression');
+const { parseBatchInput, readCompletedIds } = require('./batch');
+const { createFixtureHooks } = require('./fixtures');
+const { validateMessages, normalizeMessages } = require('./messages');
+const { splitReasoning } = require('./reasoning');
+const { JOB_STATUSES, normalizeJob } = require('./jobs');
+const { buildContent, contentToText, checkContentLimits } = require('./content');
+const { Provider, PerplexityProvider, OpenAICompatibleProvider, createProvider } = require('./providers');
+const MockPerplexityServer = require('./MockPerplexityServer');
 
 // Export the main client class
 module.exports = PerplexityClient;
 
 // Also export as named export for convenience
 module.exports.PerplexityClient = PerplexityClient;
+module.exports.ChatCompletionStream = ChatCompletionStream;
+module.exports.Conversation = Conversation;
+module.exports.UsageLedger = UsageLedger;
+module.exports.RateLimiter = RateLimiter;
+module.exports.ModelRegistry = ModelRegistry;
+module.exports.JobStore = JobStore;
+module.exports.KeyPool = KeyPool;
+module.exports.MockPerplexityServer = MockPerplexityServer;
+module.exports.ResponseCache = ResponseCache;
+module.exports.MemoryCacheStore = MemoryCacheStore;
+module.exports.FileCacheStore = FileCacheStore;
+module.exports.normalizeCompletion = normalizeCompletion;
+module.exports.buildSearchParams = buildSearchParams;
+module.exports.validateSchema = validateSchema;
+module.exports.parseStructuredOutput = parseStructuredOutput;
+module.exports.estimateTokens = estimateTokens;
+module.exports.countMessageTokens = countMessageTokens;
+module.exports.getContextWindow = getContextWindow;
+module.exports.getPricing = getPricing;
+module.exports.COMPRESSION_STRATEGIES = COMPRESSION_STRATEGIES;
+module.exports.parseBatchInput = parseBatchInput;
+module.exports.readCompletedIds = readCompletedIds;
+module.exports.createFixtureHooks = createFixtureHooks;
+module.exports.validateMessages = validateMessages;
+module.exports.normalizeMessages = normalizeMessages;
+module.exports.splitReasoning = splitReasoning;
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.normalizeJob = normalizeJob;
+module.exports.buildContent = buildContent;
+module.exports.contentToText = contentToText;
+module.exports.checkContentLimits = checkContentLimits;
+module.exports.KEY_STRATEGIES = KeyPool.KEY_STRATEGIES;
+module.exports.maskApiKey = KeyPool.maskApiKey;
+module.exports.Provider = Provider;
+module.exports.PerplexityProvider = PerplexityProvider;
+module.exports.OpenAICompatibleProvider = OpenAICompatibleProvider;
+module.exports.createProvider = createProvider;
+
+// Typed errors (AuthenticationError, RateLimitError, ...)
+Object.assign(module.exports, errors);
 
 // Quick usage example when running this file directly
 if (require.main === module) {
@@ -0,0 +1,92 @@
+const { separateReasoning } = require('./reasoning');
+
+/**
+ * Asynchronous Jobs
+ *
+ * Deep research can take minutes, longer than any reasonable HTTP timeout.
+ * The API's async endpoint (`/async/chat/completions`) accepts the request
+ * right away and returns a job that is polled until its completion is
+ * ready. This module turns the API's job objects into a stable shape; the
+ * client methods (`submitJob()`, `getJob()`, `waitForJob()`, `cancelJob()`)
+ * and {@link JobStore} build on it.
+ *
+ * @example
+ * const job = await client.submitJob({ model: 'sonar-deep-research', messages });
+ * const done = await client.waitForJob(job.id, { onProgress: ({ status }) => console.log(status) });
+ * console.log(done.completion.choices[0].message.content);
+ */
+
+/** Job statuses, in lifecycle order */
+const JOB_STATUSES = ['created', 'in_progress', 'completed', 'failed', 'cancelled'];
+
+/** Statuses a job never leaves */
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id - The job id
+ * @property {string} status - `created`, `in_progress`, `completed`, `failed` or `cancelled`
+ * @property {string|null} model - The model answering the request
+ * @property {string|null} createdAt - ISO timestamp of the submission
+ * @property {string|null} startedAt - ISO timestamp when work started
+ * @property {string|null} completedAt - ISO timestamp of the completion
+ * @property {string|null} failedAt - ISO timestamp of the failure
+ * @property {string|null} error - Why the job failed
+ * @property {Object|null} completion - The chat completion, once completed
+ */
+
+/**
+ * Normalize a job object returned by the API
+ *
+ * Accepts upper or lower case statuses and Unix (seconds) or ISO
+ * timestamps. The reasoning of the completion is separated like for
+ * regular completions.
+ *
+ * @param {Object} raw - The API's job object
+ * @returns {Job} The job
+ */
+function normalizeJob(raw = {}) {
+    const status = String(raw.status || 'created').toLowerCase();
+    return {
+        id: raw.id || null,
+        status: JOB_STATUSES.includes(status) ? status : 'in_progress',
+        model: raw.model || null,
+        createdAt: toISOString(raw.created_at),
+        startedAt: toISOString(raw.started_at),
+        completedAt: toISOString(raw.completed_at),
+        failedAt: toISOString(raw.failed_at),
+        error: raw.error_message || (raw.error && (raw.error.message || String(raw.error))) || null,
+        completion: raw.response ? separateReasoning(raw.response) : null
+    };
+}
+
+/**
+ * Whether a job has reached a final status
+ *
+ * @param {Job|string} job - The job or its status
+ * @returns {boolean} True for completed, failed and cancelled jobs
+ */
+function isJobFinished(job) {
+    return FINISHED_STATUSES.includes(typeof job === 'string' ? job : job && job.status);
+}
+
+/**
+ * Convert an API timestamp to ISO 8601
+ *
+ * @param {number|string|null} [value] - Unix seconds or a date string
+ * @returns {string|null} The ISO timestamp, or null when missing or invalid
+ * @private
+ */
+function toISOString(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = {
+    JOB_STATUSES,
+    normalizeJob,
+    isJobFinished
+};
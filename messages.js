@@ -0,0 +1,172 @@
+const { validateContentParts } = require('./content');
+
+/**
+ * Message Validation and Normalization
+ *
+ * The API only accepts histories where an optional system message comes
+ * first and user and assistant messages then alternate, starting and ending
+ * with a user message. {@link validateMessages} explains every violation;
+ * {@link normalizeMessages} repairs what can be repaired safely: empty
+ * messages are dropped, system messages are merged into one at the start,
+ * and consecutive messages with the same role are merged.
+ *
+ * @example
+ * const history = [
+ *   { role: 'system', content: 'Previous conversation summary: ...' },
+ *   { role: 'system', content: 'Answer briefly.' },
+ *   { role: 'user', content: 'First question' },
+ *   { role: 'user', content: 'Second question' }
+ * ];
+ * validateMessages(history); // [{ index: 1, rule: 'system_not_first', ... }, { index: 3, rule: 'not_alternating', ... }]
+ * validateMessages(normalizeMessages(history)); // []
+ */
+
+/** Roles accepted by the API */
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * @typedef {Object} MessageViolation
+ * @property {number|null} index - Position of the offending message, or null for the whole list
+ * @property {string} rule - Machine readable rule name (`empty`, `invalid_message`, `invalid_role`,
+ *   `invalid_content`, `invalid_content_part`, `empty_content`, `system_not_first`, `first_not_user`, `not_alternating`, `last_not_user`)
+ * @property {string} message - Human readable explanation
+ */
+
+/**
+ * Check messages against the API's ordering rules
+ *
+ * @param {Array<Object>} messages - The messages
+ * @returns {Array<MessageViolation>} Every violation found; empty when the messages are valid
+ */
+function validateMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return [{ index: null, rule: 'empty', message: 'messages must be a non-empty array' }];
+    }
+
+    const violations = [];
+    const add = (index, rule, message) => violations.push({ index, rule, message });
+    let previous = null;
+    let previousIndex = null;
+
+    messages.forEach((message, index) => {
+        if (!message || typeof message !== 'object') {
+            return add(index, 'invalid_message', `Message ${index} must be an object with a role and content`);
+        }
+        if (!MESSAGE_ROLES.includes(message.role)) {
+            return add(index, 'invalid_role', `Message ${index} has role "${message.role}", expected one of: ${MESSAGE_ROLES.join(', ')}`);
+        }
+        if (typeof message.content !== 'string' && !Array.isArray(message.content)) {
+            add(index, 'invalid_content', `Message ${index} content must be a string or an array of content parts`);
+        } else if (isEmpty(message.content)) {
+            add(index, 'empty_content', `Message ${index} (${message.role}) has empty content`);
+        } else if (Array.isArray(message.content)) {
+            validateContentParts(message.content).forEach(problem => add(index, 'invalid_content_part', `Message ${index} ${problem}`));
+        }
+
+        if (message.role === 'system') {
+            if (index > 0) {
+                add(index, 'system_not_first', `Message ${index} is a system message; only the first message may be one`);
+            }
+            return;
+        }
+
+        if (previous === null && message.role !== 'user') {
+            add(index, 'first_not_user', `Message ${index} is the first after the system message and must be from the user, not the ${message.role}`);
+        } else if (previous === message.role) {
+            add(index, 'not_alternating', `Messages ${previousIndex} and ${index} are both from the ${message.role}; user and assistant must alternate`);
+        }
+        previous = message.role;
+        previousIndex = index;
+    });
+
+    // Invalid entries were reported above
+    const last = messages[messages.length - 1];
+    if (last && MESSAGE_ROLES.includes(last.role) && last.role !== 'user') {
+        add(messages.length - 1, 'last_not_user', `The last message must be from the user, not the ${last.role}`);
+    }
+    return violations;
+}
+
+/**
+ * Repair messages so they follow the ordering rules where possible
+ *
+ * Messages with empty content are dropped, all system messages are merged
+ * into one first message, and consecutive user or assistant messages are
+ * merged (text joined with a blank line). A history that starts with an
+ * assistant message, or does not end with a user message, can't be repaired
+ * without inventing content, so the result should still be validated.
+ *
+ * @param {Array<Object>} messages - The messages
+ * @returns {Array<Object>} New, normalized messages (the input is not modified)
+ */
+function normalizeMessages(messages) {
+    if (!Array.isArray(messages)) {
+        return messages;
+    }
+
+    const kept = messages.filter(message => message && typeof message === 'object' && !isEmpty(message.content));
+    const system = kept.filter(message => message.role === 'system');
+    const normalized = system.length > 0 ? [system.reduce(mergeMessages)] : [];
+
+    for (const message of kept) {
+        if (message.role === 'system') {
+            continue;
+        }
+        const previous = normalized[normalized.length - 1];
+        if (previous && previous.role === message.role) {
+            normalized[normalized.length - 1] = mergeMessages(previous, message);
+        } else {
+            normalized.push({ ...message });
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Merge two messages with the same role
+ *
+ * @param {Object} first - The earlier message
+ * @param {Object} second - The later message
+ * @returns {Object} A message with both contents
+ * @private
+ */
+function mergeMessages(first, second) {
+    if (typeof first.content === 'string' && typeof second.content === 'string') {
+        return { ...first, content: `${first.content}\n\n${second.content}` };
+    }
+    return { ...first, content: [...toParts(first.content), ...toParts(second.content)] };
+}
+
+/**
+ * Content as an array of content parts
+ *
+ * @param {string|Array<Object>} content - The content
+ * @returns {Array<Object>} The parts
+ * @private
+ */
+function toParts(content) {
+    return Array.isArray(content) ? content : [{ type: 'text', text: String(content) }];
+}
+
+/**
+ * Whether a message's content has nothing to send
+ *
+ * @param {*} content - The content
+ * @returns {boolean} True for missing, blank or part-less content
+ * @private
+ */
+function isEmpty(content) {
+    if (typeof content === 'string') {
+        return content.trim() === '';
+    }
+    if (Array.isArray(content)) {
+        return content.every(part => !part || (part.type === 'text' && !String(part.text || '').trim()));
+    }
+    return content === undefined || content === null;
+}
+
+module.exports = {
+    MESSAGE_ROLES,
+    validateMessages,
+    normalizeMessages
+};
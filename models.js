@@ -0,0 +1,146 @@
+/**
+ * Built-in Model Table
+ *
+ * What the client knows about each Perplexity model out of the box: display
+ * name, context window (prompt plus completion tokens), maximum output,
+ * capabilities and list prices. {@link ModelRegistry} merges this table with
+ * configuration and the API's `/models` list; the helpers below read the
+ * built-in table directly. Unknown models fall back to
+ * {@link DEFAULT_CONTEXT_WINDOW} and are not priced.
+ *
+ * @example
+ * getContextWindow('sonar-pro'); // 200000
+ * getPricing('sonar').input; // 1 (USD per million prompt tokens)
+ */
+
+/**
+ * @typedef {Object} ModelPricing
+ * @property {number} input - USD per million prompt tokens
+ * @property {number} output - USD per million completion tokens
+ * @property {Object<string, number>} [request] - USD per thousand requests, by search context size (`low`, `medium`, `high`)
+ * @property {number} [citation] - USD per million citation tokens
+ * @property {number} [reasoning] - USD per million reasoning tokens
+ * @property {number} [searchQuery] - USD per thousand search queries
+ */
+
+/**
+ * @typedef {Object} ModelInfo
+ * @property {string} id - The model name sent to the API
+ * @property {string} displayName - Name to show in user interfaces
+ * @property {number} contextWindow - Prompt plus completion tokens
+ * @property {number|null} maxOutputTokens - Largest `max_tokens` accepted, when known
+ * @property {boolean|null} search - Whether the model searches the web (and accepts search options); null when unknown
+ * @property {boolean|null} reasoning - Whether the model reasons before answering (and accepts `reasoning_effort`); null when unknown
+ * @property {boolean|null} images - Whether the model accepts image content parts; null when unknown
+ * @property {ModelPricing|null} pricing - List prices
+ * @property {boolean|null} [available] - Whether the API's `/models` list includes the model; null until it was fetched
+ */
+
+/** Built-in model information, by model name */
+const MODELS = {
+    'sonar': {
+        displayName: 'Sonar',
+        contextWindow: 127072,
+        maxOutputTokens: null,
+        search: true,
+        reasoning: false,
+        images: true,
+        pricing: { input: 1, output: 1, request: { low: 5, medium: 8, high: 12 } }
+    },
+    'sonar-pro': {
+        displayName: 'Sonar Pro',
+        contextWindow: 200000,
+        maxOutputTokens: 8000,
+        search: true,
+        reasoning: false,
+        images: true,
+        pricing: { input: 3, output: 15, request: { low: 6, medium: 10, high: 14 } }
+    },
+    'sonar-reasoning': {
+        displayName: 'Sonar Reasoning',
+        contextWindow: 127072,
+        maxOutputTokens: null,
+        search: true,
+        reasoning: true,
+        images: true,
+        pricing: { input: 1, output: 5, request: { low: 5, medium: 8, high: 12 } }
+    },
+    'sonar-reasoning-pro': {
+        displayName: 'Sonar Reasoning Pro',
+        contextWindow: 127072,
+        maxOutputTokens: 8000,
+        search: true,
+        reasoning: true,
+        images: true,
+        pricing: { input: 2, output: 8, request: { low: 6, medium: 10, high: 14 } }
+    },
+    'sonar-deep-research': {
+        displayName: 'Sonar Deep Research',
+        contextWindow: 127072,
+        maxOutputTokens: null,
+        search: true,
+        reasoning: true,
+        images: true,
+        pricing: { input: 2, output: 8, citation: 2, reasoning: 3, searchQuery: 5 }
+    },
+    'r1-1776': {
+        displayName: 'R1-1776 (offline)',
+        contextWindow: 127072,
+        maxOutputTokens: null,
+        search: false,
+        reasoning: true,
+        images: false,
+        pricing: { input: 2, output: 8 }
+    }
+};
+
+/** Context window sizes in tokens, by model name */
+const CONTEXT_WINDOWS = Object.fromEntries(Object.entries(MODELS).map(([id, model]) => [id, model.contextWindow]));
+
+/** Context window assumed for models missing from the table */
+const DEFAULT_CONTEXT_WINDOW = 127072;
+
+/** List prices in USD, by model name */
+const PRICING = Object.fromEntries(Object.entries(MODELS).map(([id, model]) => [id, model.pricing]));
+
+/**
+ * Get the context window of a model
+ *
+ * @param {string} [model] - The model name
+ * @returns {number} The context window size in tokens
+ */
+function getContextWindow(model) {
+    return (hasOwn(CONTEXT_WINDOWS, model) && CONTEXT_WINDOWS[model]) || DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Get the list price of a model
+ *
+ * @param {string} [model] - The model name
+ * @param {Object<string, ModelPricing>} [overrides={}] - Prices that replace or extend the built-in table
+ * @returns {ModelPricing|null} The pricing, or null for unknown models
+ */
+function getPricing(model, overrides = {}) {
+    return (hasOwn(overrides, model) && overrides[model]) || (hasOwn(PRICING, model) && PRICING[model]) || null;
+}
+
+/**
+ * Whether a table has its own entry for a model (not one inherited from Object.prototype)
+ *
+ * @param {Object} table - Entries by model name
+ * @param {string} [model] - The model name
+ * @returns {boolean} True when the entry is the table's own
+ * @private
+ */
+function hasOwn(table, model) {
+    return Object.prototype.hasOwnProperty.call(table, model);
+}
+
+module.exports = {
+    MODELS,
+    CONTEXT_WINDOWS,
+    DEFAULT_CONTEXT_WINDOW,
+    PRICING,
+    getContextWindow,
+    getPricing
+};
@@ -0,0 +1,283 @@
+const axios = require('axios');
+const KeyPool = require('./KeyPool');
+const { SEARCH_FIELDS } = require('./ModelRegistry');
+const { InvalidRequestError } = require('./errors');
+
+/**
+ * Providers
+ *
+ * A provider is a backend that serves chat completions: where requests go,
+ * how they are authorized, how the request body is shaped and how error
+ * bodies are read. {@link PerplexityClient} talks to the Perplexity API
+ * through a {@link PerplexityProvider} and can route models to other
+ * backends with an {@link OpenAICompatibleProvider}, e.g. a local
+ * llama.cpp or Ollama server:
+ *
+ * - {@link PerplexityProvider} - the Perplexity API, with web search fields and model checks
+ * - {@link OpenAICompatibleProvider} - any `/chat/completions` server in the OpenAI format
+ *
+ * Routes pick the provider of each request by model and name the providers
+ * to fall back to when it fails, see {@link matchRoute}.
+ *
+ * @example
+ * const client = new PerplexityClient(apiKey, undefined, {
+ *   providers: [new OpenAICompatibleProvider({ name: 'local', baseURL: 'http://localhost:11434/v1' })],
+ *   routes: [
+ *     { model: 'llama*', provider: 'local', fallback: { provider: 'perplexity', model: 'sonar' } },
+ *     { model: 'sonar*', provider: 'perplexity', fallback: { provider: 'local', model: 'llama3.1' } }
+ *   ]
+ * });
+ */
+
+/** Fields of the Perplexity API that other backends do not know */
+const PERPLEXITY_FIELDS = [...SEARCH_FIELDS, 'search_mode'];
+
+/**
+ * Base class of the providers
+ *
+ * Subclasses override {@link Provider#prepareRequest},
+ * {@link Provider#validateRequest} and {@link Provider#parseError} where
+ * their API differs.
+ *
+ * @class Provider
+ */
+class Provider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.name - Name used by routes, events and errors
+     * @param {string} options.baseURL - Base URL of the API
+     * @param {string|Array<string>|KeyPool} [options.apiKey] - API key, several keys or a key pool; no Authorization header is sent without one
+     * @param {Object} [options.keys] - Key pool options when several keys are given (see `KeyPool.js`)
+     * @param {string} [options.defaultModel] - Model used when a request names none
+     * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+     * @param {Object} [options.headers={}] - Extra headers sent with every request
+     * @throws {InvalidRequestError} If the name or base URL is missing
+     */
+    constructor({ name, baseURL, apiKey = null, keys, defaultModel = null, timeout = 30000, headers = {} } = {}) {
+        if (!name || !baseURL) {
+            throw new InvalidRequestError('A provider needs a name and a baseURL', { code: 'invalid_provider' });
+        }
+
+        this.name = name;
+        this.baseURL = baseURL;
+        this.defaultModel = defaultModel;
+        this.keys = !apiKey ? null : apiKey instanceof KeyPool ? apiKey : new KeyPool(apiKey, keys);
+        // The Authorization header is set per attempt with a key from the pool
+        this.http = axios.create({
+            baseURL,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'perplexity-client/1.0.0',
+                ...headers
+            },
+            timeout
+        });
+    }
+
+    /**
+     * Name of the API in error messages
+     *
+     * @returns {string} e.g. `local API`
+     */
+    get label() {
+        return `${this.name} API`;
+    }
+
+    /**
+     * Adapt a request before it is sent
+     *
+     * @param {Object} config - The axios request config
+     * @returns {Object} The config to send (a copy when it changed)
+     */
+    prepareRequest(config) {
+        return config;
+    }
+
+    /**
+     * Check a chat completion body against what the provider knows about its model
+     *
+     * @param {Object} data - The request body
+     * @param {ModelRegistry} registry - The client's model registry
+     * @returns {Array<Object>} `[{ option, rule, message }]`; empty when the request is valid
+     */
+    validateRequest(data, registry) {
+        return [];
+    }
+
+    /**
+     * Read an error response body
+     *
+     * Understands the OpenAI format (`{ error: { message, type, code } }`)
+     * and servers that send the error as a string (`{ error: '...' }`).
+     *
+     * @param {*} data - The response body
+     * @returns {{message: string, code: string|null}} The error message and upstream code
+     */
+    parseError(data) {
+        const upstream = data && typeof data.error === 'object' ? data.error : {};
+        const message = upstream.message
+            || (typeof data?.error === 'string' && data.error)
+            || data?.message
+            || (typeof data === 'string' && data)
+            || 'Unknown error';
+        return { message, code: upstream.code || upstream.type || null };
+    }
+}
+
+/**
+ * The Perplexity API
+ *
+ * Requires an API key, defaults to `PERPLEXITY_DEFAULT_MODEL` (or `sonar`)
+ * and checks requests against the model registry.
+ *
+ * @class PerplexityProvider
+ * @extends Provider
+ */
+class PerplexityProvider extends Provider {
+    /**
+     * @param {Object} options - Provider options (see {@link Provider}); `apiKey` is required
+     * @param {string} [options.name='perplexity'] - Provider name
+     * @param {string} [options.baseURL='https://api.perplexity.ai'] - Base URL, e.g. a proxy or the mock server
+     * @throws {InvalidRequestError} If there is no API key
+     */
+    constructor({
+        name = 'perplexity',
+        baseURL = 'https://api.perplexity.ai',
+        defaultModel = process.env.PERPLEXITY_DEFAULT_MODEL || 'sonar',
+        ...options
+    } = {}) {
+        super({ ...options, name, baseURL, defaultModel });
+        if (!this.keys) {
+            throw new InvalidRequestError('At least one API key is required', { code: 'missing_api_key' });
+        }
+    }
+
+    get label() {
+        return this.name === 'perplexity' ? 'Perplexity API' : `Perplexity API (${this.name})`;
+    }
+
+    validateRequest(data, registry) {
+        return registry.validateRequest(data);
+    }
+
+    parseError(data) {
+        const parsed = super.parseError(data);
+        // Validation errors come as { detail }
+        if (parsed.message === 'Unknown error' && data?.detail) {
+            parsed.message = typeof data.detail === 'string' ? data.detail : JSON.stringify(data.detail);
+        }
+        return parsed;
+    }
+}
+
+/**
+ * A backend with an OpenAI-compatible `/chat/completions` endpoint
+ *
+ * Perplexity's search fields are left out of its requests, and streams ask
+ * for the usage in their last chunk (`stream_options.include_usage`) so
+ * usage is recorded like for Perplexity. The model registry is not
+ * consulted: the backend decides which models it serves.
+ *
+ * @class OpenAICompatibleProvider
+ * @extends Provider
+ * @example
+ * const ollama = new OpenAICompatibleProvider({ name: 'local', baseURL: 'http://localhost:11434/v1', defaultModel: 'llama3.1' });
+ */
+class OpenAICompatibleProvider extends Provider {
+    /**
+     * @param {Object} options - Provider options (see {@link Provider})
+     * @param {string} [options.name='openai'] - Provider name
+     */
+    constructor({ name = 'openai', ...options } = {}) {
+        super({ ...options, name });
+    }
+
+    prepareRequest(config) {
+        if (!config.data || typeof config.data !== 'object' || !Array.isArray(config.data.messages)) {
+            return config;
+        }
+
+        const data = { ...config.data };
+        PERPLEXITY_FIELDS.forEach(field => delete data[field]);
+        if (data.stream) {
+            data.stream_options = { include_usage: true, ...data.stream_options };
+        }
+        return { ...config, data };
+    }
+}
+
+/** Provider classes by `type`, see {@link createProvider} */
+const PROVIDER_TYPES = {
+    perplexity: PerplexityProvider,
+    openai: OpenAICompatibleProvider
+};
+
+/**
+ * Create a provider from plain configuration (e.g. parsed from JSON)
+ *
+ * @param {Object|Provider} config - `{ type, name, baseURL, apiKey, ... }` where `type` is `perplexity` or `openai` (the default); providers are returned as they are
+ * @returns {Provider} The provider
+ * @throws {InvalidRequestError} If the type is unknown or the options are invalid
+ */
+function createProvider(config) {
+    if (config instanceof Provider) {
+        return config;
+    }
+
+    const { type = 'openai', ...options } = config || {};
+    const ProviderClass = PROVIDER_TYPES[type];
+    if (!ProviderClass) {
+        throw new InvalidRequestError(
+            `Unknown provider type "${type}", expected one of: ${Object.keys(PROVIDER_TYPES).join(', ')}`,
+            { code: 'invalid_provider' }
+        );
+    }
+    return new ProviderClass(options);
+}
+
+/**
+ * Find the first route whose `model` pattern matches a model
+ *
+ * A pattern is a model name, a name with `*` wildcards (`llama*`), a
+ * regular expression or an array of those; a route without `model`
+ * matches every model.
+ *
+ * @param {Array<Object>} routes - `{ model, provider, fallback }` routes
+ * @param {string} model - The model name
+ * @returns {Object|null} The route, or null when none matches
+ */
+function matchRoute(routes, model) {
+    return routes.find(route => matchesModel(route.model, model)) || null;
+}
+
+/**
+ * Whether a model pattern matches a model
+ *
+ * @param {string|RegExp|Array|undefined} pattern - The pattern
+ * @param {string} model - The model name
+ * @returns {boolean} True on a match
+ * @private
+ */
+function matchesModel(pattern, model) {
+    if (pattern === undefined || pattern === null) {
+        return true;
+    }
+    if (Array.isArray(pattern)) {
+        return pattern.some(entry => matchesModel(entry, model));
+    }
+    if (pattern instanceof RegExp) {
+        return pattern.test(model);
+    }
+    const expression = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${expression}$`).test(model);
+}
+
+module.exports = {
+    PERPLEXITY_FIELDS,
+    PROVIDER_TYPES,
+    Provider,
+    PerplexityProvider,
+    OpenAICompatibleProvider,
+    createProvider,
+    matchRoute
+};
@@ -2,15 +2,34 @@ class PerplexityChat {
     constructor() {
         this.isStreaming = true;
         this.currentStreamingMessage = null;
+        this.abortController = null; // Cancels the in-flight request
         this.chatHistory = []; // Store conversation history
         this.maxHistoryMessages = 20; // Trigger summarization after this many messages
         this.lastSummary = null; // Store the last summary
+        this.contextUsage = null; // Token budget reported by the server for the last exchange
+        this.conversationId = this.generateId(); // Groups this chat's usage on the server
+        this.conversationCost = 0; // Estimated cost of this chat in USD
+        this.models = {}; // Model capabilities from /config, by id
+        this.pendingJobs = new Map(); // Deep research jobs awaiting their report: id -> message element
+        this.jobEvents = null; // EventSource for /jobs/events
+        this.attachments = []; // Images for the next message: { name, url (data URL), size }
+        this.limits = { maxImages: 4, maxImageBytes: 5 * 1024 * 1024 }; // Image limits, updated from /config
         this.settings = {
             model: 'sonar',
             temperature: 0.7,
             maxTokens: 1000,
             streaming: true,
-            darkMode: false
+            darkMode: false,
+            compression: 'rolling',
+            search: {
+                recency: '',
+                after: '',
+                before: '',
+                domains: '',
+                contextSize: 'medium',
+                returnImages: false,
+                returnRelatedQuestions: false
+            }
         };
         
         this.init();
@@ -22,6 +41,7 @@ class PerplexityChat {
         this.setupAutoResize();
         await this.loadSettings();
         this.checkAPIStatus();
+        this.watchJobs();
         this.setWelcomeTime();
         this.focusInput();
     }
@@ -32,11 +52,17 @@ class PerplexityChat {
         this.messageInput = document.getElementById('messageInput');
         this.messageForm = document.getElementById('messageForm');
         this.sendBtn = document.getElementById('sendBtn');
+        this.stopBtn = document.getElementById('stopBtn');
+        this.attachBtn = document.getElementById('attachBtn');
+        this.imageInput = document.getElementById('imageInput');
+        this.imageAttachments = document.getElementById('imageAttachments');
+        this.inputWrapper = document.getElementById('inputWrapper');
         this.typingIndicator = document.getElementById('typingIndicator');
         
         // Context elements
         this.contextStatus = document.getElementById('contextStatus');
         this.contextInfo = document.getElementById('contextInfo');
+        this.costValue = document.getElementById('costValue');
         this.summarizeBtn = document.getElementById('summarizeBtn');
         
         // Header elements
@@ -54,12 +80,23 @@ class PerplexityChat {
         this.charCount = document.getElementById('charCount');
         this.currentModel = document.getElementById('currentModel');
         this.modelSelect = document.getElementById('modelSelect');
+        this.modelInfo = document.getElementById('modelInfo');
         this.temperatureSlider = document.getElementById('temperatureSlider');
         this.temperatureValue = document.getElementById('temperatureValue');
         this.maxTokensSlider = document.getElementById('maxTokensSlider');
         this.maxTokensValue = document.getElementById('maxTokensValue');
         this.streamingToggle = document.getElementById('streamingToggle');
+        this.compressionSelect = document.getElementById('compressionSelect');
         this.darkModeToggle = document.getElementById('darkModeToggle');
+
+        // Web search controls
+        this.searchRecencySelect = document.getElementById('searchRecencySelect');
+        this.searchAfterInput = document.getElementById('searchAfterInput');
+        this.searchBeforeInput = document.getElementById('searchBeforeInput');
+        this.searchDomainsInput = document.getElementById('searchDomainsInput');
+        this.searchContextSelect = document.getElementById('searchContextSelect');
+        this.returnImagesToggle = document.getElementById('returnImagesToggle');
+        this.relatedQuestionsToggle = document.getElementById('relatedQuestionsToggle');
         
         // Status elements
         this.apiStatus = document.getElementById('apiStatus');
@@ -72,6 +109,9 @@ class PerplexityChat {
             this.handleSendMessage();
         });
 
+        // Stop the response that is being generated
+        this.stopBtn.addEventListener('click', () => this.stopGeneration());
+
         // Input handling
         this.messageInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -85,6 +125,42 @@ class PerplexityChat {
             this.adjustTextareaHeight();
         });
 
+        // Images: attach button, paste and drag-and-drop
+        this.attachBtn.addEventListener('click', () => this.imageInput.click());
+        this.imageInput.addEventListener('change', () => {
+            this.addImages(this.imageInput.files);
+            this.imageInput.value = '';
+        });
+
+        this.messageInput.addEventListener('paste', (e) => {
+            const files = [...(e.clipboardData?.files || [])].filter(file => file.type.startsWith('image/'));
+            if (files.length > 0) {
+                e.preventDefault();
+                this.addImages(files);
+            }
+        });
+
+        this.inputWrapper.addEventListener('dragover', (e) => {
+            if ([...(e.dataTransfer?.types || [])].includes('Files')) {
+                e.preventDefault();
+                this.inputWrapper.classList.add('drag-over');
+            }
+        });
+        this.inputWrapper.addEventListener('dragleave', () => this.inputWrapper.classList.remove('drag-over'));
+        this.inputWrapper.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.inputWrapper.classList.remove('drag-over');
+            this.addImages(e.dataTransfer.files);
+        });
+
+        this.imageAttachments.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.remove-image');
+            if (removeBtn) {
+                this.attachments.splice(Number(removeBtn.dataset.index), 1);
+                this.renderAttachments();
+            }
+        });
+
         // Quick action buttons
         document.addEventListener('click', (e) => {
             if (e.target.classList.contains('quick-btn')) {
@@ -127,6 +203,7 @@ class PerplexityChat {
         this.modelSelect.addEventListener('change', (e) => {
             this.settings.model = e.target.value;
             this.currentModel.textContent = this.getModelDisplayName(e.target.value);
+            this.modelInfo.textContent = this.describeModel(e.target.value);
             this.saveSettings();
         });
 
@@ -136,12 +213,34 @@ class PerplexityChat {
             this.saveSettings();
         });
 
+        this.compressionSelect.addEventListener('change', (e) => {
+            this.settings.compression = e.target.value;
+            this.saveSettings();
+        });
+
         this.darkModeToggle.addEventListener('change', (e) => {
             this.settings.darkMode = e.target.checked;
             this.applyTheme();
             this.saveSettings();
         });
 
+        // Web search controls
+        const searchControls = {
+            recency: this.searchRecencySelect,
+            after: this.searchAfterInput,
+            before: this.searchBeforeInput,
+            domains: this.searchDomainsInput,
+            contextSize: this.searchContextSelect,
+            returnImages: this.returnImagesToggle,
+            returnRelatedQuestions: this.relatedQuestionsToggle
+        };
+        Object.entries(searchControls).forEach(([key, element]) => {
+            element.addEventListener('change', (e) => {
+                this.settings.search[key] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+                this.saveSettings();
+            });
+        });
+
         // Escape key to close settings
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -163,36 +262,119 @@ class PerplexityChat {
 
     async handleSendMessage() {
         const message = this.messageInput.value.trim();
-        if (!message) return;
+        if (!message && this.attachments.length === 0) return;
 
         // Disable input
         this.setInputState(false);
         
-        // Add user message to UI and history
-        this.addUserMessage(message);
-        this.addToHistory('user', message);
+        // Add user message to UI and history; attached images turn it into content parts
+        const content = this.buildContent(message);
+        this.addUserMessage(content);
+        this.addToHistory('user', content);
         
         // Clear input
         this.messageInput.value = '';
         this.messageInput.style.height = 'auto';
+        this.attachments = [];
+        this.renderAttachments();
         this.updateCharCount();
 
+        this.abortController = new AbortController();
+        this.stopBtn.style.display = 'flex';
+
         try {
-            if (this.isStreaming) {
+            if (this.isJobModel(this.settings.model)) {
+                await this.handleJobRequest();
+            } else if (this.isStreaming) {
                 await this.handleStreamingResponseWithContext(message);
             } else {
                 await this.handleRegularResponseWithContext(message);
             }
         } catch (error) {
-            console.error('Error:', error);
-            this.addErrorMessage('Sorry, I encountered an error. Please try again.');
-            this.updateConnectionStatus(false);
+            if (error.name !== 'AbortError') {
+                console.error('Error:', error);
+                this.addErrorMessage('Sorry, I encountered an error. Please try again.');
+                this.updateConnectionStatus(false);
+            }
         } finally {
+            this.abortController = null;
+            this.stopBtn.style.display = 'none';
             this.setInputState(true);
             this.focusInput();
         }
     }
 
+    buildContent(text) {
+        if (this.attachments.length === 0) {
+            return text;
+        }
+        return [
+            ...(text ? [{ type: 'text', text }] : []),
+            ...this.attachments.map(image => ({ type: 'image_url', image_url: { url: image.url } }))
+        ];
+    }
+
+    // Read pasted, dropped or chosen files as data URLs, within the server's limits
+    async addImages(files) {
+        const types = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+        const { maxImages, maxImageBytes } = this.limits;
+
+        if (this.models[this.settings.model]?.images === false) {
+            this.addErrorMessage(`${this.getModelDisplayName(this.settings.model)} does not accept images. Choose another model to attach them.`);
+            return;
+        }
+
+        for (const file of files) {
+            if (!types.includes(file.type)) {
+                this.addErrorMessage(`${file.name} is not a PNG, JPEG, WebP or GIF image.`);
+            } else if (file.size > maxImageBytes) {
+                this.addErrorMessage(`${file.name} is larger than ${this.formatFileSize(maxImageBytes)}.`);
+            } else if (this.attachments.length >= maxImages) {
+                this.addErrorMessage(`At most ${maxImages} images can be sent with a message.`);
+                break;
+            } else {
+                const url = await this.readFileAsDataURL(file);
+                this.attachments.push({ name: file.name, url, size: file.size });
+            }
+        }
+        this.renderAttachments();
+    }
+
+    readFileAsDataURL(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    renderAttachments() {
+        this.imageAttachments.hidden = this.attachments.length === 0;
+        this.imageAttachments.innerHTML = this.attachments.map((image, index) => `
+            <div class="attachment-thumb" title="${this.escapeHTML(image.name)} (${this.formatFileSize(image.size)})">
+                <img src="${this.escapeHTML(image.url)}" alt="${this.escapeHTML(image.name)}">
+                <button type="button" class="remove-image" data-index="${index}" title="Remove image">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    formatFileSize(bytes) {
+        return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+    }
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    stopGeneration() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
     async handleStreamingResponse(message) {
         this.showTyping(true);
 
@@ -207,6 +389,7 @@ class PerplexityChat {
                     model: this.settings.model,
                     temperature: this.settings.temperature,
                     max_tokens: this.settings.maxTokens,
+                    search: this.getSearchOptions(),
                     stream: true
                 })
             });
@@ -225,21 +408,32 @@ class PerplexityChat {
             const reader = response.body.getReader();
             const decoder = new TextDecoder();
             let fullText = '';
+            let reasoning = '';
+            let buffer = '';
 
             while (true) {
                 const { done, value } = await reader.read();
                 
                 if (done) break;
                 
-                const chunk = decoder.decode(value, { stream: true });
-                const lines = chunk.split('\n');
+                // Events can be split across network chunks; keep the incomplete last line
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
                 
                 for (const line of lines) {
                     if (line.startsWith('data: ')) {
                         try {
                             const data = JSON.parse(line.slice(6));
-                            if (data.choices && data.choices[0]?.delta?.content) {
+                            if (data.type === 'reasoning') {
+                                reasoning += data.reasoning;
+                                this.updateReasoning(messageElement, reasoning, true);
+                                this.scrollToBottom();
+                            } else if (data.choices && data.choices[0]?.delta?.content) {
                                 const newContent = data.choices[0].delta.content;
+                                if (!fullText && reasoning) {
+                                    this.updateReasoning(messageElement, reasoning);
+                                }
                                 fullText += newContent;
                                 contentElement.innerHTML = this.formatMessage(fullText);
                                 this.scrollToBottom();
@@ -250,6 +444,10 @@ class PerplexityChat {
                     }
                 }
             }
+
+            if (reasoning) {
+                this.updateReasoning(messageElement, reasoning);
+            }
         } catch (error) {
             this.showTyping(false);
             throw error;
@@ -268,7 +466,8 @@ class PerplexityChat {
                 question: message,
                 model: this.settings.model,
                 temperature: this.settings.temperature,
-                max_tokens: this.settings.maxTokens
+                max_tokens: this.settings.maxTokens,
+                search: this.getSearchOptions()
             })
         });
 
@@ -280,7 +479,7 @@ class PerplexityChat {
         }
 
         const data = await response.json();
-        this.addAIMessage(data.answer);
+        this.addAIMessage(data.answer, data.reasoning);
     }
 
     addUserMessage(content) {
@@ -288,14 +487,20 @@ class PerplexityChat {
         messageGroup.className = 'message-group user-group';
         
         const timestamp = this.getCurrentTime();
+        const text = this.getMessageText(content);
+        const images = Array.isArray(content) ? content.filter(part => part.type === 'image_url') : [];
+        const thumbnails = images.length > 0
+            ? `<div class="message-images">${images.map(part => `<img src="${this.escapeHTML(part.image_url.url)}" alt="Attached image">`).join('')}</div>`
+            : '';
 
         messageGroup.innerHTML = `
             <div class="message-avatar user-avatar">
                 <i class="fas fa-user"></i>
             </div>
             <div class="message-bubble">
+                ${thumbnails}
                 <div class="message-content">
-                    ${this.formatMessage(content)}
+                    ${this.formatMessage(text)}
                 </div>
                 <div class="message-time">${timestamp}</div>
             </div>
@@ -305,10 +510,21 @@ class PerplexityChat {
         this.scrollToBottom();
     }
 
-    addAIMessage(content) {
+    addAIMessage(content, reasoning) {
         const messageElement = this.createAIMessageElement();
         const contentElement = messageElement.querySelector('.message-content');
         contentElement.innerHTML = this.formatMessage(content);
+        if (reasoning) {
+            this.updateReasoning(messageElement, reasoning);
+        }
+    }
+
+    // Show a reasoning model's thought process in the collapsible section above the answer
+    updateReasoning(messageElement, reasoning, thinking = false) {
+        const details = messageElement.querySelector('.thought-process');
+        details.hidden = !reasoning;
+        details.querySelector('.thought-label').textContent = thinking ? 'Thinking...' : 'Thought process';
+        details.querySelector('.thought-content').innerHTML = this.formatMessage(reasoning);
     }
 
     createAIMessageElement() {
@@ -322,6 +538,10 @@ class PerplexityChat {
                 <i class="fas fa-robot"></i>
             </div>
             <div class="message-bubble ai-bubble">
+                <details class="thought-process" hidden>
+                    <summary><i class="fas fa-brain"></i> <span class="thought-label">Thought process</span></summary>
+                    <div class="thought-content"></div>
+                </details>
                 <div class="message-content"></div>
                 <div class="message-time">${timestamp}</div>
             </div>
@@ -364,8 +584,16 @@ class PerplexityChat {
         }
     }
 
+    // Text of a message; content-part arrays contribute their text parts
+    getMessageText(content) {
+        if (Array.isArray(content)) {
+            return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+        }
+        return content || '';
+    }
+
     formatMessage(content) {
-        return content
+        return this.getMessageText(content)
             .replace(/\n/g, '<br>')
             .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
             .replace(/\*(.*?)\*/g, '<em>$1</em>')
@@ -391,6 +619,7 @@ class PerplexityChat {
     setInputState(enabled) {
         this.messageInput.disabled = !enabled;
         this.sendBtn.disabled = !enabled;
+        this.attachBtn.disabled = !enabled;
         
         if (enabled) {
             this.sendBtn.innerHTML = '<i class="fas fa-paper-plane"></i>';
@@ -480,17 +709,47 @@ class PerplexityChat {
     }
 
     getModelDisplayName(model) {
-        const models = {
-            'sonar': 'Sonar'
-        };
-        return models[model] || model;
+        return this.models[model]?.displayName || model;
+    }
+
+    // "200K context · up to 8000 tokens per answer · web search · reasoning"
+    describeModel(model) {
+        const info = this.models[model];
+        if (!info) {
+            return 'Choose the AI model for responses';
+        }
+
+        const parts = [`${Math.round(info.contextWindow / 1000)}K context`];
+        if (info.maxOutputTokens) parts.push(`up to ${info.maxOutputTokens} tokens per answer`);
+        if (info.search === true) parts.push('web search');
+        if (info.search === false) parts.push('no web search');
+        if (info.reasoning) parts.push('reasoning');
+        if (info.images === false) parts.push('no images');
+        return parts.join(' · ');
+    }
+
+    renderModelOptions(models, defaultModel) {
+        this.models = Object.fromEntries(models.map(model => [model.id, model]));
+        this.modelSelect.innerHTML = '';
+
+        models.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.id === defaultModel ? `${model.displayName} (Recommended)` : model.displayName;
+            this.modelSelect.appendChild(option);
+        });
     }
 
     async loadSettings() {
         // Load from localStorage
         const savedSettings = localStorage.getItem('perplexitySettings');
         if (savedSettings) {
-            this.settings = { ...this.settings, ...JSON.parse(savedSettings) };
+            const parsed = JSON.parse(savedSettings);
+            this.settings = {
+                ...this.settings,
+                ...parsed,
+                search: { ...this.settings.search, ...parsed.search }
+            };
         }
 
         // Load default model from server
@@ -498,7 +757,15 @@ class PerplexityChat {
             const configResponse = await fetch('/config');
             if (configResponse.ok) {
                 const config = await configResponse.json();
-                if (!savedSettings || !savedSettings.model) {
+                if (Array.isArray(config.models) && config.models.length > 0) {
+                    this.renderModelOptions(config.models, config.default_model);
+                }
+                if (config.limits) {
+                    this.limits = { ...this.limits, ...config.limits };
+                }
+                // Models can disappear from the server's list between visits
+                const savedModel = savedSettings && JSON.parse(savedSettings).model;
+                if (!savedModel || (config.models && !this.models[savedModel])) {
                     this.settings.model = config.default_model;
                 }
             }
@@ -509,17 +776,53 @@ class PerplexityChat {
         // Apply settings to UI
         this.modelSelect.value = this.settings.model;
         this.currentModel.textContent = this.getModelDisplayName(this.settings.model);
+        this.modelInfo.textContent = this.describeModel(this.settings.model);
         this.temperatureSlider.value = this.settings.temperature;
         this.temperatureValue.textContent = this.settings.temperature;
         this.maxTokensSlider.value = this.settings.maxTokens;
         this.maxTokensValue.textContent = this.settings.maxTokens;
         this.streamingToggle.checked = this.settings.streaming;
+        this.compressionSelect.value = this.settings.compression;
         this.darkModeToggle.checked = this.settings.darkMode;
         this.isStreaming = this.settings.streaming;
+
+        const search = this.settings.search;
+        this.searchRecencySelect.value = search.recency;
+        this.searchAfterInput.value = search.after;
+        this.searchBeforeInput.value = search.before;
+        this.searchDomainsInput.value = search.domains;
+        this.searchContextSelect.value = search.contextSize;
+        this.returnImagesToggle.checked = search.returnImages;
+        this.relatedQuestionsToggle.checked = search.returnRelatedQuestions;
         
         this.applyTheme();
     }
 
+    getSearchOptions() {
+        // The server rejects search options for models that don't search the web
+        if (this.models[this.settings.model]?.search === false) {
+            return undefined;
+        }
+
+        const { recency, after, before, domains, contextSize, returnImages, returnRelatedQuestions } = this.settings.search;
+        const search = { contextSize };
+
+        if (recency) search.recency = recency;
+        if (after) search.after = after;
+        if (before) search.before = before;
+        if (returnImages) search.returnImages = true;
+        if (returnRelatedQuestions) search.returnRelatedQuestions = true;
+
+        // "arxiv.org, -reddit.com" -> include arxiv.org, exclude reddit.com
+        const entries = domains.split(',').map(d => d.trim()).filter(Boolean);
+        const includeDomains = entries.filter(d => !d.startsWith('-'));
+        const excludeDomains = entries.filter(d => d.startsWith('-')).map(d => d.slice(1));
+        if (includeDomains.length) search.includeDomains = includeDomains;
+        if (excludeDomains.length) search.excludeDomains = excludeDomains;
+
+        return search;
+    }
+
     saveSettings() {
         localStorage.setItem('perplexitySettings', JSON.stringify(this.settings));
     }
@@ -529,7 +832,10 @@ class PerplexityChat {
             const response = await fetch('/api-key');
             if (response.ok) {
                 const data = await response.json();
-                this.updateAPIStatus(true, `Connected: ${data.api_key}`);
+                const keys = data.keys || [];
+                this.updateAPIStatus(data.status !== 'degraded', keys.length > 1
+                    ? `Connected: ${data.active}/${keys.length} keys active`
+                    : `Connected: ${data.api_key}`);
                 this.updateConnectionStatus(true);
             } else {
                 throw new Error('API check failed');
@@ -571,7 +877,12 @@ class PerplexityChat {
 
     updateContextStatus() {
         if (this.contextInfo) {
-            this.contextInfo.textContent = `Context: ${this.chatHistory.length} messages`;
+            let text = `Context: ${this.chatHistory.length} messages`;
+            if (this.contextUsage) {
+                const { promptTokens, contextWindow } = this.contextUsage;
+                text += ` · ${promptTokens.toLocaleString()} / ${this.formatTokenCount(contextWindow)} tokens`;
+            }
+            this.contextInfo.textContent = text;
         }
         
         // Show summarize button if we have enough messages
@@ -580,6 +891,24 @@ class PerplexityChat {
         }
     }
 
+    generateId() {
+        // randomUUID is only available in secure contexts (https or localhost)
+        return window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    updateCostMeter(usage) {
+        if (usage && typeof usage.cost === 'number') {
+            this.conversationCost = usage.cost;
+        }
+        if (this.costValue) {
+            this.costValue.textContent = `$${this.conversationCost.toFixed(4)}`;
+        }
+    }
+
+    formatTokenCount(tokens) {
+        return tokens >= 1000 ? `${Math.round(tokens / 1000)}k` : String(tokens);
+    }
+
     async handleStreamingResponseWithContext(message) {
         this.showTypingIndicator();
         this.currentStreamingMessage = this.createStreamingMessage();
@@ -594,18 +923,28 @@ class PerplexityChat {
                     messages: [...this.chatHistory],
                     model: this.settings.model,
                     temperature: this.settings.temperature,
-                    max_tokens: this.settings.maxTokens
-                })
+                    max_tokens: this.settings.maxTokens,
+                    compression: this.settings.compression,
+                    conversationId: this.conversationId,
+                    search: this.getSearchOptions()
+                }),
+                signal: this.abortController?.signal
             });
 
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
             }
 
             await this.processStreamWithContext(response);
         } catch (error) {
+            if (error.name === 'AbortError') {
+                // Stopped before the stream started
+                this.stopStreamingMessage('');
+                throw error;
+            }
             console.error('Streaming error:', error);
-            this.addErrorMessage('Failed to get streaming response');
+            this.addErrorMessage(`Failed to get streaming response: ${error.message}`);
             throw error;
         }
     }
@@ -614,6 +953,8 @@ class PerplexityChat {
         const reader = response.body.getReader();
         const decoder = new TextDecoder();
         let assistantMessage = '';
+        let reasoning = '';
+        let buffer = '';
 
         try {
             while (true) {
@@ -621,8 +962,10 @@ class PerplexityChat {
                 
                 if (done) break;
                 
-                const chunk = decoder.decode(value);
-                const lines = chunk.split('\n');
+                // Events can be split across network chunks; keep the incomplete last line
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
                 
                 for (const line of lines) {
                     if (line.startsWith('data: ')) {
@@ -639,13 +982,25 @@ class PerplexityChat {
                                 // Handle status messages (like summarizing)
                                 console.log('Status:', parsed.message);
                             } else if (parsed.type === 'summary') {
-                                this.showSummaryNotification(parsed.summary, parsed.originalMessageCount);
+                                this.showSummaryNotification(parsed.summary, parsed.originalMessageCount, parsed.strategy);
+                            } else if (parsed.type === 'reasoning' && this.currentStreamingMessage) {
+                                reasoning += parsed.reasoning;
+                                this.updateReasoning(this.currentStreamingMessage, reasoning, true);
+                                this.scrollToBottom();
                             } else if (parsed.type === 'content' && parsed.choices?.[0]?.delta?.content) {
                                 const content = parsed.choices[0].delta.content;
+                                if (!assistantMessage && reasoning && this.currentStreamingMessage) {
+                                    this.updateReasoning(this.currentStreamingMessage, reasoning);
+                                }
                                 assistantMessage += content;
                                 this.updateStreamingMessage(content);
                             } else if (parsed.type === 'done') {
+                                if (reasoning && this.currentStreamingMessage) {
+                                    this.updateReasoning(this.currentStreamingMessage, reasoning);
+                                }
                                 this.finishStreamingMessage();
+                                this.contextUsage = parsed.context || null;
+                                this.updateCostMeter(parsed.usage);
                                 this.addToHistory('assistant', assistantMessage);
                                 this.hideTypingIndicator();
                                 break;
@@ -658,11 +1013,32 @@ class PerplexityChat {
                     }
                 }
             }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // Keep whatever was received before the user pressed Stop
+                this.stopStreamingMessage(assistantMessage);
+            }
+            throw error;
         } finally {
             reader.releaseLock();
         }
     }
 
+    stopStreamingMessage(partialMessage) {
+        this.hideTypingIndicator();
+
+        if (this.currentStreamingMessage) {
+            const contentElement = this.currentStreamingMessage.querySelector('.message-content');
+            contentElement.innerHTML = (partialMessage ? this.formatMessage(partialMessage) : '') +
+                '<p class="stopped-note"><i class="fas fa-stop-circle"></i> Response stopped</p>';
+            this.currentStreamingMessage = null;
+        }
+
+        if (partialMessage) {
+            this.addToHistory('assistant', partialMessage);
+        }
+    }
+
     async handleRegularResponseWithContext(message) {
         this.showTypingIndicator();
 
@@ -676,8 +1052,12 @@ class PerplexityChat {
                     messages: [...this.chatHistory],
                     model: this.settings.model,
                     temperature: this.settings.temperature,
-                    max_tokens: this.settings.maxTokens
-                })
+                    max_tokens: this.settings.maxTokens,
+                    compression: this.settings.compression,
+                    conversationId: this.conversationId,
+                    search: this.getSearchOptions()
+                }),
+                signal: this.abortController?.signal
             });
 
             if (!response.ok) {
@@ -688,13 +1068,15 @@ class PerplexityChat {
             
             // Handle summarization info
             if (data.summarized) {
-                this.showSummaryNotification(data.summary, data.originalMessageCount);
+                this.showSummaryNotification(data.summary, data.originalMessageCount, data.strategy);
             }
 
             // Add assistant response to history
             const assistantMessage = data.response.choices?.[0]?.message?.content || data.response;
+            this.contextUsage = data.context || null;
+            this.updateCostMeter(data.usage);
             this.addToHistory('assistant', assistantMessage);
-            this.addAIMessage(assistantMessage);
+            this.addAIMessage(assistantMessage, data.response.choices?.[0]?.message?.reasoning);
             this.hideTypingIndicator();
 
         } catch (error) {
@@ -703,6 +1085,88 @@ class PerplexityChat {
         }
     }
 
+    // Deep research takes minutes: it runs as a background job instead of a chat request
+    isJobModel(model) {
+        return model === 'sonar-deep-research';
+    }
+
+    async handleJobRequest() {
+        const response = await fetch('/jobs', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                messages: [...this.chatHistory],
+                model: this.settings.model,
+                max_tokens: this.settings.maxTokens,
+                conversationId: this.conversationId,
+                search: this.getSearchOptions()
+            }),
+            signal: this.abortController?.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const job = await response.json();
+        const messageElement = this.createAIMessageElement();
+        messageElement.querySelector('.message-content').innerHTML =
+            '<p class="job-pending"><i class="fas fa-magnifying-glass"></i> Researching... the report will appear here when it is ready. You can keep chatting meanwhile.</p>';
+        this.pendingJobs.set(job.id, messageElement);
+    }
+
+    // Follow job updates from the server; reports of this conversation render when they complete
+    watchJobs() {
+        if (!window.EventSource) {
+            return;
+        }
+        this.jobEvents = new EventSource('/jobs/events');
+        this.jobEvents.onmessage = (event) => {
+            const data = JSON.parse(event.data);
+            if (data.type === 'job') {
+                this.handleJobUpdate(data.job);
+            }
+        };
+        // EventSource reconnects by itself; catch up on updates sent while it was disconnected
+        this.jobEvents.onopen = () => {
+            this.pendingJobs.forEach(async (messageElement, id) => {
+                try {
+                    const response = await fetch(`/jobs/${encodeURIComponent(id)}`);
+                    if (response.ok) {
+                        this.handleJobUpdate(await response.json());
+                    }
+                } catch (error) {
+                    console.error('Error checking job:', error);
+                }
+            });
+        };
+    }
+
+    handleJobUpdate(job) {
+        const messageElement = this.pendingJobs.get(job.id);
+        if (!messageElement || job.metadata?.conversationId !== this.conversationId) {
+            return;
+        }
+
+        const contentElement = messageElement.querySelector('.message-content');
+        if (job.status === 'completed') {
+            this.pendingJobs.delete(job.id);
+            const message = job.completion?.choices?.[0]?.message || {};
+            contentElement.innerHTML = this.formatMessage(message.content || '');
+            if (message.reasoning) {
+                this.updateReasoning(messageElement, message.reasoning);
+            }
+            this.addToHistory('assistant', message.content || '');
+            this.scrollToBottom();
+        } else if (job.status === 'failed' || job.status === 'cancelled') {
+            this.pendingJobs.delete(job.id);
+            const reason = job.status === 'failed' ? `Research failed: ${this.escapeHTML(job.error || 'unknown error')}` : 'Research was cancelled.';
+            contentElement.innerHTML = `<p style="color: var(--danger-color);">❌ ${reason}</p>`;
+        }
+    }
+
     async summarizeConversation() {
         if (this.chatHistory.length === 0) return;
 
@@ -730,6 +1194,7 @@ class PerplexityChat {
             this.chatHistory = [
                 { role: 'system', content: `Previous conversation summary: ${data.summary}` }
             ];
+            this.contextUsage = null;
 
             this.showSummaryNotification(data.summary, data.originalMessageCount);
             this.updateContextStatus();
@@ -743,16 +1208,25 @@ class PerplexityChat {
         }
     }
 
-    showSummaryNotification(summary, originalCount) {
+    showSummaryNotification(summary, originalCount, strategy) {
         const notification = document.createElement('div');
         notification.className = 'summary-notification';
-        notification.innerHTML = `
-            <i class="fas fa-compress-alt"></i>
-            <strong>Conversation Summarized:</strong> ${originalCount} messages condensed for better context management.
-            <div style="margin-top: 0.5rem; font-size: 0.85rem; opacity: 0.9;">
-                Summary: ${summary.substring(0, 150)}${summary.length > 150 ? '...' : ''}
-            </div>
-        `;
+
+        if (strategy === 'sliding-window') {
+            notification.innerHTML = `
+                <i class="fas fa-compress-alt"></i>
+                <strong>Conversation Trimmed:</strong> the oldest of ${originalCount} messages were left out to fit the model's context.
+            `;
+        } else {
+            notification.innerHTML = `
+                <i class="fas fa-compress-alt"></i>
+                <strong>Conversation Summarized:</strong> ${originalCount} messages condensed for better context management.
+                ${summary ? `
+                <div style="margin-top: 0.5rem; font-size: 0.85rem; opacity: 0.9;">
+                    Summary: ${summary.substring(0, 150)}${summary.length > 150 ? '...' : ''}
+                </div>` : ''}
+            `;
+        }
 
         // Add to chat
         this.chatMessages.appendChild(notification);
@@ -770,6 +1244,13 @@ class PerplexityChat {
         this.chatMessages.innerHTML = '';
         this.chatHistory = [];
         this.lastSummary = null;
+        this.contextUsage = null;
+        this.conversationId = this.generateId();
+        this.conversationCost = 0;
+        this.pendingJobs.clear();
+        this.attachments = [];
+        this.renderAttachments();
+        this.updateCostMeter();
         this.updateContextStatus();
         if (this.summarizeBtn) {
             this.summarizeBtn.style.display = 'none';
@@ -0,0 +1,175 @@
+/**
+ * Reasoning Separation
+ *
+ * Reasoning models (`sonar-reasoning`, `sonar-reasoning-pro`, `r1-1776`...)
+ * write their chain of thought inline, in a `<think>...</think>` block before
+ * the answer. This module moves that block into a separate `reasoning` field
+ * so the answer text is only the answer, for complete responses
+ * ({@link splitReasoning}) and for streams, where tags can be split across
+ * chunks ({@link createReasoningParser}).
+ *
+ * Only a block at the very start of the content is treated as reasoning; a
+ * `<think>` tag later in an answer (say, in a code sample) is left alone.
+ *
+ * @example
+ * splitReasoning('<think>The user wants a city.</think>\n\nParis.');
+ * // { reasoning: 'The user wants a city.', content: 'Paris.' }
+ */
+
+const OPEN_TAG = '<think>';
+const CLOSE_TAG = '</think>';
+
+/**
+ * Create an incremental parser for streamed content
+ *
+ * `push()` returns the reasoning and answer text that can be emitted for a
+ * piece of content. Text that may be the start of a tag is held back until
+ * the next piece (or `flush()`) decides it.
+ *
+ * @returns {{push: Function, flush: Function}} The parser; both functions return `{ reasoning, content }`
+ * @example
+ * const parser = createReasoningParser();
+ * parser.push('<thi'); // { reasoning: '', content: '' }
+ * parser.push('nk>Hmm</think>Yes'); // { reasoning: 'Hmm', content: 'Yes' }
+ */
+function createReasoningParser() {
+    // start: nothing but whitespace seen; reasoning: inside the block; answer: after it (or no block)
+    let state = 'start';
+    let pending = '';
+    let trimNext = false;
+
+    const emit = (output, field, text) => {
+        if (trimNext) {
+            text = text.trimStart();
+            if (!text) {
+                return;
+            }
+            trimNext = false;
+        }
+        output[field] += text;
+    };
+
+    const push = (text) => {
+        const output = { reasoning: '', content: '' };
+        let input = pending + String(text || '');
+        pending = '';
+
+        while (input) {
+            if (state === 'start') {
+                const trimmed = input.trimStart();
+                if (trimmed.startsWith(OPEN_TAG)) {
+                    state = 'reasoning';
+                    trimNext = true;
+                    input = trimmed.slice(OPEN_TAG.length);
+                } else if (OPEN_TAG.startsWith(trimmed)) {
+                    pending = input; // Whitespace or a partial opening tag
+                    break;
+                } else {
+                    state = 'answer';
+                }
+            } else if (state === 'reasoning') {
+                const end = input.indexOf(CLOSE_TAG);
+                if (end !== -1) {
+                    emit(output, 'reasoning', input.slice(0, end));
+                    state = 'answer';
+                    trimNext = true;
+                    input = input.slice(end + CLOSE_TAG.length);
+                } else {
+                    const held = partialTagLength(input, CLOSE_TAG);
+                    emit(output, 'reasoning', input.slice(0, input.length - held));
+                    pending = input.slice(input.length - held);
+                    break;
+                }
+            } else {
+                emit(output, 'content', input);
+                break;
+            }
+        }
+        return output;
+    };
+
+    const flush = () => {
+        const output = { reasoning: '', content: '' };
+        if (pending) {
+            emit(output, state === 'reasoning' ? 'reasoning' : 'content', pending);
+            pending = '';
+        }
+        return output;
+    };
+
+    return { push, flush };
+}
+
+/**
+ * Split a complete answer into its reasoning and the answer proper
+ *
+ * An unterminated block (e.g. an answer cut off by `max_tokens`) is all
+ * reasoning.
+ *
+ * @param {string} text - The message content
+ * @returns {{reasoning: string, content: string}} The reasoning (empty when there is none) and the answer
+ */
+function splitReasoning(text) {
+    const parser = createReasoningParser();
+    const first = parser.push(text);
+    const rest = parser.flush();
+    return {
+        reasoning: (first.reasoning + rest.reasoning).trimEnd(),
+        content: first.content + rest.content
+    };
+}
+
+/**
+ * Move the reasoning of every choice of a completion into `message.reasoning`
+ *
+ * Completions without a reasoning block are returned unchanged; a
+ * `message.reasoning` set earlier (e.g. on a cached completion) is kept.
+ *
+ * @param {Object} completion - A chat completion
+ * @returns {Object} The completion, copied when something was moved
+ */
+function separateReasoning(completion) {
+    if (!completion || !Array.isArray(completion.choices)) {
+        return completion;
+    }
+
+    let changed = false;
+    const choices = completion.choices.map(choice => {
+        const message = choice && choice.message;
+        if (!message || typeof message.content !== 'string') {
+            return choice;
+        }
+
+        const { reasoning, content } = splitReasoning(message.content);
+        if (!reasoning && content === message.content) {
+            return choice;
+        }
+        changed = true;
+        return { ...choice, message: { ...message, content, reasoning: reasoning || message.reasoning || '' } };
+    });
+
+    return changed ? { ...completion, choices } : completion;
+}
+
+/**
+ * Length of the longest suffix of `text` that is a prefix of `tag`
+ *
+ * @param {string} text - The text
+ * @param {string} tag - The tag
+ * @returns {number} Characters to hold back
+ * @private
+ */
+function partialTagLength(text, tag) {
+    for (let length = Math.min(text.length, tag.length - 1); length > 0; length--) {
+        if (tag.startsWith(text.slice(-length))) {
+            return length;
+        }
+    }
+    return 0;
+}
+
+module.exports = {
+    createReasoningParser,
+    splitReasoning,
+    separateReasoning
+};
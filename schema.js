@@ -0,0 +1,286 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * JSON Schema Validation
+ *
+ * A small, dependency-free validator for the subset of JSON Schema used to
+ * describe structured outputs: `type` (including type arrays for nullable
+ * fields), `properties`, `required`, `additionalProperties`, `items`, `enum`,
+ * `const`, string length and `pattern`, numeric ranges, array sizes,
+ * `anyOf` / `oneOf` / `allOf`, and local `$ref`s into `$defs` / `definitions`.
+ *
+ * Unsupported keywords are ignored rather than rejected, so any schema the
+ * API accepts can be passed in.
+ *
+ * @example
+ * const errors = validateSchema({ name: 42 }, {
+ *   type: 'object',
+ *   properties: { name: { type: 'string' } },
+ *   required: ['name']
+ * });
+ * // [{ path: '$.name', message: 'must be string' }]
+ */
+
+/**
+ * @typedef {Object} SchemaViolation
+ * @property {string} path - JSONPath-style location of the failing value (e.g. `$.items[2].price`)
+ * @property {string} message - What is wrong with it
+ */
+
+/**
+ * Validate a value against a JSON schema
+ *
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The JSON schema
+ * @returns {Array<SchemaViolation>} Every violation found, empty when the value is valid
+ */
+function validateSchema(value, schema) {
+    const errors = [];
+    validate(value, schema, '$', schema, errors);
+    return errors;
+}
+
+/**
+ * Validate a value at a given path, collecting violations
+ *
+ * @param {*} value - The value to validate
+ * @param {Object|boolean} schema - The (sub)schema
+ * @param {string} path - Location of the value
+ * @param {Object} root - The root schema, used to resolve `$ref`
+ * @param {Array<SchemaViolation>} errors - Collected violations
+ * @private
+ */
+function validate(value, schema, path, root, errors) {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+        errors.push({ path, message: 'is not allowed' });
+        return;
+    }
+
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, root);
+        if (!target) {
+            errors.push({ path, message: `references unknown schema ${schema.$ref}` });
+            return;
+        }
+        validate(value, target, path, root, errors);
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path, message: `must be ${types.join(' or ')}` });
+            return; // Other keywords would only add noise
+        }
+    }
+
+    if (schema.const !== undefined && !deepEqual(value, schema.const)) {
+        errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => deepEqual(value, option))) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        validateString(value, schema, path, errors);
+    } else if (typeof value === 'number') {
+        validateNumber(value, schema, path, errors);
+    } else if (Array.isArray(value)) {
+        validateArray(value, schema, path, root, errors);
+    } else if (value !== null && typeof value === 'object') {
+        validateObject(value, schema, path, root, errors);
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(sub => validate(value, sub, path, root, errors));
+    }
+
+    if (Array.isArray(schema.anyOf)) {
+        const passing = schema.anyOf.filter(sub => validateSchemaAt(value, sub, path, root).length === 0);
+        if (passing.length === 0) {
+            errors.push({ path, message: 'must match at least one schema in anyOf' });
+        }
+    }
+
+    if (Array.isArray(schema.oneOf)) {
+        const passing = schema.oneOf.filter(sub => validateSchemaAt(value, sub, path, root).length === 0);
+        if (passing.length !== 1) {
+            errors.push({ path, message: `must match exactly one schema in oneOf (matched ${passing.length})` });
+        }
+    }
+}
+
+/**
+ * Validate a value against a subschema without touching the caller's error list
+ *
+ * @private
+ */
+function validateSchemaAt(value, schema, path, root) {
+    const errors = [];
+    validate(value, schema, path, root, errors);
+    return errors;
+}
+
+/**
+ * Check the string keywords (`minLength`, `maxLength`, `pattern`)
+ *
+ * @private
+ */
+function validateString(value, schema, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push({ path, message: `must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+}
+
+/**
+ * Check the numeric range keywords
+ *
+ * @private
+ */
+function validateNumber(value, schema, path, errors) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+        errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+}
+
+/**
+ * Check the array keywords and validate each item
+ *
+ * @private
+ */
+function validateArray(value, schema, path, root, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items !== undefined && !Array.isArray(schema.items)) {
+        value.forEach((item, i) => validate(item, schema.items, `${path}[${i}]`, root, errors));
+    }
+}
+
+/**
+ * Check `required` and validate each property
+ *
+ * @private
+ */
+function validateObject(value, schema, path, root, errors) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+        if (!(key in value)) {
+            errors.push({ path: `${path}.${key}`, message: 'is required' });
+        }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+        if (key in properties) {
+            validate(item, properties[key], `${path}.${key}`, root, errors);
+        } else if (schema.additionalProperties === false) {
+            errors.push({ path: `${path}.${key}`, message: 'is not an allowed property' });
+        } else if (typeof schema.additionalProperties === 'object') {
+            validate(item, schema.additionalProperties, `${path}.${key}`, root, errors);
+        }
+    }
+}
+
+/**
+ * Check a value against a single JSON Schema type name
+ *
+ * @private
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return true;
+    }
+}
+
+/**
+ * Resolve a local `$ref` such as `#/$defs/Item`
+ *
+ * @private
+ */
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#')) return null;
+
+    return ref.slice(1).split('/').filter(Boolean).reduce((node, part) => {
+        const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+        return node && typeof node === 'object' ? node[key] : undefined;
+    }, root) || null;
+}
+
+/**
+ * Compare two JSON values structurally
+ *
+ * @private
+ */
+function deepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Parse a model's JSON answer and validate it against a schema
+ *
+ * Tolerates the wrappers models commonly add around JSON: a leading
+ * `<think>...</think>` block and Markdown code fences.
+ *
+ * @param {string} output - The raw answer text
+ * @param {Object} schema - The JSON schema the answer must match
+ * @returns {*} The parsed value
+ * @throws {ValidationError} Throws if the text is not JSON or violates the schema; `error.path` points at the first failure
+ * @example
+ * const data = parseStructuredOutput('```json\n{"name":"Ada"}\n```', schema);
+ */
+function parseStructuredOutput(output, schema) {
+    const text = String(output || '')
+        .replace(/^\s*<think>[\s\S]*?<\/think>/, '')
+        .trim()
+        .replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new ValidationError(`Structured output is not valid JSON: ${error.message}`, {
+            errors: [{ path: '$', message: `is not valid JSON (${error.message})` }],
+            output
+        });
+    }
+
+    const errors = validateSchema(data, schema);
+    if (errors.length > 0) {
+        const [first] = errors;
+        throw new ValidationError(`Structured output does not match schema: ${first.path} ${first.message}`, {
+            errors,
+            output
+        });
+    }
+
+    return data;
+}
+
+module.exports = { validateSchema, parseStructuredOutput };
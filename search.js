@@ -0,0 +1,228 @@
+const { InvalidRequestError } = require('./errors');
+
+/**
+ * Web Search Options
+ *
+ * Validates the `search` option accepted by {@link PerplexityClient} methods
+ * and translates it into the request fields understood by the Perplexity API.
+ * Invalid values are rejected with an {@link InvalidRequestError} that names
+ * the offending field, before anything is sent.
+ *
+ * @example
+ * await client.ask('Latest Node.js release?', {
+ *   search: {
+ *     includeDomains: ['nodejs.org', 'github.com'],
+ *     recency: 'month',
+ *     contextSize: 'high',
+ *     returnRelatedQuestions: true
+ *   }
+ * });
+ */
+
+/** Allowed values for `search.recency` */
+const RECENCY_FILTERS = ['hour', 'day', 'week', 'month', 'year'];
+
+/** Allowed values for `search.contextSize` */
+const CONTEXT_SIZES = ['low', 'medium', 'high'];
+
+/** Maximum number of entries in the domain filter */
+const MAX_DOMAINS = 20;
+
+const SEARCH_OPTION_KEYS = [
+    'includeDomains',
+    'excludeDomains',
+    'recency',
+    'after',
+    'before',
+    'contextSize',
+    'returnImages',
+    'returnRelatedQuestions'
+];
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {Array<string>} [includeDomains] - Only search these domains (e.g. `['arxiv.org']`)
+ * @property {Array<string>} [excludeDomains] - Never search these domains
+ * @property {string} [recency] - Only use sources from the last `hour`, `day`, `week`, `month` or `year`
+ * @property {string|Date} [after] - Only use sources published after this date (`YYYY-MM-DD`, `M/D/YYYY` or a Date)
+ * @property {string|Date} [before] - Only use sources published before this date
+ * @property {string} [contextSize] - How much search context to retrieve: `low`, `medium` or `high`
+ * @property {boolean} [returnImages] - Include images in the response
+ * @property {boolean} [returnRelatedQuestions] - Include related follow-up questions in the response
+ */
+
+/**
+ * Validate search options and convert them into API request fields
+ *
+ * @param {SearchOptions} [search] - The search options
+ * @returns {Object} The API fields (`search_domain_filter`, `search_recency_filter`, ...), empty when no options are set
+ * @throws {InvalidRequestError} Throws an error naming the first invalid option
+ * @example
+ * buildSearchParams({ excludeDomains: ['reddit.com'], recency: 'week' });
+ * // { search_domain_filter: ['-reddit.com'], search_recency_filter: 'week' }
+ */
+function buildSearchParams(search) {
+    if (search === undefined || search === null) {
+        return {};
+    }
+    if (typeof search !== 'object' || Array.isArray(search)) {
+        throw invalid('search', 'must be an object');
+    }
+
+    const unknown = Object.keys(search).filter(key => !SEARCH_OPTION_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw invalid(unknown[0], `is not a search option (expected one of ${SEARCH_OPTION_KEYS.join(', ')})`);
+    }
+
+    const params = {};
+
+    const includeDomains = normalizeDomains(search.includeDomains, 'includeDomains');
+    const excludeDomains = normalizeDomains(search.excludeDomains, 'excludeDomains');
+    const domainFilter = [...includeDomains, ...excludeDomains.map(domain => `-${domain}`)];
+    if (domainFilter.length > MAX_DOMAINS) {
+        throw invalid('includeDomains', `and excludeDomains accept at most ${MAX_DOMAINS} domains in total`);
+    }
+    if (domainFilter.length > 0) {
+        params.search_domain_filter = domainFilter;
+    }
+
+    if (search.recency !== undefined) {
+        if (!RECENCY_FILTERS.includes(search.recency)) {
+            throw invalid('recency', `must be one of ${RECENCY_FILTERS.join(', ')}`);
+        }
+        params.search_recency_filter = search.recency;
+    }
+
+    const after = parseDate(search.after, 'after');
+    const before = parseDate(search.before, 'before');
+    if (after && before && after > before) {
+        throw invalid('after', 'must be earlier than search.before');
+    }
+    if (after) {
+        params.search_after_date_filter = formatDate(after);
+    }
+    if (before) {
+        params.search_before_date_filter = formatDate(before);
+    }
+
+    if (search.contextSize !== undefined) {
+        if (!CONTEXT_SIZES.includes(search.contextSize)) {
+            throw invalid('contextSize', `must be one of ${CONTEXT_SIZES.join(', ')}`);
+        }
+        params.web_search_options = { search_context_size: search.contextSize };
+    }
+
+    for (const [key, field] of [['returnImages', 'return_images'], ['returnRelatedQuestions', 'return_related_questions']]) {
+        if (search[key] !== undefined) {
+            if (typeof search[key] !== 'boolean') {
+                throw invalid(key, 'must be a boolean');
+            }
+            params[field] = search[key];
+        }
+    }
+
+    return params;
+}
+
+/**
+ * Validate and normalize a list of domains
+ *
+ * Accepts bare domains as well as URLs, which are reduced to their hostname.
+ *
+ * @param {Array<string>} [domains] - The domains
+ * @param {string} key - Option name used in error messages
+ * @returns {Array<string>} Lower-cased hostnames
+ * @private
+ */
+function normalizeDomains(domains, key) {
+    if (domains === undefined) {
+        return [];
+    }
+    if (!Array.isArray(domains)) {
+        throw invalid(key, 'must be an array of domains');
+    }
+
+    return domains.map(domain => {
+        if (typeof domain !== 'string') {
+            throw invalid(key, 'must only contain strings');
+        }
+
+        const hostname = domain.trim().toLowerCase()
+            .replace(/^[a-z]+:\/\//, '')
+            .replace(/[/?#].*$/, '')
+            .replace(/^www\./, '');
+
+        if (!DOMAIN_PATTERN.test(hostname)) {
+            throw invalid(key, `contains an invalid domain "${domain}"`);
+        }
+        return hostname;
+    });
+}
+
+/**
+ * Parse a date option
+ *
+ * @param {string|Date} [value] - `YYYY-MM-DD`, `M/D/YYYY` or a Date
+ * @param {string} key - Option name used in error messages
+ * @returns {Date|null} The date (UTC midnight for strings), or null when not set
+ * @private
+ */
+function parseDate(value, key) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) {
+            throw invalid(key, 'is an invalid date');
+        }
+        return value;
+    }
+
+    let match;
+    let year, month, day;
+    if (typeof value === 'string' && (match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value))) {
+        [, year, month, day] = match.map(Number);
+    } else if (typeof value === 'string' && (match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value))) {
+        [, month, day, year] = match.map(Number);
+    } else {
+        throw invalid(key, 'must be a Date or a string in YYYY-MM-DD or M/D/YYYY format');
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        throw invalid(key, `is not a valid calendar date ("${value}")`);
+    }
+    return date;
+}
+
+/**
+ * Format a date the way the API expects it (`M/D/YYYY`)
+ *
+ * @param {Date} date - The date
+ * @returns {string} The formatted date
+ * @private
+ */
+function formatDate(date) {
+    return `${date.getUTCMonth() + 1}/${date.getUTCDate()}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Create the error thrown for an invalid option
+ *
+ * @param {string} key - The option name
+ * @param {string} problem - What is wrong with it
+ * @returns {InvalidRequestError} The error
+ * @private
+ */
+function invalid(key, problem) {
+    const field = key === 'search' ? key : `search.${key}`;
+    return new InvalidRequestError(`Invalid search option: ${field} ${problem}`, { code: 'invalid_search_option' });
+}
+
+module.exports = {
+    buildSearchParams,
+    RECENCY_FILTERS,
+    CONTEXT_SIZES
+};
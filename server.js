@@ -14,27 +14,271 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const path = require('path');
 const PerplexityClient = require('./PerplexityClient');
+const RateLimiter = require('./RateLimiter');
+const ModelRegistry = require('./ModelRegistry');
+const JobStore = require('./JobStore');
+const { normalizeCompletion } = require('./answer');
+const { buildSearchParams } = require('./search');
+const { resolveCompression } = require('./compression');
+const { parseBatchInput, normalizeItems, readCompletedIds } = require('./batch');
+const { validateMessages, normalizeMessages } = require('./messages');
+const { isJobFinished } = require('./jobs');
+const { createProvider } = require('./providers');
+const { DEFAULT_CONTENT_LIMITS, buildContent, contentToText, validateContentParts, checkContentLimits } = require('./content');
+const {
+    AuthenticationError,
+    RateLimitError,
+    InvalidRequestError,
+    TimeoutError,
+    NetworkError,
+    APIError,
+    AbortError
+} = require('./errors');
 
 const app = express();
+
+// Upper bound for the concurrency a /batch request may ask for
+const MAX_BATCH_CONCURRENCY = 8;
+// Request options a /batch request may set, for all questions or per question;
+// batch options such as `output` (a server-side file) are never taken from the body
+const BATCH_REQUEST_OPTIONS = [
+    'model', 'temperature', 'max_tokens', 'top_p', 'top_k', 'presence_penalty',
+    'frequency_penalty', 'search', 'reasoning_effort', 'images'
+];
+// Model used by /jobs when the request names none
+const DEFAULT_JOB_MODEL = 'sonar-deep-research';
+// `created` timestamp of the models listed by /v1/models (seconds)
+const STARTED_AT = Math.floor(Date.now() / 1000);
 const port = process.env.PORT || 3000;
 
+/**
+ * Convert an error response body to the OpenAI error format
+ *
+ * @param {number} status - The HTTP status
+ * @param {Object} body - The error body, `{ error, message, code, param, details }`
+ * @returns {Object} `{ error: { message, type, param, code } }`
+ */
+const toOpenAIError = (status, body = {}) => ({
+    error: {
+        message: body.message || body.error || 'Unknown error',
+        type: status === 401 ? 'authentication_error'
+            : status === 429 ? 'rate_limit_error'
+                : status < 500 ? 'invalid_request_error' : 'api_error',
+        param: body.param || (Array.isArray(body.details) && body.details[0] && body.details[0].option) || null,
+        code: body.code || (Array.isArray(body.details) && body.details[0] && body.details[0].rule) || null
+    }
+});
+
 // Middleware configuration
-app.use(bodyParser.json({ limit: '10mb' })); // Increased limit for large conversations
+
+// Errors of the OpenAI-compatible routes are answered in the OpenAI format,
+// whichever middleware or route produced them (the body parser included)
+app.use('/v1', (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => json(res.statusCode >= 400 && body && typeof body.error !== 'object'
+        ? toOpenAIError(res.statusCode, body)
+        : body);
+    next();
+});
+
+app.use(bodyParser.json({ limit: '30mb' })); // Increased limit for large conversations and base64 images
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// Give every request an AbortSignal that fires when the client disconnects
+// before the response is finished, so upstream calls can be cancelled
+app.use((req, res, next) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort();
+        }
+    });
+    req.signal = controller.signal;
+    next();
+});
+
 // Serve static files from public directory (web interface)
 app.use(express.static('public'));
 
+// One limiter for every route, so many browser tabs cannot exhaust the API key
+const limiter = new RateLimiter({
+    requestsPerMinute: Number(process.env.PERPLEXITY_RPM) || undefined,
+    maxConcurrent: Number(process.env.PERPLEXITY_MAX_CONCURRENT) || undefined
+});
+
+// Size limits for images sent in messages, also reported to the UI by /config
+const contentLimits = {
+    ...DEFAULT_CONTENT_LIMITS,
+    ...(process.env.PERPLEXITY_MAX_IMAGES && { maxImages: Number(process.env.PERPLEXITY_MAX_IMAGES) }),
+    ...(process.env.PERPLEXITY_MAX_IMAGE_MB && { maxImageBytes: Number(process.env.PERPLEXITY_MAX_IMAGE_MB) * 1024 * 1024 })
+};
+
+/**
+ * Read an optional JSON setting from the environment
+ *
+ * An invalid value is reported and replaced by the fallback: a typo in an
+ * optional setting must not keep the client from starting.
+ *
+ * @param {string} name - The environment variable
+ * @param {*} fallback - Value used when the variable is unset or invalid
+ * @param {Object} [options={}] - Parse options
+ * @param {Function} [options.parse] - Turns the parsed JSON into the setting; throws when it is unusable
+ * @param {string} [options.expected] - What the value must be, for the message
+ * @returns {*} The setting, or the fallback
+ */
+const readJSONSetting = (name, fallback, { parse = value => value, expected } = {}) => {
+    if (!process.env[name]) {
+        return fallback;
+    }
+    try {
+        return parse(JSON.parse(process.env[name]));
+    } catch (error) {
+        console.error(`❌ Ignoring ${name}:`, error.message);
+        if (expected) {
+            console.log(`📝 ${name} must be ${expected}`);
+        }
+        return fallback;
+    }
+};
+
+/**
+ * Check that a setting is a JSON object (not an array or null)
+ *
+ * @param {*} value - The parsed setting
+ * @returns {Object} The value
+ * @throws {Error} If it is not an object
+ */
+const requireObject = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('expected a JSON object');
+    }
+    return value;
+};
+
+// Models offered by /config and checked on every request; optional JSON
+// overrides, e.g. {"sonar-pro": {"maxOutputTokens": 4000}}. Invalid overrides
+// are reported and left out, so the server still starts with the built-in models
+let modelRegistry;
+
+try {
+    modelRegistry = new ModelRegistry({
+        models: process.env.PERPLEXITY_MODELS ? JSON.parse(process.env.PERPLEXITY_MODELS) : {}
+    });
+} catch (error) {
+    console.error('❌ Ignoring PERPLEXITY_MODELS:', error.message);
+    console.log('📝 PERPLEXITY_MODELS must be a JSON object of model overrides, e.g. {"sonar-pro": {"maxOutputTokens": 4000}}');
+    modelRegistry = new ModelRegistry();
+}
+
+// Optional other OpenAI-compatible backends by name (JSON), and the routes
+// that send models to them. Each is checked on its own: when one is invalid,
+// Perplexity still serves every model
+const providers = readJSONSetting('PERPLEXITY_PROVIDERS', [], {
+    parse: value => {
+        const created = Object.entries(requireObject(value))
+            .map(([name, config]) => createProvider({ name, ...requireObject(config) }));
+        const names = created.map(provider => provider.name);
+        const duplicate = names.find((name, index) => name === 'perplexity' || names.indexOf(name) !== index);
+        if (duplicate) {
+            throw new Error(`duplicate provider name "${duplicate}"`);
+        }
+        return created;
+    },
+    expected: 'a JSON object of providers by name, e.g. {"local": {"baseURL": "http://localhost:11434/v1"}}'
+});
+const providerNames = ['perplexity', ...providers.map(provider => provider.name)];
+
+const routes = readJSONSetting('PERPLEXITY_ROUTES', [], {
+    parse: value => {
+        if (!Array.isArray(value)) {
+            throw new Error('expected a JSON array');
+        }
+        for (const route of value) {
+            const targets = [requireObject(route).provider, ...[].concat(route.fallback || [])
+                .map(target => (target && typeof target === 'object' ? target.provider : target))];
+            const unknown = targets.findIndex(name => !providerNames.includes(name));
+            if (unknown !== -1) {
+                throw new Error(`route for ${route.model || 'every model'} names unknown provider "${targets[unknown]}"; known: ${providerNames.join(', ')}`);
+            }
+        }
+        return value;
+    },
+    expected: 'a JSON array of routes, e.g. [{"model": "llama*", "provider": "local", "fallback": "perplexity"}]'
+});
+
 // Initialize Perplexity client with environment variables
 let perplexityClient;
+let jobs;
 
 try {
-    const apiKey = process.env.PERPLEXITY_API_KEY;
+    // PERPLEXITY_API_KEYS takes several comma-separated keys that share the load
+    const apiKey = process.env.PERPLEXITY_API_KEYS || process.env.PERPLEXITY_API_KEY;
     if (!apiKey) {
         throw new Error('PERPLEXITY_API_KEY not found in environment variables');
     }
-    perplexityClient = new PerplexityClient(apiKey);
-    console.log('✅ Perplexity client initialized');
+    // PERPLEXITY_BASE_URL can point at a proxy or at the mock server (npm run mock)
+    perplexityClient = new PerplexityClient(apiKey, process.env.PERPLEXITY_BASE_URL || undefined, {
+        // Optional JSON price table, e.g. {"sonar": {"input": 1, "output": 1}}
+        usage: {
+            pricing: readJSONSetting('PERPLEXITY_PRICING', {}, {
+                parse: requireObject,
+                expected: 'a JSON object of prices by model, e.g. {"sonar": {"input": 1, "output": 1}}'
+            })
+        },
+        // Optional response cache: "memory" or "file"
+        cache: process.env.PERPLEXITY_CACHE && {
+            store: process.env.PERPLEXITY_CACHE,
+            ttl: process.env.PERPLEXITY_CACHE_TTL ? Number(process.env.PERPLEXITY_CACHE_TTL) * 1000 : undefined,
+            directory: process.env.PERPLEXITY_CACHE_DIR
+        },
+        limiter,
+        models: modelRegistry,
+        providers,
+        routes,
+        // Key selection and how long a rate limited key rests, in seconds
+        keys: {
+            strategy: process.env.PERPLEXITY_KEY_STRATEGY || undefined,
+            cooldown: process.env.PERPLEXITY_KEY_COOLDOWN ? Number(process.env.PERPLEXITY_KEY_COOLDOWN) * 1000 : undefined
+        },
+        // Optional offline mode: "record", "replay" or "auto" API exchanges as fixture files
+        fixtures: process.env.PERPLEXITY_FIXTURES && {
+            mode: process.env.PERPLEXITY_FIXTURES,
+            directory: process.env.PERPLEXITY_FIXTURES_DIR
+        }
+    });
+    console.log(`✅ Perplexity client initialized (${perplexityClient.keys.size} API key${perplexityClient.keys.size === 1 ? '' : 's'})`);
+    perplexityClient.on('failover', ({ from, status }) => {
+        console.log(`🔑 API key ${from} answered ${status}, switching keys`);
+    });
+    perplexityClient.on('fallback', ({ from, to, model, status, error }) => {
+        console.log(`↪️  ${from} failed (${status || error.code || error.message}), falling back to ${to} (${model})`);
+    });
+    if (perplexityClient.providers.size > 1) {
+        console.log(`🔀 Providers: ${[...perplexityClient.providers.keys()].join(', ')} (${perplexityClient.routes.length} route(s))`);
+    }
+
+    // Not every deployment lists its models; the built-in table is used until it does
+    perplexityClient.refreshModels().then(({ error }) => {
+        if (error) {
+            console.log(`ℹ️  Model list unavailable (${error.message}), using built-in models`);
+        }
+    });
+
+    // Deep research jobs outlive requests and restarts: they are saved to a
+    // file and polled in the background until their report is ready
+    jobs = new JobStore(perplexityClient, {
+        file: process.env.PERPLEXITY_JOBS_FILE || '.perplexity-jobs.json',
+        interval: process.env.PERPLEXITY_JOB_INTERVAL ? Number(process.env.PERPLEXITY_JOB_INTERVAL) * 1000 : undefined
+    });
+    jobs.on('error', error => console.error('❌ Failed to save jobs:', error.message));
+    jobs.load().then(loaded => {
+        const pending = loaded.filter(job => !isJobFinished(job)).length;
+        if (pending > 0) {
+            console.log(`⏳ Resumed ${pending} unfinished job(s)`);
+        }
+    }).catch(error => {
+        console.error('❌ Failed to load jobs:', error.message);
+    });
 } catch (error) {
     console.error('❌ Failed to initialize Perplexity client:', error.message);
     console.log('📝 Make sure to set PERPLEXITY_API_KEY in your .env file');
@@ -51,6 +295,271 @@ const requireClient = (req, res, next) => {
     next();
 };
 
+// Middleware to reject invalid web search options before any upstream call
+// (streaming routes can't answer with a 400 once they have started)
+const validateSearch = (req, res, next) => {
+    try {
+        buildSearchParams(req.body.search);
+        next();
+    } catch (error) {
+        res.status(400).json({
+            error: 'Invalid search options',
+            message: error.message
+        });
+    }
+};
+
+// Middleware to reject invalid `images` (on question routes) and images beyond
+// the size limits, before they are sent upstream
+const validateContent = (req, res, next) => {
+    const { messages, question, images } = req.body;
+    let checked = messages;
+    if (!Array.isArray(messages)) {
+        try {
+            const content = buildContent(question || '', images);
+            const problems = Array.isArray(content) ? validateContentParts(content) : [];
+            if (problems.length > 0) {
+                throw new InvalidRequestError(`Invalid images: ${problems.join('; ')}`, { code: 'invalid_content' });
+            }
+            checked = [{ role: 'user', content }];
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid images',
+                message: error.message
+            });
+        }
+    }
+
+    const errors = checkContentLimits(checked, contentLimits);
+    if (errors.length > 0) {
+        return res.status(413).json({
+            error: 'Content too large',
+            message: errors.map(error => error.message).join('; '),
+            details: errors
+        });
+    }
+    next();
+};
+
+// Middleware to reject options the requested model does not support, such as
+// a max_tokens above its output limit, search filters on an offline model or
+// images sent to a text-only model
+const validateModel = (req, res, next) => {
+    const { model = process.env.PERPLEXITY_DEFAULT_MODEL || 'sonar', max_tokens, reasoning_effort, search, messages, images } = req.body;
+    // Checked by the provider the model is routed to
+    const errors = perplexityClient.validateRequest({
+        model,
+        max_tokens,
+        reasoning_effort,
+        messages: Array.isArray(messages) ? messages : [{ role: 'user', content: buildContent('', images) }],
+        ...buildSearchParams(search)
+    });
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Unsupported model options',
+            message: errors.map(error => error.message).join('; '),
+            details: errors
+        });
+    }
+    next();
+};
+
+// Middleware to read OpenAI's `max_completion_tokens` as `max_tokens` (which
+// wins when both are set), before the model checks run
+const resolveMaxTokens = (req, res, next) => {
+    const { max_completion_tokens: maxCompletionTokens, ...body } = req.body;
+    if (maxCompletionTokens !== undefined && body.max_tokens === undefined) {
+        body.max_tokens = maxCompletionTokens;
+    }
+    req.body = body;
+    next();
+};
+
+// Middleware to reject invalid context compression settings on chat routes
+const validateCompression = (req, res, next) => {
+    try {
+        resolveCompression(req.body.compression);
+        next();
+    } catch (error) {
+        res.status(400).json({
+            error: 'Invalid compression options',
+            message: error.message
+        });
+    }
+};
+
+// Middleware to repair the message order on chat routes (merging consecutive
+// same-role messages, hoisting system prompts, dropping empty messages), or
+// only check it when the request sets `normalize: false`
+const prepareMessages = (req, res, next) => {
+    const { messages, normalize = true, ...rest } = req.body;
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return next(); // Reported by the route itself
+    }
+
+    const prepared = normalize ? normalizeMessages(messages) : messages;
+    const errors = validateMessages(prepared);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Invalid messages',
+            message: errors.map(error => error.message).join('; '),
+            details: errors
+        });
+    }
+
+    req.body = { ...rest, messages: prepared };
+    next();
+};
+
+// Middleware to give /jobs requests the deep research model unless they name one,
+// before the model checks run
+const defaultJobModel = (req, res, next) => {
+    req.body = { ...req.body, model: req.body.model || DEFAULT_JOB_MODEL };
+    next();
+};
+
+/**
+ * Describe a stored job for a response
+ *
+ * @param {Object} job - The job from the job store
+ * @param {boolean} [full=false] - Include the completion and its normalized answer
+ * @returns {Object} The job without its usage tags; without `full`, the (large) completion is left out
+ */
+const describeJob = (job, full = false) => {
+    // Usage tags name who submitted the job (user or IP address), and every
+    // client can list every job
+    const { completion, metadata = {}, ...fields } = job;
+    const { usageTags, ...publicMetadata } = metadata;
+    const rest = { ...fields, metadata: publicMetadata };
+    if (!full) {
+        return rest;
+    }
+    return {
+        ...rest,
+        completion,
+        answer: completion ? normalizeCompletion(completion) : null
+    };
+};
+
+/**
+ * Write a single Server-Sent Event to the response
+ * 
+ * @param {Object} res - Express response with SSE headers already sent
+ * @param {Object|string} data - Event payload (objects are JSON encoded)
+ */
+const sendEvent = (res, data) => {
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Write a single JSON Lines record to the response
+ *
+ * @param {Object} res - Express response with the NDJSON headers already sent
+ * @param {Object} data - The record
+ */
+const sendLine = (res, data) => {
+    res.write(`${JSON.stringify(data)}\n`);
+};
+
+/**
+ * Identify the user a request is made for, for usage accounting
+ *
+ * @param {Object} req - Express request
+ * @returns {string} The `X-User-Id` header, or the client IP address
+ */
+const getUser = (req) => req.get('X-User-Id') || req.ip;
+
+/**
+ * Measure the context used by a finished exchange, for the UI context bar
+ *
+ * @param {Array<Object>} messages - The messages that were sent
+ * @param {string} [answer] - The assistant answer, counted as part of the next turn's history
+ * @param {Object} [options] - Request options (`model`, `max_tokens`)
+ * @returns {Object} The context budget, see `client.getContextBudget()`
+ */
+const getContext = (messages, answer, options = {}) => {
+    const history = answer ? [...messages, { role: 'assistant', content: answer }] : messages;
+    return perplexityClient.getContextBudget(history, {
+        model: options.model,
+        max_tokens: options.max_tokens
+    });
+};
+
+/**
+ * Total usage and cost of a conversation so far, for the UI cost meter
+ *
+ * @param {string} conversationId - The conversation id
+ * @returns {Object} `{ conversationId, requests, promptTokens, completionTokens, totalTokens, searchRequests, cost }`
+ */
+const getConversationUsage = (conversationId) => ({
+    conversationId,
+    ...perplexityClient.usage.summary({ conversationId }).totals
+});
+
+/**
+ * Map a client error to the HTTP status the server should answer with
+ * 
+ * @param {Error} error - The error thrown by the Perplexity client
+ * @returns {number} The HTTP status code
+ */
+const getErrorStatus = (error) => {
+    if (error instanceof AuthenticationError) return 401;
+    if (error instanceof RateLimitError) return 429;
+    if (error instanceof InvalidRequestError) return error.status || 400;
+    if (error instanceof TimeoutError) return 504;
+    if (error instanceof NetworkError || error instanceof APIError) return 502;
+    if (error instanceof AbortError) return 499; // Client closed request
+    return 500;
+};
+
+/**
+ * Describe a client error for a JSON response or an SSE error event
+ * 
+ * @param {Error} error - The error thrown by the Perplexity client
+ * @returns {Object} The error name, message and, for typed errors, code, retryable flag and request id
+ */
+const describeError = (error) => ({
+    error: error.name && error.name !== 'Error' ? error.name : 'API Error',
+    message: error.message,
+    code: error.code || null,
+    retryable: Boolean(error.retryable),
+    request_id: error.requestId || null
+});
+
+/**
+ * Log a route error and answer with the matching HTTP status
+ * 
+ * @param {Object} res - Express response
+ * @param {Error} error - The error thrown by the Perplexity client
+ * @param {string} route - Route name used in the log message
+ */
+const sendError = (res, error, route) => {
+    // Nobody is listening any more when the browser cancelled the request
+    if (error instanceof AbortError && res.destroyed) {
+        console.log(`Request to ${route} cancelled by client`);
+        return;
+    }
+
+    console.error(`Error in ${route}:`, error.message);
+
+    // Streaming routes have already sent their headers; report the error as an event
+    if (res.headersSent) {
+        sendEvent(res, {
+            type: 'error',
+            error: error.message,
+            error_type: describeError(error).error,
+            status: getErrorStatus(error),
+            retryable: Boolean(error.retryable)
+        });
+        return res.end();
+    }
+
+    if (error instanceof RateLimitError && error.retryAfter !== null) {
+        res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+    }
+    res.status(getErrorStatus(error)).json(describeError(error));
+};
+
 // Routes
 
 // Serve the main UI
@@ -69,8 +578,17 @@ app.get('/api', (req, res) => {
             'GET /api - This health check',
             'POST /ask - Ask a simple question',
             'POST /chat - Chat completion with messages',
-            'GET /models - Get available models',
-            'GET /api-key - Get masked API key info'
+            'POST /batch - Answer many questions (JSONL or CSV), streamed as JSONL',
+            'GET /models - Available models and their capabilities',
+            'POST /jobs - Start a deep research job',
+            'GET /jobs - List jobs (GET /jobs/events streams their updates)',
+            'GET /jobs/:id - Job status and report',
+            'DELETE /jobs/:id - Cancel a job',
+            'GET /usage - Token usage and estimated cost',
+            'GET /queue - Rate limiter queue depth',
+            'GET /api-key - Get the masked status of every API key',
+            'POST /v1/chat/completions - OpenAI-compatible chat completions, streaming included',
+            'GET /v1/models - OpenAI-compatible model list'
         ]
     });
 });
@@ -83,12 +601,15 @@ app.get('/api', (req, res) => {
  * 
  * @route POST /ask
  * @param {string} question - The question to ask
+ * @param {Array<string>} [images] - Images sent with the question, as http(s) or base64 `data:` URLs
+ * @param {boolean} [detailed=false] - Also return citations, search results, usage, model and finish reason
+ * @param {Object} [search] - Web search options (includeDomains, excludeDomains, recency, after, before, contextSize, returnImages, returnRelatedQuestions)
  * @param {Object} [options] - Additional options (model, temperature, etc.)
- * @returns {Object} Response with question, answer, and timestamp
+ * @returns {Object} Response with question, answer, reasoning (reasoning models only) and timestamp
  */
-app.post('/ask', requireClient, async (req, res) => {
+app.post('/ask', requireClient, validateSearch, validateContent, validateModel, async (req, res) => {
     try {
-        const { question, ...options } = req.body;
+        const { question, detailed = false, ...options } = req.body;
 
         if (!question) {
             return res.status(400).json({
@@ -97,27 +618,43 @@ app.post('/ask', requireClient, async (req, res) => {
             });
         }
 
-        const answer = await perplexityClient.ask(question, options);
+        if (detailed) {
+            const result = await perplexityClient.askDetailed(question, {
+                ...options,
+                usageTags: { user: getUser(req) },
+                signal: req.signal
+            });
+
+            return res.json({
+                question,
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { answer, reasoning } = await perplexityClient.askDetailed(question, {
+            ...options,
+            usageTags: { user: getUser(req) },
+            signal: req.signal
+        });
         
         res.json({
             question,
             answer,
+            // Thought process of reasoning models, kept out of the answer
+            ...(reasoning && { reasoning }),
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        console.error('Error in /ask endpoint:', error.message);
-        res.status(500).json({
-            error: 'API Error',
-            message: error.message
-        });
+        sendError(res, error, '/ask');
     }
 });
 
 // Streaming question endpoint
-app.post('/ask-stream', requireClient, async (req, res) => {
+app.post('/ask-stream', requireClient, validateSearch, validateContent, validateModel, async (req, res) => {
     try {
-        const { question, ...options } = req.body;
+        const { question, images, ...options } = req.body;
 
         if (!question) {
             return res.status(400).json({
@@ -135,51 +672,35 @@ app.post('/ask-stream', requireClient, async (req, res) => {
             'Access-Control-Allow-Headers': 'Cache-Control'
         });
 
-        // Send streaming response
-        try {
-            const streamResponse = await perplexityClient.chatCompletion({
-                messages: [{ role: 'user', content: question }],
-                stream: true,
-                ...options
-            });
+        // Forward upstream deltas as they arrive
+        const stream = await perplexityClient.streamChatCompletion({
+            messages: [{ role: 'user', content: buildContent(question, images) }],
+            ...options,
+            usageTags: { user: getUser(req) },
+            signal: req.signal
+        });
 
-            // For now, simulate streaming by sending the full response
-            // In a real implementation, you'd handle the actual streaming from Perplexity
-            const fullResponse = streamResponse.choices?.[0]?.message?.content || 'No response received';
-            
-            // Simulate streaming by sending chunks
-            const words = fullResponse.split(' ');
-            for (let i = 0; i < words.length; i++) {
-                const chunk = i === 0 ? words[i] : ' ' + words[i];
-                const data = {
+        for await (const chunk of stream) {
+            const { content, reasoning } = chunk.choices?.[0]?.delta || {};
+            if (reasoning) {
+                sendEvent(res, { type: 'reasoning', reasoning });
+            }
+            if (content) {
+                sendEvent(res, {
                     choices: [{
                         delta: {
-                            content: chunk
+                            content
                         }
                     }]
-                };
-                
-                res.write(`data: ${JSON.stringify(data)}\n\n`);
-                
-                // Add small delay to simulate streaming
-                await new Promise(resolve => setTimeout(resolve, 50));
+                });
             }
-            
-            res.write(`data: [DONE]\n\n`);
-            res.end();
-            
-        } catch (streamError) {
-            console.error('Streaming error:', streamError.message);
-            res.write(`data: {"error": "${streamError.message}"}\n\n`);
-            res.end();
         }
+        
+        sendEvent(res, '[DONE]');
+        res.end();
 
     } catch (error) {
-        console.error('Error in /ask-stream:', error.message);
-        res.status(500).json({
-            error: 'API Error',
-            message: error.message
-        });
+        sendError(res, error, '/ask-stream');
     }
 });
 
@@ -190,15 +711,20 @@ app.post('/ask-stream', requireClient, async (req, res) => {
  * context management and automatic conversation summarization when needed.
  * 
  * @route POST /chat-stream
- * @param {Array} messages - Array of conversation messages
+ * @param {Array} messages - Array of conversation messages; content is a string or text and `image_url` parts
+ * @param {Object} [search] - Web search options, see POST /ask
+ * @param {string|Object} [compression] - Context compression strategy (`rolling`, `sliding-window`,
+ *   `hierarchical`, `full`) or `{ strategy, keepTurns, maxSegments }`
+ * @param {Object|boolean} [cache] - Response cache flags `{ bypass, refresh, ttl }`, or `false` to bypass the cache
+ * @param {boolean} [normalize=true] - Repair the message order; with `false`, invalid messages get a 400 listing the problems
  * @param {Object} [options] - Additional options (model, temperature, etc.)
- * @returns {Stream} Server-Sent Events stream with response chunks
+ * @returns {Stream} Server-Sent Events stream of `status`, `summary`, `reasoning`, `content` and `done` events
  */
-app.post('/chat-stream', requireClient, async (req, res) => {
+app.post('/chat-stream', requireClient, validateSearch, validateContent, validateModel, validateCompression, prepareMessages, async (req, res) => {
     try {
-        const { messages, ...options } = req.body;
+        const { messages, compression, conversationId, ...options } = req.body;
 
-        if (!messages || !Array.isArray(messages)) {
+        if (!Array.isArray(messages) || messages.length === 0) {
             return res.status(400).json({
                 error: 'Invalid request',
                 message: 'Please provide a messages array in the request body'
@@ -214,98 +740,88 @@ app.post('/chat-stream', requireClient, async (req, res) => {
             'Access-Control-Allow-Headers': 'Cache-Control'
         });
 
-        let finalMessages = messages;
+        // The last message is the current question; the rest is its context
+        const currentMessage = messages[messages.length - 1];
+        const conversation = perplexityClient.createConversation({
+            id: conversationId,
+            messages: messages.slice(0, -1),
+            summarization: resolveCompression(compression)
+        });
+        const usageTags = { conversationId: conversation.id, user: getUser(req) };
+
         let wassummarized = false;
         let summaryText = '';
 
-        // Check if conversation needs summarization
-        if (perplexityClient.shouldSummarize(messages)) {
-            const currentMessage = messages[messages.length - 1];
-            const messagesToSummarize = messages.slice(0, -1);
-            
-            if (messagesToSummarize.length > 0) {
-                // Send summarization status
-                res.write(`data: ${JSON.stringify({
-                    type: 'status',
-                    message: 'Summarizing conversation history...'
-                })}\n\n`);
-
-                summaryText = await perplexityClient.summarizeConversation(messagesToSummarize);
-                
-                finalMessages = [
-                    { role: 'system', content: `Previous conversation summary: ${summaryText}` },
-                    currentMessage
-                ];
-                
-                wassummarized = true;
-
-                // Send summary info
-                res.write(`data: ${JSON.stringify({
-                    type: 'summary',
-                    summary: summaryText,
-                    originalMessageCount: messages.length
-                })}\n\n`);
-            }
-        }
+        conversation.on('summarizing', () => {
+            sendEvent(res, {
+                type: 'status',
+                message: 'Summarizing conversation history...'
+            });
+        });
+        conversation.on('summary', ({ summary, strategy, keptMessageCount, segmentCount }) => {
+            wassummarized = true;
+            summaryText = summary;
+            sendEvent(res, {
+                type: 'summary',
+                strategy,
+                summary,
+                segmentCount,
+                originalMessageCount: messages.length,
+                keptMessageCount
+            });
+        });
+
+        // Compress the history first if it is too long
+        await conversation.summarizeIfNeeded(currentMessage.content, { ...options, usageTags, signal: req.signal });
+        const finalMessages = conversation.toMessages(currentMessage.content);
 
         // Send streaming response status
-        res.write(`data: ${JSON.stringify({
+        sendEvent(res, {
             type: 'status',
             message: 'Generating response...'
-        })}\n\n`);
+        });
 
-        try {
-            // Use regular (non-streaming) API call since Perplexity doesn't support real streaming
-            const response = await perplexityClient.chatCompletion({
-                messages: finalMessages,
-                stream: false,  // Changed to false
-                ...options
-            });
-            
-            // Get the full response
-            const fullResponse = response.choices?.[0]?.message?.content || 'No response received';
-            
-            // Simulate streaming by sending word chunks with small delays
-            const words = fullResponse.split(' ');
-            for (let i = 0; i < words.length; i++) {
-                const chunk = i === 0 ? words[i] : ' ' + words[i];
-                const data = {
+        const stream = await perplexityClient.streamChatCompletion({
+            messages: finalMessages,
+            ...options,
+            usageTags,
+            signal: req.signal
+        });
+        
+        // Forward upstream deltas as they arrive, preserving whitespace; the
+        // thought process of reasoning models goes out as separate events
+        let answer = '';
+        for await (const chunk of stream) {
+            const { content, reasoning } = chunk.choices?.[0]?.delta || {};
+            if (reasoning) {
+                sendEvent(res, { type: 'reasoning', reasoning });
+            }
+            if (content) {
+                answer += content;
+                sendEvent(res, {
                     type: 'content',
                     choices: [{
                         delta: {
-                            content: chunk
+                            content
                         }
                     }]
-                };
-                
-                res.write(`data: ${JSON.stringify(data)}\n\n`);
-                await new Promise(resolve => setTimeout(resolve, 50));
+                });
             }
-            
-            // Send completion data
-            res.write(`data: ${JSON.stringify({
-                type: 'done',
-                summarized: wassummarized,
-                summary: wassummarized ? summaryText : null
-            })}\n\n`);
-            res.end();
-            
-        } catch (streamError) {
-            console.error('Streaming error:', streamError.message);
-            res.write(`data: ${JSON.stringify({
-                type: 'error',
-                error: streamError.message
-            })}\n\n`);
-            res.end();
         }
+        
+        // Send completion data
+        sendEvent(res, {
+            type: 'done',
+            summarized: wassummarized,
+            summary: wassummarized ? summaryText : null,
+            context: getContext(finalMessages, answer, options),
+            usage: getConversationUsage(conversation.id),
+            cache: (await stream.finalCompletion()).cache || null
+        });
+        res.end();
 
     } catch (error) {
-        console.error('❌ Error in /chat-stream:', error.message);
-        console.error('Full error:', error);
-        res.status(500).json({
-            error: 'API Error',
-            message: error.message
-        });
+        sendError(res, error, '/chat-stream');
     }
 });
 
@@ -321,7 +837,10 @@ app.post('/summarize', requireClient, async (req, res) => {
             });
         }
 
-        const summary = await perplexityClient.summarizeConversation(messages);
+        const summary = await perplexityClient.summarizeConversation(messages, {
+            usageTags: { user: getUser(req) },
+            signal: req.signal
+        });
         
         res.json({
             summary,
@@ -330,112 +849,573 @@ app.post('/summarize', requireClient, async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error in /summarize:', error.message);
-        res.status(500).json({
-            error: 'API Error',
-            message: error.message
-        });
+        sendError(res, error, '/summarize');
     }
 });
 
-// Chat completion endpoint with context and auto-summarization
-app.post('/chat', requireClient, async (req, res) => {
+// Chat completion endpoint with context and auto-summarization; messages are
+// normalized first unless `normalize: false`, which answers 400 on invalid ones
+app.post('/chat', requireClient, validateSearch, validateContent, validateModel, validateCompression, prepareMessages, async (req, res) => {
     try {
-        const { messages, model, max_tokens, temperature, ...otherOptions } = req.body;
+        const {
+            messages,
+            model,
+            max_tokens,
+            temperature,
+            detailed = false,
+            compression,
+            conversationId,
+            ...otherOptions
+        } = req.body;
 
-        if (!messages || !Array.isArray(messages)) {
+        if (!Array.isArray(messages) || messages.length === 0) {
             return res.status(400).json({
                 error: 'Missing required field',
                 message: 'Please provide a messages array in the request body'
             });
         }
 
-        let finalMessages = messages;
-        let wassummarized = false;
-        let summaryText = '';
+        // The last message is the current question; the rest is its context
+        const currentMessage = messages[messages.length - 1];
+        const settings = resolveCompression(compression);
+        const conversation = perplexityClient.createConversation({
+            id: conversationId,
+            messages: messages.slice(0, -1),
+            summarization: settings
+        });
+        const usageTags = { conversationId: conversation.id, user: getUser(req) };
 
-        // Check if conversation needs summarization
-        if (perplexityClient.shouldSummarize(messages)) {
-            // Get the last message (current question)
-            const currentMessage = messages[messages.length - 1];
-            
-            // Get messages to summarize (all except the last one)
-            const messagesToSummarize = messages.slice(0, -1);
-            
-            if (messagesToSummarize.length > 0) {
-                // Generate summary
-                summaryText = await perplexityClient.summarizeConversation(messagesToSummarize);
-                
-                // Create new context with summary + current message
-                finalMessages = [
-                    { role: 'system', content: `Previous conversation summary: ${summaryText}` },
-                    currentMessage
-                ];
-                
-                wassummarized = true;
-            }
-        }
+        // Compress the history first if it is too long
+        const wassummarized = await conversation.summarizeIfNeeded(currentMessage.content, {
+            model,
+            max_tokens,
+            usageTags,
+            signal: req.signal
+        });
+        const summaryText = conversation.summary;
+        const finalMessages = conversation.toMessages(currentMessage.content);
 
         const response = await perplexityClient.chatCompletion({
             messages: finalMessages,
             model,
             max_tokens,
             temperature,
-            ...otherOptions
+            ...otherOptions,
+            usageTags,
+            signal: req.signal
         });
 
         res.json({
             response,
+            // Normalized answer with citations and usage, on request
+            ...(detailed && { answer: normalizeCompletion(response) }),
             summarized: wassummarized,
             summary: wassummarized ? summaryText : null,
+            strategy: settings.strategy,
             originalMessageCount: messages.length,
+            keptMessageCount: conversation.messages.length,
             finalMessageCount: finalMessages.length,
+            context: getContext(finalMessages, response.choices?.[0]?.message?.content, { model, max_tokens }),
+            usage: getConversationUsage(conversation.id),
+            cache: response.cache || null,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        console.error('Error in /chat:', error.message);
-        res.status(500).json({
-            error: 'API Error',
-            message: error.message
+        sendError(res, error, '/chat');
+    }
+});
+
+/**
+ * OpenAI-compatible chat completions
+ *
+ * Takes and answers the OpenAI wire format, so OpenAI SDKs, IDE plugins and
+ * LangChain can use `http://localhost:3000/v1` as their base URL. Like /chat,
+ * a long history is summarized first (the `X-Context-Summarized` header
+ * tells when) and usage is recorded for the `user` (or `X-User-Id`) and the
+ * `X-Conversation-Id` header. Streams send `chat.completion.chunk` events
+ * and end with `data: [DONE]`; with `stream_options.include_usage` a last
+ * chunk without choices carries the usage. Errors use the OpenAI format
+ * `{ error: { message, type, param, code } }`.
+ *
+ * @route POST /v1/chat/completions
+ * @param {Array<Object>} messages - The messages (text, or text and `image_url` content parts)
+ * @param {string} [model] - The model, the server's default model when omitted
+ * @param {boolean} [stream=false] - Stream the answer as Server-Sent Events
+ * @param {Object} [stream_options] - `{ include_usage }`
+ * @param {number} [max_tokens] - Maximum tokens to generate, also accepted as `max_completion_tokens`
+ * @param {string} [user] - End user the usage is recorded for
+ * @param {Object} [options] - Other OpenAI (temperature, top_p, ...) or Perplexity options, passed on
+ * @returns {Object|Stream} A `chat.completion`, or a stream of `chat.completion.chunk` events
+ */
+app.post('/v1/chat/completions', requireClient, resolveMaxTokens, validateSearch, validateContent, validateModel, validateCompression, prepareMessages, async (req, res) => {
+    try {
+        const {
+            messages,
+            stream = false,
+            stream_options: streamOptions,
+            max_tokens,
+            n = 1,
+            user,
+            compression,
+            ...options
+        } = req.body;
+
+        if (!Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json({
+                message: 'messages must be a non-empty array',
+                param: 'messages',
+                code: 'invalid_messages'
+            });
+        }
+        if (n !== 1) {
+            return res.status(400).json({
+                message: 'Only one choice per request is supported (n = 1)',
+                param: 'n',
+                code: 'unsupported_parameter'
+            });
+        }
+
+        // The last message is the current question; the rest is its context
+        const currentMessage = messages[messages.length - 1];
+        const conversation = perplexityClient.createConversation({
+            id: req.get('X-Conversation-Id'),
+            messages: messages.slice(0, -1),
+            summarization: resolveCompression(compression)
         });
+        const usageTags = { conversationId: conversation.id, user: user || getUser(req) };
+
+        const summarized = await conversation.summarizeIfNeeded(currentMessage.content, {
+            model: options.model,
+            max_tokens,
+            usageTags,
+            signal: req.signal
+        });
+        res.set('X-Context-Summarized', String(summarized));
+
+        const request = {
+            ...options,
+            messages: conversation.toMessages(currentMessage.content),
+            max_tokens,
+            usageTags,
+            signal: req.signal
+        };
+
+        if (!stream) {
+            const { cache, ...completion } = await perplexityClient.chatCompletion(request);
+            return res.json(completion);
+        }
+
+        // Upstream errors are still answered with a status until the stream starts
+        const upstream = await perplexityClient.streamChatCompletion(request);
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        for await (const chunk of upstream) {
+            const { usage, cache, ...rest } = chunk;
+            sendEvent(res, { ...rest, object: 'chat.completion.chunk' });
+        }
+        if (streamOptions && streamOptions.include_usage) {
+            const { id, created, model, usage } = await upstream.finalCompletion();
+            sendEvent(res, { id, object: 'chat.completion.chunk', created, model, choices: [], usage });
+        }
+        sendEvent(res, '[DONE]');
+        res.end();
+
+    } catch (error) {
+        // A started stream reports the error as an OpenAI error event
+        if (res.headersSent && !res.destroyed) {
+            console.error('Error in /v1/chat/completions:', error.message);
+            sendEvent(res, toOpenAIError(getErrorStatus(error), describeError(error)));
+            return res.end();
+        }
+        sendError(res, error, '/v1/chat/completions');
     }
 });
 
-// Get models endpoint
-app.get('/models', requireClient, async (req, res) => {
+/**
+ * Describe a registry model as an OpenAI model object
+ *
+ * @param {ModelInfo} model - The model from the registry
+ * @returns {Object} `{ id, object: 'model', created, owned_by }`, owned by the provider it is routed to
+ */
+const toOpenAIModel = (model) => ({
+    id: model.id,
+    object: 'model',
+    created: STARTED_AT,
+    owned_by: perplexityClient ? perplexityClient.resolveRoute(model.id)[0].provider.name : 'perplexity'
+});
+
+/**
+ * OpenAI-compatible model list, from the model registry
+ *
+ * @route GET /v1/models
+ * @returns {Object} `{ object: 'list', data: [{ id, object, created, owned_by }] }`
+ */
+app.get('/v1/models', (req, res) => {
+    res.json({
+        object: 'list',
+        data: modelRegistry.list().map(toOpenAIModel)
+    });
+});
+
+/**
+ * A single model in the OpenAI format
+ *
+ * @route GET /v1/models/:model
+ * @returns {Object} `{ id, object, created, owned_by }`, or 404
+ */
+app.get('/v1/models/:model', (req, res) => {
+    if (!modelRegistry.has(req.params.model)) {
+        return res.status(404).json({
+            message: `The model '${req.params.model}' does not exist`,
+            param: 'model',
+            code: 'model_not_found'
+        });
+    }
+    res.json(toOpenAIModel(modelRegistry.get(req.params.model)));
+});
+
+/**
+ * Batch question endpoint
+ *
+ * Answers many questions and streams one JSON line per event as results
+ * complete: `{ type: 'result', id, status, answer, citations, usage, error, ... }`,
+ * `{ type: 'progress', total, completed, succeeded, failed, skipped, failedIds }`
+ * and finally `{ type: 'done', ... }` with the same counters. The body is
+ * either raw JSONL or CSV (`Content-Type: application/x-ndjson` or `text/csv`)
+ * or JSON.
+ *
+ * To resume an interrupted batch, send the same questions with the output
+ * received so far as `resume`: questions answered there are skipped.
+ *
+ * @route POST /batch
+ * @param {Array<Object>} [items] - `{ id, question, ...options }` objects (JSON body)
+ * @param {string} [input] - JSONL or CSV text (JSON body), or the whole raw body
+ * @param {string} [format] - `jsonl` or `csv`, guessed when omitted (also a query parameter)
+ * @param {number} [concurrency=4] - Questions answered at the same time, at most 8 (also a query parameter)
+ * @param {Object} [options] - Default request options for every question (model, temperature, max_tokens, search, etc.)
+ * @param {string} [resume] - JSONL output of a previous run, as text
+ * @returns {Stream} JSON Lines stream of results and progress
+ */
+app.post('/batch', requireClient, bodyParser.text({
+    type: ['text/*', 'application/x-ndjson', 'application/jsonl'],
+    limit: '10mb'
+}), async (req, res) => {
+    const body = typeof req.body === 'string' ? { input: req.body } : req.body;
+    const {
+        items,
+        input,
+        format = req.query.format,
+        concurrency = req.query.concurrency,
+        options = {},
+        resume
+    } = body;
+
+    let questions;
     try {
-        const models = await perplexityClient.getModels();
-        res.json(models);
+        // JSON items get the same checks as parsed input, so bad ones fail before the stream starts
+        questions = items !== undefined
+            ? normalizeItems(items)
+            : parseBatchInput(input, format || (req.is('text/csv') ? 'csv' : undefined));
+        if (questions.length === 0) {
+            throw new InvalidRequestError('The batch has no questions', { code: 'invalid_batch_input' });
+        }
+        if (resume !== undefined && typeof resume !== 'string') {
+            throw new InvalidRequestError('resume must be the JSONL output of a previous run', { code: 'invalid_batch_input' });
+        }
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            throw new InvalidRequestError('options must be an object', { code: 'invalid_batch_option' });
+        }
+
+        // Only request options; anything else could reach the batch runner or the client
+        const unsupported = new Set([
+            ...Object.keys(options),
+            ...questions.flatMap(item => Object.keys(item).filter(key => key !== 'id' && key !== 'question'))
+        ].filter(key => !BATCH_REQUEST_OPTIONS.includes(key)));
+        if (unsupported.size > 0) {
+            throw new InvalidRequestError(
+                `Unsupported batch option(s): ${[...unsupported].join(', ')}; allowed: ${BATCH_REQUEST_OPTIONS.join(', ')}`,
+                { code: 'invalid_batch_option' }
+            );
+        }
     } catch (error) {
-        console.error('Error in /models:', error.message);
-        res.status(500).json({
-            error: 'API Error',
+        return res.status(400).json({
+            error: 'Invalid batch input',
             message: error.message
         });
     }
+
+    res.writeHead(200, {
+        'Content-Type': 'application/x-ndjson',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    try {
+        let summary = null;
+        const results = perplexityClient.batch(questions, {
+            ...options,
+            concurrency: Math.min(Number(concurrency) || 4, MAX_BATCH_CONCURRENCY),
+            skip: readCompletedIds(resume),
+            usageTags: { user: getUser(req) },
+            signal: req.signal,
+            onProgress: progress => {
+                summary = progress;
+                sendLine(res, { type: 'progress', ...progress });
+            }
+        });
+
+        for await (const result of results) {
+            sendLine(res, { type: 'result', ...result });
+        }
+        sendLine(res, { type: 'done', ...summary });
+        res.end();
+
+    } catch (error) {
+        if (error instanceof AbortError && res.destroyed) {
+            console.log('Request to /batch cancelled by client');
+            return;
+        }
+        console.error('Error in /batch:', error.message);
+        sendLine(res, { type: 'error', ...describeError(error), status: getErrorStatus(error) });
+        res.end();
+    }
+});
+
+/**
+ * Start an asynchronous job, typically deep research that takes minutes
+ *
+ * The job is saved and polled in the background; follow it with
+ * GET /jobs/:id or the GET /jobs/events stream.
+ *
+ * @route POST /jobs
+ * @param {string} [question] - The question to research
+ * @param {Array<string>} [images] - Images sent with the question, see POST /ask
+ * @param {Array} [messages] - Conversation messages, instead of a question
+ * @param {string} [model=sonar-deep-research] - The model
+ * @param {string} [conversationId] - Conversation the report belongs to, echoed in `metadata`
+ * @param {Object} [search] - Web search options, see POST /ask
+ * @param {Object} [options] - Additional options (max_tokens, reasoning_effort, etc.)
+ * @returns {Object} 202 with the job (`id`, `status`, `model`, `createdAt`, `metadata`, ...)
+ */
+app.post('/jobs', requireClient, defaultJobModel, validateSearch, validateContent, validateModel, prepareMessages, async (req, res) => {
+    try {
+        const { question, images, messages, conversationId, ...options } = req.body;
+
+        if (!question && (!Array.isArray(messages) || messages.length === 0)) {
+            return res.status(400).json({
+                error: 'Missing required field',
+                message: 'Please provide a question or a messages array in the request body'
+            });
+        }
+
+        const job = await jobs.submit({
+            messages: messages || [{ role: 'user', content: buildContent(question, images) }],
+            ...options,
+            signal: req.signal
+        }, {
+            question: question || contentToText(messages[messages.length - 1].content),
+            conversationId: conversationId || null,
+            usageTags: { conversationId, user: getUser(req) }
+        });
+
+        res.status(202).json(describeJob(job));
+
+    } catch (error) {
+        sendError(res, error, '/jobs');
+    }
+});
+
+/**
+ * List jobs, newest first
+ *
+ * @route GET /jobs
+ * @param {string} [status] - Only jobs with this status (`created`, `in_progress`, `completed`, `failed`, `cancelled`)
+ * @returns {Object} `{ object: 'list', data }` without the completions
+ */
+app.get('/jobs', requireClient, (req, res) => {
+    res.json({
+        object: 'list',
+        data: jobs.list({ status: req.query.status }).map(job => describeJob(job))
+    });
+});
+
+/**
+ * Job updates as Server-Sent Events
+ *
+ * Sends `{ type: 'job', job }` whenever a job changes status; completed
+ * jobs include their completion and normalized `answer`.
+ *
+ * @route GET /jobs/events
+ * @returns {Stream} Server-Sent Events stream, open until the client disconnects
+ */
+app.get('/jobs/events', requireClient, (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    const onUpdate = job => sendEvent(res, { type: 'job', job: describeJob(job, job.status === 'completed') });
+    jobs.on('update', onUpdate);
+
+    // Comments keep proxies from closing an idle connection
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 30000);
+    req.signal.addEventListener('abort', () => {
+        clearInterval(keepAlive);
+        jobs.off('update', onUpdate);
+    });
+});
+
+/**
+ * Job status, with the report once completed
+ *
+ * @route GET /jobs/:id
+ * @returns {Object} The job with `completion` and normalized `answer` (null until completed)
+ */
+app.get('/jobs/:id', requireClient, (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: `Job ${req.params.id} not found`
+        });
+    }
+    res.json(describeJob(job, true));
+});
+
+/**
+ * Cancel a job
+ *
+ * The API has no cancel endpoint: the job stops being polled and is marked
+ * `cancelled`, but may still finish (and be billed) upstream. Finished jobs
+ * are returned unchanged.
+ *
+ * @route DELETE /jobs/:id
+ * @returns {Object} The job
+ */
+app.delete('/jobs/:id', requireClient, (req, res) => {
+    const job = jobs.cancel(req.params.id);
+    if (!job) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: `Job ${req.params.id} not found`
+        });
+    }
+    res.json(describeJob(job));
 });
 
-// Get API key info (masked)
+/**
+ * Models with their capabilities, refreshed from the API's model list
+ *
+ * @route GET /models
+ * @returns {Object} `{ object: 'list', data, refreshed_at, warning }`; `warning` explains why the
+ *   API's list could not be loaded, in which case `data` holds the built-in and configured models
+ */
+app.get('/models', requireClient, async (req, res) => {
+    const { models, error } = await perplexityClient.refreshModels({ signal: req.signal });
+    res.json({
+        object: 'list',
+        data: models,
+        refreshed_at: modelRegistry.refreshedAt,
+        ...(error && { warning: error.message })
+    });
+});
+
+/**
+ * Usage and cost report
+ *
+ * @route GET /usage
+ * @param {string} [user] - Only include requests made for this user (`X-User-Id` header or IP)
+ * @param {string} [conversationId] - Only include this conversation
+ * @param {string} [model] - Only include this model
+ * @param {string} [since] - Earliest date or timestamp (inclusive)
+ * @param {string} [until] - Latest date or timestamp (exclusive)
+ * @returns {Object} Totals plus breakdowns by model, conversation, user and day
+ */
+app.get('/usage', requireClient, (req, res) => {
+    const { user, conversationId, model, since, until } = req.query;
+
+    for (const [name, value] of [['since', since], ['until', until]]) {
+        if (value && Number.isNaN(Date.parse(value))) {
+            return res.status(400).json({
+                error: 'Invalid query parameter',
+                message: `${name} must be a date or timestamp`
+            });
+        }
+    }
+
+    res.json({
+        ...perplexityClient.usage.summary({ user, conversationId, model, since, until }),
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * Rate limiter load and queue depth
+ *
+ * @route GET /queue
+ * @returns {Object} `{ active, queued, lanes, requestsInWindow, limits, timestamp }`
+ */
+app.get('/queue', (req, res) => {
+    res.json({
+        ...limiter.stats(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * Masked status of the API keys
+ *
+ * `api_key` is the first key, kept for older clients. `status` is
+ * `degraded` when no key is active right now.
+ *
+ * @route GET /api-key
+ * @returns {Object} `{ api_key, status, strategy, active, keys }` where each key is `{ id, key, status, requests, ... }`
+ */
 app.get('/api-key', requireClient, (req, res) => {
+    const keys = perplexityClient.getApiKeys();
+    const active = keys.filter(key => key.status === 'active').length;
     res.json({
         api_key: perplexityClient.getApiKey(),
-        status: 'configured'
+        status: active > 0 ? 'configured' : 'degraded',
+        strategy: perplexityClient.keys.strategy,
+        active,
+        keys
     });
 });
 
-// Get server configuration
+// Get server configuration, including the models the UI can offer
 app.get('/config', (req, res) => {
+    const available = modelRegistry.list();
     res.json({
         default_model: process.env.PERPLEXITY_DEFAULT_MODEL || 'sonar',
-        available_models: [
-            'sonar'
-        ]
+        available_models: available.map(model => model.id),
+        models: available,
+        limits: contentLimits
     });
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+    // Raised by the body parser before any route runs
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({
+            error: 'Content too large',
+            message: `The request body exceeds the ${error.limit} byte limit`
+        });
+    }
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({
+            error: 'Invalid JSON',
+            message: `The request body is not valid JSON: ${error.message}`
+        });
+    }
+
     console.error('Unhandled error:', error);
     res.status(500).json({
         error: 'Internal Server Error',
@@ -447,11 +1427,12 @@ app.use((error, req, res, next) => {
 app.use('*', (req, res) => {
     // Don't show 404 for API routes, but serve index.html for UI routes
     if (req.originalUrl.startsWith('/api') || req.originalUrl.startsWith('/ask') || 
-        req.originalUrl.startsWith('/chat') || req.originalUrl.startsWith('/models')) {
+        req.originalUrl.startsWith('/chat') || req.originalUrl.startsWith('/models') ||
+        req.originalUrl.startsWith('/jobs') || req.originalUrl.startsWith('/v1')) {
         res.status(404).json({
             error: 'Not Found',
             message: `Route ${req.originalUrl} not found`,
-            available_routes: ['/api', '/ask', '/chat', '/models', '/api-key']
+            available_routes: ['/api', '/ask', '/chat', '/batch', '/jobs', '/models', '/usage', '/queue', '/api-key', '/v1']
         });
     } else {
         // Serve the main UI for any other routes (SPA behavior)
@@ -459,14 +1440,16 @@ app.use('*', (req, res) => {
     }
 });
 
-// Start server
-app.listen(port, () => {
-    console.log(`🚀 Perplexity API Client server running on http://localhost:${port}`);
-    console.log(`📖 API Documentation available at http://localhost:${port}`);
-    
-    if (perplexityClient) {
-        console.log(`🔑 Using API key: ${perplexityClient.getApiKey()}`);
-    }
-});
+// Start server (only when run directly, so the tests can require the app)
+if (require.main === module) {
+    app.listen(port, () => {
+        console.log(`🚀 Perplexity API Client server running on http://localhost:${port}`);
+        console.log(`📖 API Documentation available at http://localhost:${port}`);
+
+        if (perplexityClient) {
+            console.log(`🔑 Using API key: ${perplexityClient.getApiKey()}`);
+        }
+    });
+}
 
 module.exports = app;
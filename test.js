@@ -0,0 +1,424 @@
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const PerplexityClient = require('./PerplexityClient');
+const MockPerplexityServer = require('./MockPerplexityServer');
+const UsageLedger = require('./UsageLedger');
+const ModelRegistry = require('./ModelRegistry');
+const { parseBatchInput } = require('./batch');
+const { AuthenticationError, RateLimitError, InvalidRequestError } = require('./errors');
+
+/**
+ * Offline tests
+ *
+ * Runs the client and the HTTP server against {@link MockPerplexityServer},
+ * so `npm test` needs neither an API key nor a network connection. Every
+ * check prints one line; the process exits with 1 when any of them failed.
+ *
+ * Usage: npm test
+ */
+
+const tests = [];
+
+/**
+ * Register a check
+ *
+ * @param {string} name - What the check verifies
+ * @param {Function} fn - `async (context) => {}`, throws when the check fails
+ */
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+/**
+ * Read the `data:` events of a Server-Sent Events body
+ *
+ * @param {string} body - The response body
+ * @returns {Array<Object|string>} Parsed events; `[DONE]` stays a string
+ */
+function parseEvents(body) {
+    return body.split('\n')
+        .filter(line => line.startsWith('data: '))
+        .map(line => line.slice(6))
+        .map(data => data === '[DONE]' ? data : JSON.parse(data));
+}
+
+/**
+ * Start server.js in its own process, for settings read at startup
+ *
+ * @param {Object} env - Environment variables on top of the test environment
+ * @param {string} directory - Temporary directory for the job file
+ * @returns {Promise<Object>} `{ http, output, stop }`: an axios instance for the server, its console output so far and a function that stops it
+ */
+async function startServer(env, directory) {
+    // Ask the OS for a free port: server.js reports the port it was given
+    const probe = net.createServer();
+    await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+    const { port } = probe.address();
+    await new Promise(resolve => probe.close(resolve));
+
+    const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        cwd: __dirname,
+        env: { ...process.env, PORT: String(port), PERPLEXITY_JOBS_FILE: path.join(directory, `jobs-${port}.json`), ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const result = {
+        http: axios.create({ baseURL: `http://127.0.0.1:${port}`, validateStatus: () => true }),
+        output: '',
+        stop: () => new Promise(resolve => {
+            child.once('exit', resolve);
+            child.kill();
+        })
+    };
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`server.js did not start:\n${result.output}`));
+        }, 10000);
+        const onData = data => {
+            result.output += data;
+            if (result.output.includes('server running on')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`server.js exited with ${code}:\n${result.output}`));
+        });
+    });
+    return result;
+}
+
+// Client
+
+test('ask() returns the answer text', async ({ url }) => {
+    const client = new PerplexityClient('test-key', url);
+    assert.strictEqual(await client.ask('What is the capital of France?'), 'Mock answer to: What is the capital of France?');
+});
+
+test('askDetailed() returns citations and usage', async ({ url }) => {
+    const client = new PerplexityClient('test-key', url);
+    const result = await client.askDetailed('Who won?');
+    assert.deepStrictEqual(result.citations.map(citation => citation.url), ['https://example.com/mock']);
+    assert.ok(result.usage.total_tokens > 0);
+});
+
+test('streamChatCompletion() streams the answer and its usage', async ({ url }) => {
+    const client = new PerplexityClient('test-key', url);
+    const stream = await client.streamChatCompletion({ messages: [{ role: 'user', content: 'Stream this' }] });
+    let text = '';
+    for await (const chunk of stream) {
+        text += chunk.choices?.[0]?.delta?.content || '';
+    }
+    const completion = await stream.finalCompletion();
+    assert.strictEqual(text, 'Mock answer to: Stream this');
+    assert.ok(completion.usage.total_tokens > 0);
+});
+
+test('a rejected key throws AuthenticationError', async ({ url, mock }) => {
+    mock.injectError({ status: 401, type: 'invalid_api_key', times: 1 });
+    const client = new PerplexityClient('test-key', url, { retry: { maxAttempts: 1 } });
+    await assert.rejects(client.ask('Hi'), AuthenticationError);
+});
+
+test('server errors are retried', async ({ url, mock }) => {
+    mock.injectError({ status: 503, times: 2 });
+    const client = new PerplexityClient('test-key', url, { retry: { baseDelay: 1, maxDelay: 10 } });
+    let retries = 0;
+    client.on('retry', () => retries++);
+    assert.ok(await client.ask('Retry me'));
+    assert.strictEqual(retries, 2);
+});
+
+test('a Retry-After beyond maxDelay fails instead of waiting', async ({ url, mock }) => {
+    mock.injectError({ status: 429, retryAfter: 3600, times: 1 });
+    const client = new PerplexityClient('test-key', url, { retry: { baseDelay: 1, maxDelay: 1000 } });
+    await assert.rejects(client.ask('Later'), error => error instanceof RateLimitError && error.retryAfter === 3600000);
+});
+
+test('a rate-limited key fails over to the next one', async ({ url, mock }) => {
+    mock.injectError({ status: 429, apiKey: 'key-one', times: 1 });
+    const client = new PerplexityClient(['key-one', 'key-two'], url, { retry: { baseDelay: 1 } });
+    const failovers = [];
+    client.on('failover', event => failovers.push(event));
+    assert.ok(await client.ask('Fail over'));
+    assert.strictEqual(failovers.length, 1);
+});
+
+test('fixtures recorded against the mock replay without it', async ({ url, directory }) => {
+    const fixtures = { directory: path.join(directory, 'fixtures') };
+    const recorder = new PerplexityClient('test-key', url, { fixtures: { ...fixtures, mode: 'record' } });
+    const answer = await recorder.ask('Record me');
+    // Nothing listens on port 9 (discard), so only a replay can answer
+    const player = new PerplexityClient('test-key', 'http://127.0.0.1:9', { fixtures: { ...fixtures, mode: 'replay' } });
+    assert.strictEqual(await player.ask('Record me'), answer);
+});
+
+test('CSV columns cannot write to an object prototype', async () => {
+    assert.throws(() => parseBatchInput('question,__proto__.polluted\nHi,yes\n', 'csv'), InvalidRequestError);
+    assert.strictEqual({}.polluted, undefined);
+});
+
+test('usage is grouped by any user or conversation id', async () => {
+    const ledger = new UsageLedger({ pricing: { sonar: { input: 1, output: 1 } } });
+    const usage = { prompt_tokens: 10, completion_tokens: 10 };
+    ledger.record({ model: 'sonar', usage }, { user: '__proto__', conversationId: 'constructor' });
+    ledger.record({ model: 'toString', usage }, { user: '__proto__', conversationId: 'hasOwnProperty' });
+    const summary = ledger.summary();
+    assert.strictEqual(summary.byUser.__proto__.requests, 2);
+    assert.strictEqual(summary.byConversation.constructor.requests, 1);
+    assert.strictEqual(summary.byModel.toString.requests, 1);
+    assert.strictEqual(ledger.summary({ conversationId: 'constructor' }).totals.requests, 1);
+});
+
+test('a model list response without models leaves the registry as it was', async () => {
+    const registry = new ModelRegistry();
+    for (const response of ['<html>Sign in</html>', {}, [], { data: 'sonar' }]) {
+        const { error } = await registry.refresh({ getModels: async () => response });
+        assert.strictEqual(error.code, 'invalid_model_list');
+    }
+    assert.strictEqual(registry.remote, null);
+    assert.deepStrictEqual(registry.validateRequest({ model: 'sonar' }), []);
+
+    await registry.refresh({ getModels: async () => ({ data: [{ id: 'sonar' }] }) });
+    await registry.refresh({ getModels: async () => ({}) });
+    assert.strictEqual(registry.get('sonar').available, true);
+});
+
+test('model names inherited from Object.prototype are unknown', async () => {
+    const registry = new ModelRegistry();
+    for (const name of ['constructor', 'toString', '__proto__']) {
+        assert.strictEqual(registry.has(name), false);
+        assert.strictEqual(registry.get(name), null);
+    }
+    registry.merge({ data: [{ id: 'sonar' }, { id: '__proto__' }] });
+    assert.strictEqual(registry.has('__proto__'), true);
+    assert.deepStrictEqual(registry.validateRequest({ model: 'toString' }).map(violation => violation.rule), ['unknown_model']);
+});
+
+test('cancelJob() ends the waits on a job and keeps nothing about it', async ({ url }) => {
+    const client = new PerplexityClient('test-key', url);
+    const job = await client.submitJob({ model: 'sonar-deep-research', messages: [{ role: 'user', content: 'Research' }] });
+    const wait = client.waitForJob(job.id, { interval: 10 });
+    assert.strictEqual(client.cancelJob(job.id), true);
+    await assert.rejects(wait, error => error.code === 'job_cancelled');
+    assert.strictEqual(client.jobWaits.size, 0);
+});
+
+// Server
+
+test('POST /ask answers a question', async ({ server }) => {
+    const { data } = await server.post('/ask', { question: 'Hello?' });
+    assert.strictEqual(data.answer, 'Mock answer to: Hello?');
+});
+
+test('POST /chat answers a conversation', async ({ server }) => {
+    const { data } = await server.post('/chat', { messages: [{ role: 'user', content: 'Hi there' }] });
+    assert.strictEqual(data.response.choices[0].message.content, 'Mock answer to: Hi there');
+});
+
+test('POST /chat-stream streams content and a done event', async ({ server }) => {
+    const { data } = await server.post('/chat-stream', { messages: [{ role: 'user', content: 'Stream' }] }, { responseType: 'text' });
+    const events = parseEvents(data);
+    const text = events.filter(event => event.type === 'content').map(event => event.choices[0].delta.content).join('');
+    assert.strictEqual(text, 'Mock answer to: Stream');
+    assert.ok(events.some(event => event.type === 'done'));
+});
+
+test('POST /v1/chat/completions answers in the OpenAI format', async ({ server }) => {
+    const { data } = await server.post('/v1/chat/completions', { model: 'sonar', messages: [{ role: 'user', content: 'Compat' }] });
+    assert.strictEqual(data.object, 'chat.completion');
+    assert.strictEqual(data.choices[0].message.content, 'Mock answer to: Compat');
+});
+
+test('POST /v1/chat/completions streams chunks and [DONE]', async ({ server }) => {
+    const { data } = await server.post('/v1/chat/completions', {
+        model: 'sonar',
+        stream: true,
+        messages: [{ role: 'user', content: 'Compat stream' }]
+    }, { responseType: 'text' });
+    const events = parseEvents(data);
+    assert.strictEqual(events[events.length - 1], '[DONE]');
+    const text = events.slice(0, -1).map(chunk => chunk.choices?.[0]?.delta?.content || '').join('');
+    assert.strictEqual(text, 'Mock answer to: Compat stream');
+});
+
+test('POST /v1/chat/completions checks max_completion_tokens like max_tokens', async ({ server, mock }) => {
+    const sent = mock.requests.length;
+    const { status, data } = await server.post('/v1/chat/completions', {
+        model: 'sonar-pro',
+        max_completion_tokens: 100000,
+        messages: [{ role: 'user', content: 'Long answer' }]
+    });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(data.error.code, 'max_tokens_exceeded');
+    assert.strictEqual(mock.requests.length, sent);
+
+    await server.post('/v1/chat/completions', {
+        model: 'sonar-pro',
+        max_completion_tokens: 500,
+        messages: [{ role: 'user', content: 'Short answer' }]
+    });
+    const { body } = mock.requests[mock.requests.length - 1];
+    assert.strictEqual(body.max_tokens, 500);
+    assert.strictEqual(body.max_completion_tokens, undefined);
+});
+
+test('POST /batch rejects options outside the allowed list', async ({ server, directory }) => {
+    const output = path.join(directory, 'batch.jsonl');
+    const response = await server.post('/batch', { items: [{ question: 'Hi' }], options: { output } });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(fs.existsSync(output), false);
+});
+
+test('POST /batch rejects invalid JSON items before streaming', async ({ server }) => {
+    const bodies = [
+        { items: [{ question: 42 }] },
+        { items: ['What is new?'] },
+        { items: [{ id: 'a', question: 'One' }, { id: 'a', question: 'Two' }] },
+        { items: { question: 'Not a list' } }
+    ];
+    for (const body of bodies) {
+        const { status, headers, data } = await server.post('/batch', body);
+        assert.strictEqual(status, 400, JSON.stringify(body));
+        assert.match(headers['content-type'], /application\/json/);
+        assert.strictEqual(data.error, 'Invalid batch input');
+    }
+});
+
+test('GET /jobs does not reveal who submitted a job', async ({ server }) => {
+    const { data: job } = await server.post('/jobs', { question: 'Research this' }, { headers: { 'X-User-Id': 'alice' } });
+    assert.strictEqual(job.metadata.question, 'Research this');
+    const { data: list } = await server.get('/jobs');
+    const { data: detail } = await server.get(`/jobs/${job.id}`);
+    for (const described of [job, list.data.find(entry => entry.id === job.id), detail]) {
+        assert.strictEqual(described.metadata.usageTags, undefined);
+        assert.ok(!JSON.stringify(described).includes('alice'));
+    }
+});
+
+test('GET /v1/models/constructor is not found', async ({ server }) => {
+    const { status } = await server.get('/v1/models/constructor');
+    assert.strictEqual(status, 404);
+});
+
+test('an invalid PERPLEXITY_MODELS is ignored, not fatal', async ({ directory }) => {
+    const started = await startServer({ PERPLEXITY_MODELS: '{"sonar-pro": ' }, directory);
+    try {
+        const { status, data } = await started.http.post('/ask', { question: 'Still up?' });
+        assert.strictEqual(status, 200, JSON.stringify(data));
+        assert.match(started.output, /Ignoring PERPLEXITY_MODELS/);
+    } finally {
+        await started.stop();
+    }
+});
+
+test('invalid PERPLEXITY_PROVIDERS or PERPLEXITY_ROUTES leave Perplexity chat working', async ({ directory }) => {
+    const local = JSON.stringify({ local: { baseURL: 'http://127.0.0.1:9/v1' } });
+    const cases = [
+        [{ PERPLEXITY_PROVIDERS: '{"local": ' }, /Ignoring PERPLEXITY_PROVIDERS/],
+        [{ PERPLEXITY_PROVIDERS: '["local"]' }, /Ignoring PERPLEXITY_PROVIDERS: expected a JSON object/],
+        [{ PERPLEXITY_PROVIDERS: '{"local": {}}' }, /Ignoring PERPLEXITY_PROVIDERS/],
+        [{ PERPLEXITY_PROVIDERS: local, PERPLEXITY_ROUTES: '[{"model": "llama*", "provider": "remote"}]' }, /Ignoring PERPLEXITY_ROUTES: .*unknown provider "remote"[\s\S]*Providers: perplexity, local \(0 route/],
+        [{ PERPLEXITY_ROUTES: '{"model": "llama*"}' }, /Ignoring PERPLEXITY_ROUTES: expected a JSON array/]
+    ];
+    for (const [env, message] of cases) {
+        const started = await startServer(env, directory);
+        try {
+            const { status, data } = await started.http.post('/ask', { question: 'Still up?' });
+            assert.strictEqual(status, 200, JSON.stringify(data));
+            assert.match(started.output, message);
+        } finally {
+            await started.stop();
+        }
+    }
+});
+
+test('GET /usage works after a request from user __proto__', async ({ server }) => {
+    const headers = { 'X-User-Id': '__proto__', 'X-Conversation-Id': '__proto__' };
+    const chat = await server.post('/chat', { messages: [{ role: 'user', content: 'Hi' }] }, { headers });
+    assert.strictEqual(chat.status, 200);
+    const { status, data } = await server.get('/usage', { params: { user: '__proto__' } });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.totals.requests, 1);
+});
+
+test('an invalid PERPLEXITY_PRICING is ignored, not fatal', async ({ directory }) => {
+    const started = await startServer({ PERPLEXITY_PRICING: '{"sonar": {"input": 1,}' }, directory);
+    try {
+        const { status, data } = await started.http.post('/ask', { question: 'Still up?' });
+        assert.strictEqual(status, 200, JSON.stringify(data));
+        assert.match(started.output, /Ignoring PERPLEXITY_PRICING/);
+    } finally {
+        await started.stop();
+    }
+});
+
+/**
+ * Run the checks in order and exit
+ */
+async function main() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'perplexity-test-'));
+    const mock = new MockPerplexityServer({ respond: ({ question }) => ({ content: `Mock answer to: ${question}`, citations: ['https://example.com/mock'] }) });
+    const url = await mock.listen();
+
+    // The server reads its configuration when it is required; a developer's
+    // .env must not point it at the real API (dotenv keeps variables that are set)
+    Object.assign(process.env, {
+        PERPLEXITY_API_KEY: 'test-key',
+        PERPLEXITY_BASE_URL: url,
+        PERPLEXITY_JOBS_FILE: path.join(directory, 'jobs.json'),
+        PERPLEXITY_API_KEYS: '',
+        PERPLEXITY_CACHE: '',
+        PERPLEXITY_FIXTURES: '',
+        PERPLEXITY_PROVIDERS: '',
+        PERPLEXITY_ROUTES: '',
+        PERPLEXITY_MODELS: ''
+    });
+    const log = console.log;
+    console.log = () => {};
+    const app = require('./server');
+    const listener = await new Promise(resolve => {
+        const instance = app.listen(0, '127.0.0.1', () => resolve(instance));
+    });
+    console.log = log;
+    const server = axios.create({
+        baseURL: `http://127.0.0.1:${listener.address().port}`,
+        validateStatus: () => true
+    });
+
+    let failed = 0;
+    for (const { name, fn } of tests) {
+        try {
+            await fn({ url, mock, server, directory });
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`❌ ${name}`);
+            console.log(`   ${error.stack || error.message}`);
+        }
+    }
+
+    console.log(`\n${tests.length - failed} passed, ${failed} failed`);
+
+    listener.close();
+    await mock.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+    // The server keeps background work (job polling, model refresh) alive
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Tests could not run:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,111 @@
+/**
+ * Token Estimation
+ *
+ * Estimates how many tokens a text or a list of chat messages will use,
+ * without shipping a tokenizer. The estimate follows how BPE tokenizers split
+ * text: common words are one token and long words several, digits are
+ * grouped in threes, runs of punctuation merge in pairs, and CJK characters
+ * are roughly one token per character. Each message also pays a small fixed
+ * overhead for its role and delimiters.
+ *
+ * It is an approximation, not an exact count: the rules lean towards
+ * counting too many tokens rather than too few, which is the safe direction
+ * when budgeting a context window.
+ *
+ * @example
+ * estimateTokens('Hello, world!'); // 4
+ * countMessageTokens([{ role: 'user', content: 'Hi' }]); // 8
+ */
+
+/** Tokens added for every message (role and delimiters) */
+const MESSAGE_OVERHEAD = 4;
+
+/** Tokens added once per request to prime the assistant reply */
+const REPLY_OVERHEAD = 3;
+
+/** Flat estimate for an image content part */
+const IMAGE_TOKENS = 85;
+
+/** Characters from scripts without spaces between words (kana, CJK ideographs, hangul) */
+const CJK = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uac00-\\ud7af\\uf900-\\ufaff';
+
+const TOKEN_PATTERN = new RegExp(`([${CJK}])|([^\\s\\d\\p{P}\\p{S}${CJK}]+)|(\\d+)|(\\s+)|([\\p{P}\\p{S}]+)`, 'gu');
+
+/**
+ * Estimate the number of tokens in a piece of text
+ *
+ * @param {string} text - The text to measure
+ * @returns {number} The estimated token count
+ */
+function estimateTokens(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+        return 0;
+    }
+
+    let tokens = 0;
+    for (const [, cjk, word, digits, space, symbols] of text.matchAll(TOKEN_PATTERN)) {
+        if (cjk) {
+            tokens += 1;
+        } else if (word) {
+            tokens += word.length <= 8 ? 1 : Math.ceil(word.length / 8);
+        } else if (digits) {
+            tokens += Math.ceil(digits.length / 3);
+        } else if (space) {
+            // Spaces merge into the next word; a line break (with its indentation) is one token
+            tokens += space.includes('\n') ? 1 : 0;
+        } else if (symbols) {
+            tokens += Math.ceil(symbols.length / 2);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Estimate the tokens used by a message's content
+ *
+ * Accepts plain strings as well as content-part arrays (`text` and image
+ * parts); anything else is measured through its JSON form instead of failing.
+ *
+ * @param {*} content - The message content
+ * @returns {number} The estimated token count
+ */
+function estimateContentTokens(content) {
+    if (content === null || content === undefined) {
+        return 0;
+    }
+    if (typeof content === 'string') {
+        return estimateTokens(content);
+    }
+    if (Array.isArray(content)) {
+        return content.reduce((sum, part) => {
+            if (typeof part === 'string') return sum + estimateTokens(part);
+            if (part && part.type === 'text') return sum + estimateTokens(part.text);
+            if (part && /image/.test(part.type || '')) return sum + IMAGE_TOKENS;
+            return sum + estimateTokens(JSON.stringify(part));
+        }, 0);
+    }
+    return estimateTokens(typeof content === 'object' ? JSON.stringify(content) : String(content));
+}
+
+/**
+ * Estimate the prompt tokens for a list of chat messages
+ *
+ * @param {Array<Object>} messages - Messages with `role` and `content`
+ * @returns {number} The estimated token count, including per-message overhead
+ */
+function countMessageTokens(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return 0;
+    }
+
+    return messages.reduce(
+        (sum, message) => sum + MESSAGE_OVERHEAD + estimateContentTokens(message && message.content),
+        REPLY_OVERHEAD
+    );
+}
+
+module.exports = {
+    estimateTokens,
+    estimateContentTokens,
+    countMessageTokens
+};